@@ -5,11 +5,22 @@
 const commander = require("commander"),
     consoleLogMod = require("./lib/console_log_mod"),
     MongoOptimizer = require("./lib/optimizer"),
+    OptimizationPipeline = require("./lib/optimization_pipeline"),
     underscore = require('underscore');
 
 
 
 
+/**
+ * Collects the values of an option that can be given multiple times into a list
+ */
+function collect(value, list)
+{
+    list.push(value);
+    return list;
+}
+
+
 function main()
 {
     // add logging for event 'uncaughtException'. Emitted when an exception bubbles all the way back to the event loop.
@@ -29,16 +40,46 @@ function main()
         .option('--minimum-cardinality <minimum-cardinality>', 'The minimum number of distinct values a field should have in order to be included in an index. Default is 3. Set to 1 to disable this and include all fields.')
         .option('--minimum-reduction <minimum-reduction>', 'This is the amount that a field should narrow down results by in order to be considered worth having on the index. Default is 0.70, meaning that a field should, on average, remove at least 30% of the possible results to be considered worth having on the index. Setting this to 1 will disable the functionality. Please see the documentation for a better explanation of this functionality.')
         .option('--no-index-extension', 'This disables the index extension optimization.')
+        .option('--small-in-list-size <small-in-list-size>', 'A $in whose lists have no more than this many values on average is placed in indexes along with the exact match fields, before the sort fields, rather then with the range fields. Default is 3. Set to 0 to always treat $in as a range match.')
+        .option('--no-field-reordering', 'This disables the field reordering optimization, which changes the order of the exact match fields and of the range fields in an index when that lets it be folded into another index.')
+        .option('--field-reordering-rounds <field-reordering-rounds>', 'The most changes that the field reordering optimization makes to the indexes of each collection. Each change takes longer the more indexes the collection has. Default is 20.')
+        .option('--exact-range-merge-threshold <exact-range-merge-threshold>', 'Merge pairs of indexes which only differ in where one field sits, because it is an exact match in some queries and a range match in others, into the index with the range match, when the field eliminates no more than this fraction of the index entries, as measured by the index statistics. For example, 0.3 merges the indexes when the exact match only narrows the results by up to 30%. Default is -1, which disables this.')
+        .option('--optimization-components <optimization-components>', 'A comma separated list of the optimization components to run, in the order to run them. Leaving a component out disables it. The built in components are identicalIndexMerging, cardinalityFiltering, unindexableFieldHashing, arrayPrefixSplitting, prefixReduction, statisticalSimplification and indexExtension, which is also the default list, and coveredQueryExtension, which --covered-queries adds to the end. Please see the documentation for what each of them does.')
+        .option('--optimization-plugin <module>', 'Load an additional optimization component from the given module. Can be given multiple times to load several plugins. Plugins which aren\'t named in --optimization-components run after the other components. Please see the documentation for the format.', collect, [])
+        .option('--no-partial-indexes', 'This disables recommending partial indexes for predicates that have the same value every time a query is made, like {deleted: false}.')
+        .option('--partial-index-minimum-count <partial-index-minimum-count>', 'The number of times a predicate must be seen with the same value before it is moved into the partialFilterExpression of a partial index. Default is 100.')
+        .option('--covered-queries', 'This enables an extra optimization which appends the fields returned by a query to its index, so that the query can be answered from the index alone without fetching any documents.')
+        .option('--covered-query-maximum-key-size <bytes>', 'The maximum estimated size, in bytes, of the fields that can be appended to each index by --covered-queries. Default is 128.')
         .option('-c, --do-changes', 'This tells the dynamic indexer that it should actually make the changes to the database that it recommends.')
         .option('--collection <collection>', 'This is the collection which the dynamic indexer should use to store information on query patterns')
         .option('-i, --interval <interval>', 'How often, in seconds, should the dynamic indexer make its recommendations')
         .option('--cardinality-update-interval <cardinality-update-interval>', 'This is the number of days that cardinality information is valid for. Default 30 days.')
         .option('--show-changes-only', 'If this is enabled, the script will only show the changes its making when synchronization, rather then a complete summary of all indexes.')
         .option('-p, --profile-level <profile-level>', 'This is the profiling level to set the database to. This is the same as Mongos profiling level, see https://docs.mongodb.com/manual/reference/command/profile/#dbcmd.profile. The default is 2, full profiling, but using 1 will enable slow-query-mode. If you set this to -1, the profiling level will not be changed from what it currently is.')
+        .option('--profile-all-members', 'Discover all of the data bearing members of the replica set, and tail the system.profile collection on each of them, merging together all of the queries. This allows queries made on secondaries to be seen. The profiling level is set on each member.')
+        .option('--profile-hosts <profile-hosts>', 'A comma separated list of hosts, like "db1:27017,db2:27017", whose system.profile collections should be tailed and merged together, instead of only the server in the database URI.')
+        .option('--databases <databases>', 'A comma separated list of databases, like "products,billing", whose queries should be analyzed, instead of only the database in the database URI. The internal state is still stored in the database from the URI.')
+        .option('--all-databases', 'Analyze the queries on every database on the server, except for admin, local and config. The profiling level is set on each database.')
         .option('-r, --recent-queries-only-days <recent-queries-only-days>', 'This is the number of days after seeing a query to forget about it. This ensures that queries that your code no longer peforms don\'t leave indexes around that you no longer need. By default this is set to -1, which means its disabled, meaning that old indexes will not get deleted unless you refresh the state of the dynamic indexer.')
+        .option('--keep-used-indexes-days <keep-used-indexes-days>', 'Never drop an index which $indexStats has shown serving queries within this many days, even if none of the known query profiles use it. The accesses an index already has when it is first polled count as a use at the time the server started. Default is 7. Set to -1 to drop indexes based on the query profiles alone.')
+        .option('--maximum-indexes-per-collection <maximum-indexes-per-collection>', 'The most indexes that each collection may have, not counting the _id index. Your own indexes count towards this. When the recommended indexes don\'t fit, the ones serving the most important queries are chosen, and the queries left without an index are reported. Default is -1, meaning no limit.')
+        .option('--maximum-indexes <maximum-indexes>', 'The most indexes that all of the collections together may have, not counting the _id indexes. Default is -1, meaning no limit.')
+        .option('--maximum-index-size-per-collection <bytes>', 'The most space that the indexes on each collection may take up, as estimated from the sampled data. Default is -1, meaning no limit.')
+        .option('--maximum-index-size <bytes>', 'The most space that the indexes on all of the collections together may take up, as estimated from the sampled data. Default is -1, meaning no limit.')
+        .option('--write-cost-factor <write-cost-factor>', 'How many units of query weight, as set by --weighting, a single change to an index costs. Every insert and remove changes every index on the collection, and an update changes the indexes containing a field that it modifies. Indexes whose write cost is more than the weight of the queries they serve are not created, and ones the dynamic indexer made before are dropped. Default is 0, which never leaves out an index, but the write cost is still shown in the index report.')
         .option('-m, --minimum-query-count <minimum-query-count>', 'This is the minimum number of times that a particular query needs to have happened before the dynamic indexer will create an index for it. Defaults to 1, which will create an index for any query.')
+        .option('--weighting <weighting>', 'How to measure the importance of each query profile, which decides the order of the index report, the fields that indexes are extended with, and which indexes are chosen to fit within the index budget. One of "count", the number of times the query was seen, "time", the total time taken by the query, or "excess", the total number of documents examined beyond the ones returned. Default is "count".')
+        .option('--minimum-weight <minimum-weight>', 'When --weighting is "time" or "excess", this is the minimum weight, in milliseconds or documents, that a query profile needs before the dynamic indexer will create an index for it. Default is 1.')
         .option('--verbose', 'Enable verbose output. Defaults to false. Can be helpful when trying to determine precisely why the system recommended the indexes that it did')
         .option('--debug', 'Enable debug mode. Debug mode will include line numbers with all the output')
+        .option('-l, --log-file <log-file>', 'Analyze the slow query entries in the given mongod log file instead of using the profiler. Both the legacy text logs and the JSON logs used by MongoDB 4.4+ are supported, and files ending in .gz are decompressed. Can be given multiple times to analyze several files. The recommended indexes are printed once, and then the program exits. The indexes are never changed in this mode, even with --do-changes.', collect, [])
+        .option('--ingest-port <ingest-port>', 'Start an HTTP server on the given port which accepts batches of queries forwarded from your application servers, as a POST to /queries. Please see the documentation for the format. These queries are analyzed along with the ones from system.profile.')
+        .option('--ingest-host <ingest-host>', 'The host name or IP address of the interface that the --ingest-port server listens on. The server has no authentication, so only listen on interfaces that your application servers need to reach it from. Default is 127.0.0.1. Use 0.0.0.0 to listen on every interface.')
+        .option('--ingest-only', 'Only analyze the queries received through --ingest-port, instead of also tailing the system.profile collection. The profiling level is not changed.')
+        .option('--export <export-file>', 'Write the captured query profiles and sampling statistics to the given file, and then exit. Files ending in .ndjson or .jsonl are written as newline delimited JSON, otherwise a single JSON document is written.')
+        .option('--import <import-file>', 'Replace the captured query profiles and sampling statistics with the ones in the given file, which was written with --export, and then exit.')
+        .option('--performance-report-size <performance-report-size>', 'The number of the slowest and of the least efficient query shapes to show in the index report, along with how they performed before an index was created for them. Default is 10. Set to 0 to leave them out of the report.')
+        .option('--redundant-index-report <redundant-index-report-file>', 'Write the list of manual indexes which are redundant, along with the reason for each, to the given file as JSON every time the index report is printed.')
         .option('--simple', 'Enable simple output mode. Instead of outputting a complete description of the index plan, it will instead just output the indexes raw. Easier for copying and pasting into your own code.')
         .parse(process.argv);
 
@@ -49,17 +90,47 @@ function main()
         minimumCardinality: commander['minimumCardinality'],
         minimumReduction: commander['minimumReduction'],
         indexExtension: commander['indexExtension'],
+        smallInListSize: commander['smallInListSize'],
+        fieldReordering: commander['fieldReordering'],
+        fieldReorderingRounds: commander['fieldReorderingRounds'],
+        exactRangeMergeThreshold: commander['exactRangeMergeThreshold'],
+        optimizationComponents: commander['optimizationComponents'],
+        optimizationPlugins: commander['optimizationPlugin'],
+        partialIndexes: commander['partialIndexes'],
+        partialIndexMinimumQueryCount: commander['partialIndexMinimumCount'],
+        coveredQueries: commander['coveredQueries'],
+        coveredQueryMaximumKeySize: commander['coveredQueryMaximumKeySize'],
         doChanges: commander['doChanges'],
         collection: commander['collection'],
         indexSynchronizationInterval: commander['interval'],
         cardinalityUpdateInterval: commander['cardinalityUpdateInterval'],
         showChangesOnly: commander['showChangesOnly'],
         profileLevel: commander['profileLevel'],
+        profileAllMembers: commander['profileAllMembers'],
+        profileHosts: commander['profileHosts'],
+        databases: commander['databases'],
+        allDatabases: commander['allDatabases'],
         recentQueriesOnlyDays: commander['recentQueriesOnlyDays'],
+        keepUsedIndexesDays: commander['keepUsedIndexesDays'],
+        maximumIndexesPerCollection: commander['maximumIndexesPerCollection'],
+        maximumIndexes: commander['maximumIndexes'],
+        maximumIndexSizePerCollection: commander['maximumIndexSizePerCollection'],
+        maximumIndexSize: commander['maximumIndexSize'],
+        writeCostFactor: commander['writeCostFactor'],
         minimumQueryCount: commander['minimumQueryCount'],
+        weighting: commander['weighting'],
+        minimumWeight: commander['minimumWeight'],
         verbose: commander['verbose'],
         debug: commander['debug'],
-        simple: commander['simple']
+        ingestPort: commander['ingestPort'],
+        ingestHost: commander['ingestHost'],
+        ingestOnly: commander['ingestOnly'],
+        exportFile: commander['export'],
+        importFile: commander['import'],
+        performanceReportSize: commander['performanceReportSize'],
+        redundantIndexReportFile: commander['redundantIndexReport'],
+        simple: commander['simple'],
+        logFiles: commander['logFile']
     };
 
     let defaults = {
@@ -69,6 +140,16 @@ function main()
         minimumCardinality: 3,
         minimumReduction: 0.7,
         indexExtension: true,
+        smallInListSize: 3,
+        fieldReordering: true,
+        fieldReorderingRounds: 20,
+        exactRangeMergeThreshold: -1,
+        optimizationComponents: null,
+        optimizationPlugins: [],
+        partialIndexes: true,
+        partialIndexMinimumQueryCount: 100,
+        coveredQueries: false,
+        coveredQueryMaximumKeySize: 128,
         longestIndexableValue: 500,
         doChanges: false,
         collection: "index-optimizer",
@@ -76,15 +157,58 @@ function main()
         cardinalityUpdateInterval: 30,
         showChangesOnly: false,
         profileLevel: 2,
+        profileAllMembers: false,
+        profileHosts: null,
+        databases: null,
+        allDatabases: false,
         recentQueriesOnlyDays: -1,
+        keepUsedIndexesDays: 7,
+        maximumIndexesPerCollection: -1,
+        maximumIndexes: -1,
+        maximumIndexSizePerCollection: -1,
+        maximumIndexSize: -1,
+        writeCostFactor: 0,
         minimumQueryCount: 1,
+        weighting: "count",
+        minimumWeight: 1,
         verbose: false,
         debug: false,
-        simple: false
+        ingestPort: null,
+        ingestHost: "127.0.0.1",
+        ingestOnly: false,
+        exportFile: null,
+        importFile: null,
+        performanceReportSize: 10,
+        redundantIndexReportFile: null,
+        simple: false,
+        logFiles: []
     };
 
     options = underscore.defaults(options, defaults);
 
+    if (options.ingestOnly && !options.ingestPort)
+    {
+        console.error("The --ingest-only option requires --ingest-port to be set.");
+        process.exit(1);
+    }
+
+    if (['count', 'time', 'excess'].indexOf(options.weighting) === -1)
+    {
+        console.error(`Unknown --weighting "${options.weighting}". It must be one of "count", "time" or "excess".`);
+        process.exit(1);
+    }
+
+    // Load the optimization components now, so that unknown components and broken plugins are reported right away
+    try
+    {
+        OptimizationPipeline.fromOptions(options);
+    }
+    catch (err)
+    {
+        console.error(err.message);
+        process.exit(1);
+    }
+
     if (options.debug)
     {
         consoleLogMod.apply();
@@ -99,6 +223,21 @@ function main()
             process.exit(1);
         }
 
+        if (options.importFile)
+        {
+            optimizer.importWorkload(options.importFile, function(err)
+            {
+                if (err)
+                {
+                    console.error(err);
+                    process.exit(1);
+                }
+
+                process.exit(0);
+            });
+            return;
+        }
+
         optimizer.loadOptimizerData(function(err)
         {
             if (err)
@@ -107,6 +246,36 @@ function main()
                 process.exit(1);
             }
 
+            if (options.exportFile)
+            {
+                optimizer.exportWorkload(options.exportFile, function(err)
+                {
+                    if (err)
+                    {
+                        console.error(err);
+                        process.exit(1);
+                    }
+
+                    process.exit(0);
+                });
+                return;
+            }
+
+            if (options.logFiles.length > 0)
+            {
+                optimizer.analyzeLogFiles(options.logFiles, function(err)
+                {
+                    if (err)
+                    {
+                        console.error(err);
+                        process.exit(1);
+                    }
+
+                    process.exit(0);
+                });
+                return;
+            }
+
             optimizer.startOptimizer(function(err)
             {
                 if (err)
@@ -0,0 +1,185 @@
+"use strict";
+
+const underscore = require("underscore");
+
+/**
+ * AggregationPipeline is used to find the portions of an aggregation pipeline which are able to make use of an index,
+ * and convert them into plain queries that can then be analyzed the same way as a regular find.
+ */
+class AggregationPipeline
+{
+    /**
+     * This method goes through the stages of an aggregation pipeline and extracts the queries which could be served
+     * by an index.
+     *
+     * The leading $match and $sort stages of the pipeline are combined into a single query on the collection being
+     * aggregated. A $match that comes after an $unwind, $addFields, $set, $project or $lookup stage is still included,
+     * as long as it doesn't depend on any of the fields produced by those stages, because Mongo is able to move it to
+     * the front of the pipeline. A $sort can only use an index if it comes before any stage which reshapes the documents.
+     *
+     * A leading $geoNear stage is treated as a $near query on its key field.
+     *
+     * Additionally, every $lookup stage using localField and foreignField results in an exact-match query on the
+     * foreignField of the foreign collection.
+     *
+     * If there are no $match, $sort or $geoNear stages which can use an index, no query is returned for the collection
+     * being aggregated, only the ones for the $lookup stages.
+     *
+     * @param {string} namespace The database & collection that the aggregation was performed on
+     * @param { [object] } pipeline The list of aggregation pipeline stages
+     * @returns { [object] } A list of queries, in the form {namespace: String, query: Object, sort: Object}
+     */
+    static extractQueries(namespace, pipeline)
+    {
+        const databaseName = namespace.substr(0, namespace.indexOf("."));
+
+        const matches = [];
+        let sort = {};
+        let reshaped = false;
+        let sorted = false;
+        let modifiedFields = [];
+
+        // This function determines whether the given field depends on any of the fields modified by prior stages
+        function isFieldModified(field)
+        {
+            return underscore.any(modifiedFields, (modifiedField) => field === modifiedField || field.indexOf(modifiedField + ".") === 0 || modifiedField.indexOf(field + ".") === 0);
+        }
+
+        // This function returns the list of document fields that are referenced by a query, including within $and, $or and $nor
+        function getReferencedFields(query)
+        {
+            let fields = [];
+            Object.keys(query).forEach(function(key)
+            {
+                if (key == '$and' || key == '$or' || key == '$nor')
+                {
+                    query[key].forEach((subQuery) => fields = fields.concat(getReferencedFields(subQuery)));
+                }
+                else if (key[0] != '$')
+                {
+                    fields.push(key);
+                }
+            });
+            return fields;
+        }
+
+        for (let stageIndex = 0; stageIndex < pipeline.length; stageIndex += 1)
+        {
+            const stage = pipeline[stageIndex];
+            const stageName = Object.keys(stage)[0];
+            const stageValue = stage[stageName];
+
+            if (stageName == '$match')
+            {
+                // Only keep the parts of the $match which don't depend on fields changed by earlier stages
+                const eligibleMatch = {};
+                Object.keys(stageValue).forEach(function(key)
+                {
+                    const referencedFields = getReferencedFields({[key]: stageValue[key]});
+                    if (!underscore.any(referencedFields, isFieldModified))
+                    {
+                        eligibleMatch[key] = stageValue[key];
+                    }
+                });
+
+                if (Object.keys(eligibleMatch).length > 0)
+                {
+                    matches.push(eligibleMatch);
+                }
+            }
+            else if (stageName == '$geoNear')
+            {
+                // A $geoNear stage is the same as a $near query on its key field, combined with its query. Without a key,
+                // Mongo uses the only geospatial index on the collection, so we can't tell which field it is searching
+                if (stageValue.key)
+                {
+                    const near = stageValue.near && stageValue.near.type ? {$geometry: stageValue.near} : stageValue.near;
+                    matches.push({[stageValue.key]: {$near: near}});
+                }
+
+                if (stageValue.query && Object.keys(stageValue.query).length > 0)
+                {
+                    matches.push(stageValue.query);
+                }
+            }
+            else if (stageName == '$sort')
+            {
+                if (!reshaped && !sorted)
+                {
+                    sort = stageValue;
+                }
+                sorted = true;
+            }
+            else if (stageName == '$unwind')
+            {
+                const path = underscore.isObject(stageValue) ? stageValue.path : stageValue;
+                modifiedFields.push(path.replace(/^\$/, ""));
+                if (underscore.isObject(stageValue) && stageValue.includeArrayIndex)
+                {
+                    modifiedFields.push(stageValue.includeArrayIndex);
+                }
+                reshaped = true;
+            }
+            else if (stageName == '$addFields' || stageName == '$set')
+            {
+                modifiedFields = modifiedFields.concat(Object.keys(stageValue));
+                reshaped = true;
+            }
+            else if (stageName == '$project')
+            {
+                // Fields which are simply included are unchanged, everything else is either removed or computed
+                modifiedFields = modifiedFields.concat(underscore.filter(Object.keys(stageValue), (field) => stageValue[field] !== 1 && stageValue[field] !== true));
+                reshaped = true;
+            }
+            else if (stageName == '$lookup')
+            {
+                modifiedFields.push(stageValue.as);
+                reshaped = true;
+            }
+            else
+            {
+                // Any other stage, such as $group or $limit, prevents the remainder of the pipeline from using an index
+                break;
+            }
+        }
+
+        let query = {};
+        if (matches.length == 1)
+        {
+            query = matches[0];
+        }
+        else if (matches.length > 1)
+        {
+            query = {$and: matches};
+        }
+
+        // A pipeline without any stages that can use an index, such as one that starts with $group, doesn't query the
+        // collection being aggregated in a way that we can analyze
+        const queries = [];
+        if (Object.keys(query).length > 0 || Object.keys(sort).length > 0)
+        {
+            queries.push({
+                namespace: namespace,
+                query: query,
+                sort: sort
+            });
+        }
+
+        // Each $lookup will perform an exact match on the foreign field of the foreign collection
+        pipeline.forEach(function(stage)
+        {
+            if (stage['$lookup'] && stage['$lookup'].from && stage['$lookup'].foreignField)
+            {
+                queries.push({
+                    namespace: `${databaseName}.${stage['$lookup'].from}`,
+                    query: {[stage['$lookup'].foreignField]: {$eq: `$${stage['$lookup'].localField}`}},
+                    sort: {}
+                });
+            }
+        });
+
+        return queries;
+    }
+}
+
+module.exports = AggregationPipeline;
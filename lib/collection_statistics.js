@@ -1,7 +1,17 @@
 "use strict";
 
+const underscore = require("underscore");
+
 const mongoFieldNamePartSeparator = "_____";
 
+/**
+ * These are rough figures used to estimate the size of an index. Each entry in an index stores the location of its
+ * document along with the key, and fields that weren't sampled, like the hashed words of a text index, are assumed to
+ * take up about as much room as a number.
+ */
+const indexEntryOverhead = 16;
+const defaultFieldSize = 8;
+
 /**
  * This class stores statistical information about a collection, such as the cardinality of its fields
  */
@@ -18,15 +28,72 @@ class CollectionStatistics
         self.fieldStatistics = {};
         Object.keys(data.fieldStatistics || {}).forEach(function(fieldName)
         {
-            self.fieldStatistics[fieldName.replace(mongoFieldNamePartSeparator, ".")] = data.fieldStatistics[fieldName];
+            self.fieldStatistics[fieldName.split(mongoFieldNamePartSeparator).join(".")] = data.fieldStatistics[fieldName];
         });
 
         self.knownArrayPrefixes = data.knownArrayPrefixes;
 
+        // Statistics sampled before the number of documents was recorded have null here
+        self.documentCount = underscore.isNumber(data.documentCount) ? data.documentCount : null;
+
         self.lastSampleTime = new Date(data.lastSampleTime);
     }
 
 
+    /**
+     * Makes a rough estimate of how much space an index would take up on this collection, based on the number of
+     * documents in the collection and the longest value sampled for each field in the index.
+     *
+     * @param {MongoIndex} index The index to estimate the size of
+     * @returns {number} The estimated size of the index in bytes, or null if the number of documents isn't known
+     */
+    estimateIndexSize(index)
+    {
+        const self = this;
+        if (self.documentCount === null)
+        {
+            return null;
+        }
+
+        const keySize = underscore.reduce(Object.keys(index), function(total, field)
+        {
+            const statistics = self.fieldStatistics[field];
+            if (!statistics || index[field] === 'hashed')
+            {
+                return total + defaultFieldSize;
+            }
+
+            return total + statistics.longest;
+        }, 0);
+
+        return self.documentCount * (keySize + indexEntryOverhead);
+    }
+
+
+    /**
+     * Determines how location data is stored in the given field, based on the sampled fields beneath it. GeoJSON objects,
+     * like {type: "Point", coordinates: [-73.97, 40.77]}, show up as the "type" and "coordinates" sub-fields. Anything
+     * else, such as [-73.97, 40.77] or {lng: -73.97, lat: 40.77}, is treated as a legacy coordinate pair.
+     *
+     * @param {string} field The name of the location field
+     * @returns {string} Either "geojson" or "legacy", or null if the field wasn't found in the sampled objects
+     */
+    getGeoFieldFormat(field)
+    {
+        const self = this;
+        if (self.fieldStatistics[`${field}.type`] && (self.fieldStatistics[`${field}.coordinates`] || self.fieldStatistics[`${field}.geometries.type`]))
+        {
+            return "geojson";
+        }
+        else if (self.fieldStatistics[field] || underscore.any(Object.keys(self.fieldStatistics), (fieldName) => fieldName.indexOf(`${field}.`) === 0))
+        {
+            return "legacy";
+        }
+
+        return null;
+    }
+
+
     /**
      * Converts the statistics into a JSON form that can be saved in the Mongo database.
      *
@@ -49,6 +116,7 @@ class CollectionStatistics
         return {
             fieldStatistics: newFieldStatistics,
             knownArrayPrefixes: self.knownArrayPrefixes,
+            documentCount: self.documentCount,
             lastSampleTime: self.lastSampleTime.toISOString()
         }
     }
@@ -11,11 +11,16 @@ class IndexSet
      * Create a new IndexSet object from a given set of indexes
      *
      * @param { [MongoIndex] } indexes The list of indexes for this set.
+     * @param { [object] } [uncoveredQueryProfiles] The query profiles which were left without an index, like
+     *                                             {queryProfile: QueryProfile, index: MongoIndex, reason: "budget"},
+     *                                             where the index is the one that the query profile would have needed
+     *                                             and the reason is either "budget" or "writeCost"
      */
-    constructor(indexes)
+    constructor(indexes, uncoveredQueryProfiles)
     {
         const self = this;
         self.indexes = indexes;
+        self.uncoveredQueryProfiles = uncoveredQueryProfiles || [];
     }
 
 
@@ -27,7 +32,8 @@ class IndexSet
         const self = this;
         let strings = self.indexes.map(function(index)
         {
-            return (`${index.mongoCollectionName}(${JSON.stringify(index)}, {name: "${index.mongoIndexName}"});`);
+            const options = underscore.map(index.indexOptions, (value, option) => `, ${option}: ${JSON.stringify(value)}`).join("");
+            return (`${index.mongoNamespace}(${JSON.stringify(index)}, {name: "${index.mongoIndexName}"${options}});`);
         });
 
         strings = underscore.sortBy(strings, (s) => s);
@@ -44,25 +50,51 @@ class IndexSet
      *
      * @param { IndexSet } recommendedIndexSet This is the set of indexes which are
      * @param { IndexSet } currentIndexSet This is the set of indexes
+     * @param { number } [keepUsedIndexesDays] Existing indexes which $indexStats has shown being used within this many
+     *                                         days are never dropped. Defaults to -1, which disables this
      *
-     * @returns {object} An object containing the recommended changes to be made
+     * @returns {object} An object containing the recommended changes to be made, along with the list of
+     *                   existing manual indexes which are redundant, see IndexSet.getRedundantManualIndexes, and
+     *                   the query profiles left without an index
      */
-    static getRecommendedIndexChanges(recommendedIndexSet, currentIndexSet)
+    static getRecommendedIndexChanges(recommendedIndexSet, currentIndexSet, keepUsedIndexesDays)
     {
-        // Find all the collections for these indexes
+        if (underscore.isUndefined(keepUsedIndexesDays))
+        {
+            keepUsedIndexesDays = -1;
+        }
+
+        // Find all the collections for these indexes. Collections are identified by their namespace, since they may
+        // come from several different databases
         const allCollections = underscore.uniq(underscore.flatten([
-            underscore.map(recommendedIndexSet.indexes, (index) => index.mongoCollectionName),
-            underscore.map(currentIndexSet.indexes, (index) => index.mongoCollectionName)
+            underscore.map(recommendedIndexSet.indexes, (index) => index.mongoNamespace),
+            underscore.map(currentIndexSet.indexes, (index) => index.mongoNamespace),
+            underscore.map(recommendedIndexSet.uncoveredQueryProfiles, (uncovered) => uncovered.queryProfile.namespace)
         ]));
 
         // We sort indexes into three groups - create, drop, and keep, for each collection
-        const groupedRecommendedIndexes = underscore.groupBy(recommendedIndexSet.indexes, (index) => index.mongoCollectionName);
-        const groupedCurrentIndexes = underscore.groupBy(currentIndexSet.indexes, (index) => index.mongoCollectionName);
+        const groupedRecommendedIndexes = underscore.groupBy(recommendedIndexSet.indexes, (index) => index.mongoNamespace);
+        const groupedCurrentIndexes = underscore.groupBy(currentIndexSet.indexes, (index) => index.mongoNamespace);
 
-        return underscore.map(allCollections, function(collectionName)
+        return underscore.map(allCollections, function(namespace)
         {
-            const existingIndexes = groupedCurrentIndexes[collectionName] || [];
-            const wantedIndexes = groupedRecommendedIndexes[collectionName] || [];
+            const existingIndexes = groupedCurrentIndexes[namespace] || [];
+            let wantedIndexes = groupedRecommendedIndexes[namespace] || [];
+
+            // A collection can only have one text index. If there is one already, we keep the fields that it searches,
+            // since a $text query can't tell us which fields should be searched. If it was created by hand, we leave it
+            // alone entirely rather then replacing it.
+            const existingTextIndex = underscore.find(existingIndexes, (index) => index.isTextIndex);
+            const wantedTextIndex = underscore.find(wantedIndexes, (index) => index.isTextIndex);
+            if (existingTextIndex && wantedTextIndex)
+            {
+                wantedTextIndex.setTextFields(existingTextIndex.textFields);
+                if (existingTextIndex.mongoIndexName.indexOf('auto_') != 0)
+                {
+                    wantedIndexes = underscore.without(wantedIndexes, wantedTextIndex);
+                    wantedTextIndex.knownQueryProfiles.forEach((queryProfile) => existingTextIndex.addKnownQueryProfile(queryProfile));
+                }
+            }
 
             const existingIndexesByCanonicalString = underscore.groupBy(existingIndexes, index => index.canonicalString);
             const wantedIndexesByCanonicalString = underscore.groupBy(wantedIndexes, index => index.canonicalString);
@@ -78,17 +110,100 @@ class IndexSet
             indexesToKeep = indexesToKeep.concat(underscore.filter(indexesToDrop, indexString => existingIndexesByCanonicalString[indexString][0].mongoIndexName.indexOf('auto_') != 0));
             indexesToDrop = underscore.filter(indexesToDrop, indexString => existingIndexesByCanonicalString[indexString][0].mongoIndexName.indexOf('auto_') == 0);
 
-            // Just for convenience sake, go through all of the indexes to keep and mark them as existing.
-            indexesToKeep.forEach((indexString) => (wantedIndexesByCanonicalString[indexString] || existingIndexesByCanonicalString[indexString])[0].setIndexExists(true));
+            // An index that is still serving queries is kept even if no known query profile uses it. This happens in slow
+            // query mode, where the queries that an index has made fast are no longer profiled
+            indexesToKeep = indexesToKeep.concat(underscore.filter(indexesToDrop, indexString => existingIndexesByCanonicalString[indexString][0].wasUsedWithinDays(keepUsedIndexesDays)));
+            indexesToDrop = underscore.filter(indexesToDrop, indexString => !existingIndexesByCanonicalString[indexString][0].wasUsedWithinDays(keepUsedIndexesDays));
+
+            // Just for convenience sake, go through all of the indexes to keep and mark them as existing, along with how
+            // often they have been used
+            indexesToKeep.forEach(function(indexString)
+            {
+                const index = (wantedIndexesByCanonicalString[indexString] || existingIndexesByCanonicalString[indexString])[0];
+                index.setIndexExists(true);
+                index.setIndexUsage(existingIndexesByCanonicalString[indexString][0].getIndexUsage());
+            });
+
+            const create = underscore.map(indexesToCreate, (indexString) => wantedIndexesByCanonicalString[indexString][0]);
+            const keep = underscore.map(indexesToKeep, (indexString) => (wantedIndexesByCanonicalString[indexString] || existingIndexesByCanonicalString[indexString])[0]);
 
             return {
-                collectionName: collectionName,
-                create: underscore.map(indexesToCreate, (indexString) => wantedIndexesByCanonicalString[indexString][0]),
+                namespace: namespace,
+                create: create,
                 drop: underscore.map(indexesToDrop, (indexString) => existingIndexesByCanonicalString[indexString][0]),
-                keep: underscore.map(indexesToKeep, (indexString) => (wantedIndexesByCanonicalString[indexString] || existingIndexesByCanonicalString[indexString])[0]),
+                keep: keep,
+                // Manual indexes with the same canonical string as another are only in the keep list once, so they
+                // are all added back in here
+                redundant: IndexSet.getRedundantManualIndexes(underscore.uniq(keep.concat(create).concat(underscore.filter(existingIndexes, (index) => index.mongoIndexName.indexOf('auto_') != 0)))),
+                uncovered: underscore.filter(recommendedIndexSet.uncoveredQueryProfiles, (uncovered) => uncovered.queryProfile.namespace === namespace)
             };
         });
     }
+
+
+    /**
+     * The dynamic indexer never changes indexes that were made by hand, e.g. whose names don't start with "auto_".
+     * This method finds the ones that could be dropped, for one of the following reasons:
+     *
+     *  - "duplicate" - The index has the same fields and options as another index
+     *  - "prefix" - The index is a prefix of another index, which can be used for all of the same queries
+     *  - "unused" - None of the known query profiles use the index. Text and geospatial indexes are never unused,
+     *    since their query profiles aren't matched with the manual indexes
+     *
+     * Unique, TTL and hidden indexes are never considered redundant, since they are kept for reasons other then
+     * answering queries.
+     *
+     * @param { [MongoIndex] } indexes All of the indexes that a single collection will have, once the recommended
+     *                                 changes have been made
+     * @returns { [object] } A list of objects like {index: MongoIndex, reason: "prefix", otherIndex: MongoIndex}. The
+     *                       otherIndex is the index that makes this one redundant, or null for unused indexes.
+     */
+    static getRedundantManualIndexes(indexes)
+    {
+        const manualIndexes = underscore.sortBy(underscore.filter(indexes, (index) => index.mongoIndexName.indexOf('auto_') != 0), (index) => index.mongoIndexName);
+
+        function isKept(index)
+        {
+            return index.unique || index.hidden || index.expireAfterSeconds !== null;
+        }
+
+        const redundantIndexes = [];
+        manualIndexes.forEach(function(index)
+        {
+            if (isKept(index))
+            {
+                return;
+            }
+
+            // A sparse index can't stand in for one that isn't, since it leaves out some documents
+            const otherIndexes = underscore.filter(indexes, (otherIndex) => otherIndex !== index && !otherIndex.hidden && (!otherIndex.sparse || index.sparse));
+
+            // Of two identical manual indexes, the one that sorts first by name is the one that is kept
+            const duplicateIndex = underscore.find(otherIndexes, (otherIndex) => index.isSameAs(otherIndex)
+                && (otherIndex.mongoIndexName.indexOf('auto_') == 0 || isKept(otherIndex) || manualIndexes.indexOf(otherIndex) < manualIndexes.indexOf(index)));
+            if (duplicateIndex)
+            {
+                redundantIndexes.push({index: index, reason: "duplicate", otherIndex: duplicateIndex});
+                return;
+            }
+
+            const longerIndex = underscore.find(otherIndexes, (otherIndex) => index.isIndexPrefixOf(otherIndex));
+            if (longerIndex)
+            {
+                redundantIndexes.push({index: index, reason: "prefix", otherIndex: longerIndex});
+                return;
+            }
+
+            // The query profiles for text and geospatial queries are only assigned to the recommended text and
+            // geospatial indexes, so there's no telling whether a manual one is used
+            if (index.knownQueryProfiles.length === 0 && !index.isTextIndex && !index.isGeoIndex)
+            {
+                redundantIndexes.push({index: index, reason: "unused", otherIndex: null});
+            }
+        });
+
+        return redundantIndexes;
+    }
 }
 
 module.exports = IndexSet;
\ No newline at end of file
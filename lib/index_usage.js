@@ -0,0 +1,153 @@
+"use strict";
+
+const underscore = require("underscore");
+
+/**
+ * This class keeps track of how often each index has actually been used, based on the results of Mongos $indexStats
+ * aggregation stage. The access counts from $indexStats only ever go up until the server restarts or the index is
+ * rebuilt, so the time that an index was last used is worked out by noticing when its count goes up between polls.
+ */
+class IndexUsage
+{
+    /**
+     * Constructs an IndexUsage object from its serialized, pure JSON form, which looks like the following:
+     *
+     * {
+     *      indexes: [
+     *          {
+     *              namespace: "dbName.collectionName",
+     *              name: "auto_...",
+     *              host: "db1.example.com:27017",
+     *              accesses: Number,
+     *              since: "Date in ISO8601 format",
+     *              lastAccessTime: "Date in ISO8601 format",
+     *              lastCheckTime: "Date in ISO8601 format"
+     *          }
+     *      ]
+     * }
+     *
+     * @param {object} [data] The JSON object. Can be null to start with no usage information
+     */
+    constructor(data)
+    {
+        const self = this;
+        self.indexes = underscore.map((data && data.indexes) || [], (entry) => ({
+            namespace: entry.namespace,
+            name: entry.name,
+            host: entry.host,
+            accesses: entry.accesses,
+            since: new Date(entry.since),
+            lastAccessTime: entry.lastAccessTime ? new Date(entry.lastAccessTime) : null,
+            lastCheckTime: new Date(entry.lastCheckTime)
+        }));
+    }
+
+
+    /**
+     * Records the results of running $indexStats against a collection on a single server.
+     *
+     * $indexStats can't say when an index was last used, only how many times it has been used since the given time.
+     * So an index is considered to have been used at the time of the poll whenever its count has gone up. When an
+     * index is seen for the first time and it has already been used, all that is known is that it was used at some
+     * point after the since time, so that is taken as the time that it was last used. An index which has sat idle
+     * since long before the first poll isn't mistaken for one which was just used.
+     *
+     * @param {string} namespace The namespace of the collection, like "dbName.collectionName"
+     * @param {string} host The "host:port" of the server that $indexStats was run on
+     * @param { [object] } indexStats The documents returned by $indexStats, like {name: "name_1", accesses: {ops: 5, since: Date}}
+     */
+    recordIndexStats(namespace, host, indexStats)
+    {
+        const self = this;
+        const now = new Date();
+
+        // Forget about indexes that don't exist anymore
+        self.indexes = underscore.filter(self.indexes, (entry) => entry.namespace !== namespace || entry.host !== host || underscore.findWhere(indexStats, {name: entry.name}));
+
+        indexStats.forEach(function(indexStat)
+        {
+            const accesses = Number(indexStat.accesses.ops);
+            const since = new Date(indexStat.accesses.since);
+
+            let entry = underscore.findWhere(self.indexes, {namespace: namespace, name: indexStat.name, host: host});
+            if (!entry)
+            {
+                entry = {
+                    namespace: namespace,
+                    name: indexStat.name,
+                    host: host,
+                    accesses: accesses,
+                    since: since,
+                    lastAccessTime: accesses > 0 ? since : null,
+                    lastCheckTime: now
+                };
+                self.indexes.push(entry);
+            }
+
+            // The counts start again from zero when the server restarts or the index is rebuilt
+            if (entry.since.getTime() !== since.getTime())
+            {
+                entry.accesses = 0;
+                entry.since = since;
+            }
+
+            if (accesses > entry.accesses)
+            {
+                entry.lastAccessTime = now;
+            }
+
+            entry.accesses = accesses;
+            entry.lastCheckTime = now;
+        });
+    }
+
+
+    /**
+     * Returns the usage of an index, added up across every server that it was polled on.
+     *
+     * @param {string} namespace The namespace of the collection, like "dbName.collectionName"
+     * @param {string} name The name of the index
+     * @returns {object} An object like {accesses: Number, since: Date, lastAccessTime: Date}, or null if the index
+     *                   hasn't been polled. lastAccessTime is null if the index hasn't been used.
+     */
+    getUsage(namespace, name)
+    {
+        const self = this;
+        const entries = underscore.where(self.indexes, {namespace: namespace, name: name});
+        if (entries.length === 0)
+        {
+            return null;
+        }
+
+        const accessTimes = underscore.filter(underscore.pluck(entries, 'lastAccessTime'), (time) => time !== null);
+        return {
+            accesses: underscore.reduce(entries, (total, entry) => total + entry.accesses, 0),
+            since: underscore.min(underscore.pluck(entries, 'since'), (since) => since.getTime()),
+            lastAccessTime: accessTimes.length > 0 ? underscore.max(accessTimes, (time) => time.getTime()) : null
+        };
+    }
+
+
+    /**
+     * Converts the index usage into a JSON form that can be saved in the Mongo database.
+     *
+     * @returns {object} A JSON serializable form of this IndexUsage object.
+     */
+    toJSON()
+    {
+        const self = this;
+        return {
+            indexes: underscore.map(self.indexes, (entry) => ({
+                namespace: entry.namespace,
+                name: entry.name,
+                host: entry.host,
+                accesses: entry.accesses,
+                since: entry.since.toISOString(),
+                lastAccessTime: entry.lastAccessTime ? entry.lastAccessTime.toISOString() : null,
+                lastCheckTime: entry.lastCheckTime.toISOString()
+            }))
+        };
+    }
+}
+
+module.exports = IndexUsage;
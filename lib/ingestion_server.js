@@ -0,0 +1,236 @@
+"use strict";
+
+const http = require("http"),
+    underscore = require("underscore");
+
+const _optimizer = Symbol("_optimizer");
+const _server = Symbol("_server");
+
+/**
+ * The largest request body, in bytes, that the ingestion server will accept.
+ */
+const maximumBodySize = 16 * 1024 * 1024;
+
+/**
+ * The most query records that can be waiting in the optimizers queue before new requests are turned away. Each query
+ * record may need its collection to be sampled, so this stops a busy fleet of application servers from growing the
+ * queue faster then it can be processed.
+ */
+const maximumQueuedQueryRecords = 10000;
+
+/**
+ * The QueryIngestionServer is a small HTTP server which receives the queries being made by your application servers,
+ * and feeds them into the optimizer. This allows the queries made across an entire cluster to be analyzed, rather
+ * then only the ones seen in the system.profile collection of a single server.
+ *
+ * Queries are sent by making a POST request to /queries, with a JSON body containing a list of query records,
+ * either as an array or as {queries: [...]}. The query records are in the form described by QuerySet::addQueryRecord.
+ * Only the namespace is required.
+ *
+ * The server has no authentication, so it should only listen on interfaces that your application servers can reach.
+ * When too many query records are already waiting to be processed, requests are refused with a 503 status.
+ */
+class QueryIngestionServer
+{
+    /**
+     * Creates the ingestion server.
+     *
+     * @param {MongoOptimizer} optimizer The optimizer that received queries should be given to.
+     */
+    constructor(optimizer)
+    {
+        const self = this;
+        self[_optimizer] = optimizer;
+        self[_server] = null;
+    }
+
+
+    /**
+     * Starts listening for requests.
+     *
+     * @param {number} port The port to listen on
+     * @param {string} host The host name or IP address of the interface to listen on, like "127.0.0.1"
+     * @param {function(err)} done A callback after the server has started listening
+     */
+    start(port, host, done)
+    {
+        const self = this;
+
+        self[_server] = http.createServer(function(request, response)
+        {
+            self.handleRequest(request, response);
+        });
+
+        self[_server].once('error', done);
+        self[_server].listen(port, host, function()
+        {
+            self[_server].removeListener('error', done);
+            self[_server].on('error', (err) => console.error(err));
+            return done();
+        });
+    }
+
+
+    /**
+     * Stops listening for requests.
+     *
+     * @param {function(err)} done A callback after the server has been closed.
+     */
+    stop(done)
+    {
+        const self = this;
+        if (!self[_server])
+        {
+            return done();
+        }
+
+        self[_server].close(done);
+        self[_server] = null;
+    }
+
+
+    /**
+     * Handles a single HTTP request. The request is validated, and then all of its query records are queued to be
+     * processed by the optimizer. The response is sent as soon as the query records are queued, since processing them
+     * may require the collections to be sampled, which can take a long time.
+     *
+     * @param {object} request The http.IncomingMessage object
+     * @param {object} response The http.ServerResponse object
+     */
+    handleRequest(request, response)
+    {
+        const self = this;
+
+        function respond(statusCode, body, headers)
+        {
+            response.writeHead(statusCode, underscore.extend({'Content-Type': 'application/json'}, headers));
+            response.end(JSON.stringify(body));
+        }
+
+        if (request.url.split("?")[0] !== '/queries')
+        {
+            return respond(404, {ok: 0, error: `Unknown path ${request.url}`});
+        }
+
+        if (request.method !== 'POST')
+        {
+            return respond(405, {ok: 0, error: `Method ${request.method} is not supported, use POST`});
+        }
+
+        // Turn the request away before reading it if the optimizer is already behind on the queries it has been sent
+        if (self[_optimizer].queue.length() >= maximumQueuedQueryRecords)
+        {
+            request.resume();
+            return respond(503, {ok: 0, error: `There are already ${self[_optimizer].queue.length()} queries waiting to be processed, try again later`}, {'Retry-After': '30'});
+        }
+
+        const chunks = [];
+        let bodySize = 0;
+        let aborted = false;
+        request.on('data', function(chunk)
+        {
+            bodySize += chunk.length;
+            if (bodySize > maximumBodySize)
+            {
+                aborted = true;
+                respond(413, {ok: 0, error: `Request body is larger then the maximum of ${maximumBodySize} bytes`});
+                request.destroy();
+                return;
+            }
+
+            chunks.push(chunk);
+        });
+
+        request.on('end', function()
+        {
+            if (aborted)
+            {
+                return;
+            }
+
+            let body = null;
+            try
+            {
+                body = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+            }
+            catch(err)
+            {
+                return respond(400, {ok: 0, error: `Unable to parse the request body as JSON: ${err.message}`});
+            }
+
+            const queryRecords = underscore.isArray(body) ? body : (body && body.queries);
+            if (!underscore.isArray(queryRecords))
+            {
+                return respond(400, {ok: 0, error: "The request body must be an array of query records, or an object with a 'queries' array"});
+            }
+
+            for (let recordIndex = 0; recordIndex < queryRecords.length; recordIndex += 1)
+            {
+                const error = QueryIngestionServer.validateQueryRecord(queryRecords[recordIndex]);
+                if (error)
+                {
+                    return respond(400, {ok: 0, error: `Query record ${recordIndex} is invalid: ${error}`});
+                }
+            }
+
+            queryRecords.forEach((queryRecord) => self[_optimizer].queueQueryRecord(queryRecord));
+
+            return respond(202, {ok: 1, received: queryRecords.length});
+        });
+    }
+
+
+    /**
+     * Checks that a query record received by the server has the expected shape.
+     *
+     * @param {object} queryRecord The query record
+     * @returns {string} A description of the problem with the query record, or null if it is valid
+     */
+    static validateQueryRecord(queryRecord)
+    {
+        if (!underscore.isObject(queryRecord) || underscore.isArray(queryRecord))
+        {
+            return "it must be an object";
+        }
+
+        if (!underscore.isString(queryRecord.namespace) || !/^[^.]+\..+$/.test(queryRecord.namespace))
+        {
+            return "namespace must be a string like \"dbName.collectionName\"";
+        }
+
+        const objectFields = ['filter', 'sort', 'projection', 'collation'];
+        for (let fieldIndex = 0; fieldIndex < objectFields.length; fieldIndex += 1)
+        {
+            const value = queryRecord[objectFields[fieldIndex]];
+            if (!underscore.isUndefined(value) && value !== null && (!underscore.isObject(value) || underscore.isArray(value)))
+            {
+                return `${objectFields[fieldIndex]} must be an object`;
+            }
+        }
+
+        // Updates can be given either as an update document or as an update pipeline
+        if (!underscore.isUndefined(queryRecord.update) && queryRecord.update !== null && !underscore.isObject(queryRecord.update))
+        {
+            return "update must be an object or an array";
+        }
+
+        const numberFields = ['durationMillis', 'documentCount'];
+        for (let fieldIndex = 0; fieldIndex < numberFields.length; fieldIndex += 1)
+        {
+            const value = queryRecord[numberFields[fieldIndex]];
+            if (!underscore.isUndefined(value) && value !== null && !underscore.isNumber(value))
+            {
+                return `${numberFields[fieldIndex]} must be a number`;
+            }
+        }
+
+        if (!underscore.isUndefined(queryRecord.op) && !underscore.isString(queryRecord.op))
+        {
+            return "op must be a string";
+        }
+
+        return null;
+    }
+}
+
+module.exports = QueryIngestionServer;
@@ -0,0 +1,659 @@
+"use strict";
+
+const async = require('async'),
+    fs = require('fs'),
+    mongodb = require("mongodb"),
+    ProfileFormat = require("./profile_format"),
+    readline = require('readline'),
+    underscore = require("underscore"),
+    zlib = require('zlib');
+
+/**
+ * MongoLogParser reads the slow query entries out of mongod log files, and converts them into the same shape as the
+ * documents stored in the system.profile collection. This allows queries to be analyzed without ever turning on
+ * the profiler.
+ *
+ * Two log formats are understood:
+ *
+ *  - The legacy text format, used by MongoDB 4.2 and earlier, e.g.
+ *    2019-07-22T10:15:07.123+0000 I COMMAND  [conn12] command mydb.users command: find { find: "users", filter: { name: "bob" } } planSummary: IXSCAN { name: 1 } keysExamined:1 docsExamined:1 nreturned:1 reslen:250 120ms
+ *  - The structured JSON format, used by MongoDB 4.4 and later, e.g.
+ *    {"t":{"$date":"2020-07-22T10:15:07.123+00:00"},"s":"I","c":"COMMAND","id":51803,"ctx":"conn12","msg":"Slow query","attr":{"type":"command","ns":"mydb.users","command":{"find":"users","filter":{"name":"bob"}},"durationMillis":120}}
+ */
+class MongoLogParser
+{
+    /**
+     * This method reads through a list of log files, calling the iterator for every slow query entry that it finds.
+     * Files ending in .gz are decompressed as they are read.
+     *
+     * @param { [string] } logFiles The list of paths to the log files
+     * @param {function(mongoProfile, next)} iterator A function that will be called with each profile document
+     * @param {function(err)} done A callback after all of the log files have been processed
+     */
+    static readLogFiles(logFiles, iterator, done)
+    {
+        async.eachSeries(logFiles, function(logFile, next)
+        {
+            const fileStream = fs.createReadStream(logFile);
+            let input = fileStream;
+            if (/\.gz$/.test(logFile))
+            {
+                input = fileStream.pipe(zlib.createGunzip());
+            }
+
+            const lines = readline.createInterface({input: input});
+
+            // The profiles are processed as the file is read, so that large log files don't have to fit in memory.
+            // Reading is paused while the iterator runs, but readline can still emit the rest of the lines it has
+            // already read, so they wait here until the iterator is ready for them
+            const pendingProfiles = [];
+            let processing = false;
+            let closed = false;
+            let finished = false;
+
+            // A read error can be reported by the file, the gunzip and readline all at once, so this makes sure that
+            // we only move on to the next file a single time
+            function finish(err)
+            {
+                if (finished)
+                {
+                    return;
+                }
+
+                finished = true;
+                lines.close();
+                if (err)
+                {
+                    fileStream.destroy();
+                }
+
+                return next(err);
+            }
+
+            function processPendingProfiles()
+            {
+                if (processing || finished)
+                {
+                    return;
+                }
+
+                if (pendingProfiles.length === 0)
+                {
+                    if (closed)
+                    {
+                        return finish();
+                    }
+
+                    return lines.resume();
+                }
+
+                processing = true;
+                iterator(pendingProfiles.shift(), function(err)
+                {
+                    processing = false;
+                    if (err)
+                    {
+                        return finish(err);
+                    }
+
+                    return processPendingProfiles();
+                });
+            }
+
+            fileStream.on('error', finish);
+            input.on('error', finish);
+            lines.on('error', finish);
+
+            lines.on('line', function(line)
+            {
+                const mongoProfile = MongoLogParser.parseLogLine(line);
+                if (mongoProfile && ProfileFormat.isSupportedMongoProfile(mongoProfile))
+                {
+                    pendingProfiles.push(mongoProfile);
+                    lines.pause();
+                    processPendingProfiles();
+                }
+            });
+
+            lines.on('close', function()
+            {
+                closed = true;
+                processPendingProfiles();
+            });
+        }, done);
+    }
+
+
+    /**
+     * Parses a single line from a mongod log file.
+     *
+     * @param {string} line A line from the log file
+     * @returns {object} A profile document, in the same shape as the ones in system.profile, or null if the line
+     *                   isn't a slow query entry that could be parsed.
+     */
+    static parseLogLine(line)
+    {
+        line = line.trim();
+        if (line[0] == '{')
+        {
+            return MongoLogParser.parseStructuredLogLine(line);
+        }
+        else
+        {
+            return MongoLogParser.parseLegacyLogLine(line);
+        }
+    }
+
+
+    /**
+     * Parses a line from the structured JSON logs used by MongoDB 4.4 and later.
+     *
+     * @param {string} line A line from the log file
+     * @returns {object} A profile document, or null if this isn't a slow query entry
+     */
+    static parseStructuredLogLine(line)
+    {
+        let entry;
+        try
+        {
+            entry = JSON.parse(line);
+        }
+        catch(err)
+        {
+            return null;
+        }
+
+        if (entry.msg !== 'Slow query' || !entry.attr || !entry.attr.ns || !entry.attr.command)
+        {
+            return null;
+        }
+
+        let attr;
+        try
+        {
+            attr = MongoLogParser.convertExtendedJSON(entry.attr);
+        }
+        catch(err)
+        {
+            // Values such as regular expressions can be valid for MongoDB, but not for Javascript
+            return null;
+        }
+
+        const mongoProfile = {
+            op: attr.type,
+            ns: attr.ns,
+            command: attr.command
+        };
+
+        if (attr.type === 'command' && typeof attr.command.find === 'string')
+        {
+            mongoProfile.op = 'query';
+        }
+        else if (attr.type === 'command' && typeof attr.command.insert === 'string')
+        {
+            mongoProfile.op = 'insert';
+        }
+
+        ['planSummary', 'keysExamined', 'docsExamined', 'nreturned', 'hasSortStage', 'ninserted', 'nMatched', 'nModified', 'ndeleted'].forEach(function(field)
+        {
+            if (!underscore.isUndefined(attr[field]))
+            {
+                mongoProfile[field] = attr[field];
+            }
+        });
+
+        if (!underscore.isUndefined(attr.durationMillis))
+        {
+            mongoProfile.millis = attr.durationMillis;
+        }
+
+        if (entry.t && entry.t['$date'])
+        {
+            mongoProfile.ts = new Date(entry.t['$date']);
+        }
+
+        return mongoProfile;
+    }
+
+
+    /**
+     * Parses a line from the legacy text logs used by MongoDB 4.2 and earlier.
+     *
+     * @param {string} line A line from the log file
+     * @returns {object} A profile document, or null if this isn't a slow query entry
+     */
+    static parseLegacyLogLine(line)
+    {
+        const match = /\[[^\]]+\]\s+(query|command|insert|update|remove)\s+(\S+)\s+(.*)$/.exec(line);
+        if (!match)
+        {
+            return null;
+        }
+
+        const mongoProfile = {
+            op: match[1],
+            ns: match[2]
+        };
+        let rest = match[3];
+
+        try
+        {
+            // The command, if there is one, is formatted like "command: find { find: "users", ... }" or "command: { q: ..., u: ... }"
+            const commandMatch = /(?:^|\s)command: (?:(\w+) )?\{/.exec(rest);
+            if (commandMatch)
+            {
+                const parsedCommand = MongoLogParser.parseShellValue(rest, commandMatch.index + commandMatch[0].length - 1);
+                mongoProfile.command = parsedCommand.value;
+                if (commandMatch[1] === 'find')
+                {
+                    mongoProfile.op = 'query';
+                }
+                else if (commandMatch[1] === 'insert')
+                {
+                    mongoProfile.op = 'insert';
+                }
+
+                // Take the command out of the text, so that its contents don't get confused with the rest of the entry
+                rest = rest.substr(0, commandMatch.index) + rest.substr(parsedCommand.position);
+            }
+
+            const queryMatch = /(?:^|\s)query: \{/.exec(rest);
+            if (queryMatch)
+            {
+                mongoProfile.query = MongoLogParser.parseShellValue(rest, queryMatch.index + queryMatch[0].length - 1).value;
+            }
+
+            const updateMatch = /(?:^|\s)update: \{/.exec(rest);
+            if (updateMatch)
+            {
+                mongoProfile.updateobj = MongoLogParser.parseShellValue(rest, updateMatch.index + updateMatch[0].length - 1).value;
+            }
+        }
+        catch(err)
+        {
+            // Very long entries get truncated in the log files, making them impossible to parse
+            return null;
+        }
+
+        if (!mongoProfile.command && !mongoProfile.query)
+        {
+            return null;
+        }
+
+        const planSummaryPosition = rest.indexOf("planSummary: ");
+        if (planSummaryPosition !== -1)
+        {
+            mongoProfile.planSummary = MongoLogParser.readPlanSummary(rest, planSummaryPosition + "planSummary: ".length);
+        }
+
+        const numericFields = {
+            keysExamined: /\s(?:keysExamined|nscanned):(\d+)/,
+            docsExamined: /\s(?:docsExamined|nscannedObjects):(\d+)/,
+            nreturned: /\snreturned:(\d+)/,
+            ninserted: /\sninserted:(\d+)/,
+            nMatched: /\snMatched:(\d+)/,
+            nModified: /\snModified:(\d+)/,
+            ndeleted: /\sndeleted:(\d+)/,
+            millis: /\s(\d+)ms$/
+        };
+
+        underscore.each(numericFields, function(expression, field)
+        {
+            const numericMatch = expression.exec(rest);
+            if (numericMatch)
+            {
+                mongoProfile[field] = Number(numericMatch[1]);
+            }
+        });
+
+        if (/\s(?:hasSortStage|scanAndOrder):1/.test(rest))
+        {
+            mongoProfile.hasSortStage = true;
+        }
+
+        const timestamp = new Date(line.substr(0, line.indexOf(" ")));
+        if (!isNaN(timestamp.getTime()))
+        {
+            mongoProfile.ts = timestamp;
+        }
+
+        return mongoProfile;
+    }
+
+
+    /**
+     * Reads the plan summary out of a legacy log line. The plan summary continues until the next "key:" that isn't
+     * inside of an index key pattern, e.g. "IXSCAN { name: 1 }, IXSCAN { email: 1 } keysExamined:2"
+     *
+     * @param {string} text The text of the log line
+     * @param {number} position The position where the plan summary starts
+     * @returns {string} The plan summary
+     */
+    static readPlanSummary(text, position)
+    {
+        let depth = 0;
+        let end = position;
+        while (end < text.length)
+        {
+            const character = text[end];
+            if (character == '{')
+            {
+                depth += 1;
+            }
+            else if (character == '}')
+            {
+                depth -= 1;
+            }
+            else if (depth === 0 && character == ' ' && /^ (?:[\w$]+:|\d+ms$)/.test(text.substr(end)))
+            {
+                break;
+            }
+            end += 1;
+        }
+
+        return text.substring(position, end).trim();
+    }
+
+
+    /**
+     * This method parses a value written in the Mongo shell syntax that the legacy log files use, such as
+     * { name: "bob", _id: ObjectId('5791e9b5a2c0a5b5a2c0a5b5'), created: { $gt: new Date(1469180000000) } }
+     *
+     * @param {string} text The text to parse
+     * @param {number} position The position in the text where the value starts
+     * @returns {object} An object in the form {value: parsedValue, position: Number}, where position is the location
+     *                   just after the end of the value.
+     */
+    static parseShellValue(text, position)
+    {
+        function skipWhitespace()
+        {
+            while (position < text.length && /\s/.test(text[position]))
+            {
+                position += 1;
+            }
+        }
+
+        function expect(character)
+        {
+            skipWhitespace();
+            if (text[position] != character)
+            {
+                throw new Error(`Expected "${character}" at position ${position} while parsing log entry: ${text}`);
+            }
+            position += 1;
+        }
+
+        function parseString()
+        {
+            const quote = text[position];
+            let value = "";
+            position += 1;
+            while (position < text.length && text[position] != quote)
+            {
+                if (text[position] == '\\')
+                {
+                    position += 1;
+                    const escaped = text[position];
+                    value += ({n: "\n", t: "\t", r: "\r"})[escaped] || escaped;
+                }
+                else
+                {
+                    value += text[position];
+                }
+                position += 1;
+            }
+            expect(quote);
+            return value;
+        }
+
+        function parseKey()
+        {
+            skipWhitespace();
+            if (text[position] == '"' || text[position] == "'")
+            {
+                return parseString();
+            }
+
+            const start = position;
+            while (position < text.length && text[position] != ':')
+            {
+                position += 1;
+            }
+            return text.substring(start, position).trim();
+        }
+
+        function parseArguments()
+        {
+            // Read the raw text between the brackets of a function call like ObjectId('...')
+            const start = position + 1;
+            let depth = 0;
+            do
+            {
+                if (text[position] == '(')
+                {
+                    depth += 1;
+                }
+                else if (text[position] == ')')
+                {
+                    depth -= 1;
+                }
+                position += 1;
+            }
+            while (depth > 0 && position < text.length);
+
+            return text.substring(start, position - 1).trim().replace(/^['"]|['"]$/g, "");
+        }
+
+        function parseValue()
+        {
+            skipWhitespace();
+            const character = text[position];
+
+            if (character == '{')
+            {
+                position += 1;
+                const object = {};
+                skipWhitespace();
+                while (text[position] != '}')
+                {
+                    const key = parseKey();
+                    expect(':');
+                    object[key] = parseValue();
+                    skipWhitespace();
+                    if (text[position] == ',')
+                    {
+                        position += 1;
+                        skipWhitespace();
+                    }
+                    else if (text[position] != '}')
+                    {
+                        throw new Error(`Expected "," or "}" at position ${position} while parsing log entry: ${text}`);
+                    }
+                }
+                position += 1;
+                return object;
+            }
+            else if (character == '[')
+            {
+                position += 1;
+                const array = [];
+                skipWhitespace();
+                while (text[position] != ']')
+                {
+                    array.push(parseValue());
+                    skipWhitespace();
+                    if (text[position] == ',')
+                    {
+                        position += 1;
+                        skipWhitespace();
+                    }
+                    else if (text[position] != ']')
+                    {
+                        throw new Error(`Expected "," or "]" at position ${position} while parsing log entry: ${text}`);
+                    }
+                }
+                position += 1;
+                return array;
+            }
+            else if (character == '"' || character == "'")
+            {
+                return parseString();
+            }
+            else if (character == '/')
+            {
+                const start = position + 1;
+                position += 1;
+                while (position < text.length && text[position] != '/')
+                {
+                    position += text[position] == '\\' ? 2 : 1;
+                }
+                const pattern = text.substring(start, position);
+                position += 1;
+                const flagsStart = position;
+                while (position < text.length && /[a-z]/.test(text[position]))
+                {
+                    position += 1;
+                }
+                return MongoLogParser.createRegExp(pattern, text.substring(flagsStart, position));
+            }
+            else if (/[-0-9.]/.test(character))
+            {
+                const numberMatch = /^-?[0-9.]+(e[-+]?\d+)?/i.exec(text.substr(position));
+                if (!numberMatch)
+                {
+                    throw new Error(`Unable to parse number at position ${position} while parsing log entry: ${text}`);
+                }
+                position += numberMatch[0].length;
+                return Number(numberMatch[0]);
+            }
+            else
+            {
+                // Otherwise this is an identifier, such as true, null, ObjectId('...') or new Date(1469180000000)
+                const identifierMatch = /^(?:new\s+)?([A-Za-z_$][\w$]*)/.exec(text.substr(position));
+                if (!identifierMatch)
+                {
+                    throw new Error(`Unexpected character "${character}" at position ${position} while parsing log entry: ${text}`);
+                }
+                position += identifierMatch[0].length;
+                const identifier = identifierMatch[1];
+
+                if (identifier == 'true' || identifier == 'false')
+                {
+                    return identifier == 'true';
+                }
+                else if (identifier == 'null' || identifier == 'undefined')
+                {
+                    return null;
+                }
+
+                skipWhitespace();
+                let argument = null;
+                if (text[position] == '(')
+                {
+                    argument = parseArguments();
+                }
+                else if (identifier == 'Timestamp')
+                {
+                    // Older versions print timestamps as "Timestamp 1469180000|1"
+                    const timestampMatch = /^\d+\|\d+/.exec(text.substr(position));
+                    if (timestampMatch)
+                    {
+                        position += timestampMatch[0].length;
+                        argument = timestampMatch[0];
+                    }
+                }
+
+                if (identifier == 'ObjectId' && /^[0-9a-fA-F]{24}$/.test(argument))
+                {
+                    return new mongodb.ObjectID(argument);
+                }
+                else if (identifier == 'Date' || identifier == 'ISODate')
+                {
+                    return new Date(isNaN(Number(argument)) ? argument : Number(argument));
+                }
+                else if (identifier == 'NumberLong' || identifier == 'NumberInt' || identifier == 'NumberDecimal')
+                {
+                    return Number(argument);
+                }
+                else if (argument !== null)
+                {
+                    return `${identifier}(${argument})`;
+                }
+                else
+                {
+                    return identifier;
+                }
+            }
+        }
+
+        const value = parseValue();
+        return {value: value, position: position};
+    }
+
+
+    /**
+     * Creates a regular expression from the pattern and options of a MongoDB regular expression. MongoDB allows
+     * options that Javascript doesn't, such as x for extended syntax, so those are left out.
+     *
+     * @param {string} pattern The pattern of the regular expression
+     * @param {string} options The options of the regular expression, such as "im"
+     * @returns {RegExp} The regular expression
+     */
+    static createRegExp(pattern, options)
+    {
+        return new RegExp(pattern, (options || "").replace(/[^imsu]/g, ""));
+    }
+
+
+    /**
+     * The structured logs use Mongo's relaxed extended JSON, where values such as ObjectIds and dates are written as
+     * {"$oid": "..."} and {"$date": "..."}. This method converts those back into the native objects, the same way
+     * they would appear in a profile document.
+     *
+     * @param {*} value The value to convert
+     * @returns {*} The converted value
+     */
+    static convertExtendedJSON(value)
+    {
+        if (underscore.isArray(value))
+        {
+            return value.map(MongoLogParser.convertExtendedJSON);
+        }
+        else if (!underscore.isObject(value))
+        {
+            return value;
+        }
+
+        const keys = Object.keys(value);
+        if (keys.length == 1)
+        {
+            const key = keys[0];
+            const inner = value[key];
+            if (key == '$oid')
+            {
+                return new mongodb.ObjectID(inner);
+            }
+            else if (key == '$date')
+            {
+                return new Date(underscore.isObject(inner) ? Number(inner['$numberLong']) : inner);
+            }
+            else if (key == '$numberLong' || key == '$numberInt' || key == '$numberDouble' || key == '$numberDecimal')
+            {
+                return Number(inner);
+            }
+            else if (key == '$regularExpression')
+            {
+                return MongoLogParser.createRegExp(inner.pattern, inner.options);
+            }
+            else if (key == '$binary' || key == '$timestamp' || key == '$uuid' || key == '$minKey' || key == '$maxKey' || key == '$symbol')
+            {
+                return JSON.stringify(inner);
+            }
+        }
+
+        return underscore.mapObject(value, MongoLogParser.convertExtendedJSON);
+    }
+}
+
+module.exports = MongoLogParser;
@@ -6,8 +6,36 @@ const crypto = require('crypto'),
 const _indexName = Symbol("_indexName");
 const _indexExists = Symbol("_indexExists");
 const _indexStatistics = Symbol("_indexStatistics");
+const _indexUsage = Symbol("_indexUsage");
+const _writeCost = Symbol("_writeCost");
 const _knownQueryProfiles = Symbol("_knownQueryProfiles");
-const _collectionName = Symbol("_collectionName");
+const _namespace = Symbol("_namespace");
+const _collation = Symbol("_collation");
+const _partialFilterExpression = Symbol("_partialFilterExpression");
+const _flags = Symbol("_flags");
+const _expireAfterSeconds = Symbol("_expireAfterSeconds");
+
+/**
+ * These are the boolean index options which are kept from existing indexes. They are never set on the indexes
+ * that the dynamic indexer recommends.
+ */
+const flagOptions = ['unique', 'sparse', 'hidden'];
+
+/**
+ * These are the values that Mongo fills in for any collation options that aren't specified. Options with these
+ * values are left out when comparing collations, so that the collation given with a query compares equal to the
+ * fully expanded collation that Mongo reports for an index.
+ */
+const defaultCollationOptions = {
+    caseLevel: false,
+    caseFirst: "off",
+    strength: 3,
+    numericOrdering: false,
+    alternate: "non-ignorable",
+    maxVariable: "punct",
+    normalization: false,
+    backwards: false
+};
 
 /**
  * This class represents an index in the mongo database. It is meant to be a loose wrapper around a pure
@@ -19,10 +47,17 @@ class MongoIndex
      * Creates a new MongoIndex object.
      *
      * @param {object} index A pure JSON index object, like {name: 1, email: -1}
-     * @param {object} collectionName A string specifying the collection that this index is for
+     * @param {string} namespace A string specifying the database & collection that this index is for, like "dbName.collectionName"
      * @param {string} [name] The name of the index. optional
+     * @param {object} [options] The options that the index is created with. optional
+     * @param {object} [options.collation] The collation of the index, like {locale: "en", strength: 2}
+     * @param {object} [options.partialFilterExpression] The filter for a partial index, like {deleted: false}
+     * @param {boolean} [options.unique] Whether the index is unique
+     * @param {boolean} [options.sparse] Whether the index is sparse, leaving out documents that have none of its fields
+     * @param {boolean} [options.hidden] Whether the index is hidden from the query planner
+     * @param {number} [options.expireAfterSeconds] The expiry time of a TTL index
      */
-    constructor(index, collectionName, name)
+    constructor(index, namespace, name, options)
     {
         const self = this;
 
@@ -31,6 +66,12 @@ class MongoIndex
             self[field] = index[field];
         });
 
+        options = options || {};
+        self[_collation] = MongoIndex.normalizeCollation(options.collation);
+        self[_partialFilterExpression] = underscore.isEmpty(options.partialFilterExpression) ? null : options.partialFilterExpression;
+        self[_flags] = underscore.filter(flagOptions, (option) => Boolean(options[option]));
+        self[_expireAfterSeconds] = underscore.isNumber(options.expireAfterSeconds) ? options.expireAfterSeconds : null;
+
         if (!name)
         {
             self.generateIndexName();
@@ -41,19 +82,21 @@ class MongoIndex
         }
         self[_knownQueryProfiles] = [];
         self[_indexExists] = false;
-        self[_collectionName] = collectionName;
+        self[_namespace] = namespace;
         self[_indexStatistics] = null;
+        self[_indexUsage] = null;
+        self[_writeCost] = null;
     }
 
 
     /**
-     * Sets the index name as a hash of the index itself
+     * Sets the index name as a hash of the index itself, and its options
      */
     generateIndexName()
     {
         const self = this;
         const hash = crypto.createHash('sha256');
-        hash.update(JSON.stringify(self));
+        hash.update(self.canonicalString);
         self[_indexName] = `auto_${hash.digest('hex')}`;
     }
 
@@ -74,6 +117,11 @@ class MongoIndex
             return false;
         }
 
+        if (!self.hasSameQueryOptionsAs(otherIndex))
+        {
+            return false;
+        }
+
         for(let n = 0; n < keys.length; n += 1)
         {
             if (keys[n] != otherKeys[n])
@@ -107,6 +155,23 @@ class MongoIndex
             return false;
         }
 
+        // A text index can only be used for $text queries, so it can't stand in for a regular index or vice versa
+        if (self.isTextIndex || otherIndex.isTextIndex)
+        {
+            return false;
+        }
+
+        // Likewise, a geospatial index is only useful to geospatial queries
+        if (self.isGeoIndex !== otherIndex.isGeoIndex)
+        {
+            return false;
+        }
+
+        if (!self.hasSameQueryOptionsAs(otherIndex))
+        {
+            return false;
+        }
+
         for(let n = 0; n < keys.length; n += 1)
         {
             if (keys[n] != otherKeys[n])
@@ -152,13 +217,31 @@ class MongoIndex
         return self[_indexName];
     }
 
+    /**
+     * @returns {string} Returns the namespace, "dbName.collectionName", of the collection this index is for
+     */
+    get mongoNamespace()
+    {
+        const self = this;
+        return self[_namespace];
+    }
+
+    /**
+     * @returns {string} Returns the name of the database this index is for
+     */
+    get mongoDatabaseName()
+    {
+        const self = this;
+        return self[_namespace].substr(0, self[_namespace].indexOf("."));
+    }
+
     /**
      * @returns {string} Returns the name of the collection this index is for
      */
     get mongoCollectionName()
     {
         const self = this;
-        return self[_collectionName];
+        return self[_namespace].substr(self[_namespace].indexOf(".") + 1);
     }
 
     /**
@@ -170,13 +253,125 @@ class MongoIndex
         return self[_knownQueryProfiles];
     }
 
+    /**
+     * @returns {number} The total weight of the query profiles that use this index, see QueryProfile.weight
+     */
+    get weight()
+    {
+        const self = this;
+        return underscore.reduce(self[_knownQueryProfiles], (total, queryProfile) => total + queryProfile.weight, 0);
+    }
+
+
+    /**
+     * @returns {object} The collation of this index, like {locale: "en", strength: 2}, or null if it uses simple binary comparison
+     */
+    get collation()
+    {
+        const self = this;
+        return self[_collation];
+    }
+
+    /**
+     * @returns {object} The partialFilterExpression of this index, like {deleted: false}, or null if it isn't a partial index
+     */
+    get partialFilterExpression()
+    {
+        const self = this;
+        return self[_partialFilterExpression];
+    }
+
+    /**
+     * @returns {boolean} True if this is a unique index
+     */
+    get unique()
+    {
+        const self = this;
+        return self[_flags].indexOf('unique') !== -1;
+    }
+
+    /**
+     * @returns {boolean} True if this is a sparse index, which leaves out documents that have none of its fields
+     */
+    get sparse()
+    {
+        const self = this;
+        return self[_flags].indexOf('sparse') !== -1;
+    }
+
+    /**
+     * @returns {boolean} True if this index is hidden from the query planner
+     */
+    get hidden()
+    {
+        const self = this;
+        return self[_flags].indexOf('hidden') !== -1;
+    }
+
+    /**
+     * @returns {number} The number of seconds after which documents are deleted by this TTL index, or null if it isn't a TTL index
+     */
+    get expireAfterSeconds()
+    {
+        const self = this;
+        return self[_expireAfterSeconds];
+    }
 
     /**
-     * @returns { String } A string representing this index
+     * @returns {object} The options of this index in the form given to createIndex, like
+     *                   {collation: {locale: "en", strength: 2}, partialFilterExpression: {deleted: false}, unique: true}.
+     *                   Options which aren't set are left out.
+     */
+    get indexOptions()
+    {
+        const self = this;
+        const options = {};
+        if (self[_collation])
+        {
+            options.collation = self[_collation];
+        }
+
+        if (self[_partialFilterExpression])
+        {
+            options.partialFilterExpression = self[_partialFilterExpression];
+        }
+
+        self[_flags].forEach((option) => options[option] = true);
+
+        if (self[_expireAfterSeconds] !== null)
+        {
+            options.expireAfterSeconds = self[_expireAfterSeconds];
+        }
+
+        return options;
+    }
+
+    /**
+     * Queries can only use an index with the same collation as the query, and which has a partialFilterExpression
+     * that the query matches. So an index can only stand in for another one if both of these are the same. The
+     * other options, like unique, don't change which queries the index can answer.
+     *
+     * @param {MongoIndex} otherIndex The other index object
+     * @returns {boolean} True if the collation and partialFilterExpression of both indexes are the same
+     */
+    hasSameQueryOptionsAs(otherIndex)
+    {
+        const self = this;
+        return underscore.isEqual(self.collation, otherIndex.collation) && underscore.isEqual(self.partialFilterExpression, otherIndex.partialFilterExpression);
+    }
+
+    /**
+     * @returns { String } A string representing this index. The index options are included if the index has any.
      */
     get canonicalString()
     {
-        return JSON.stringify(this);
+        const self = this;
+        if (!underscore.isEmpty(self.indexOptions))
+        {
+            return `${JSON.stringify(self)} ${JSON.stringify(self.indexOptions)}`;
+        }
+
+        return JSON.stringify(self);
     }
 
 
@@ -197,6 +392,34 @@ class MongoIndex
         }
     }
 
+    /**
+     * @returns { Boolean } True if this is a text index, used for $text queries
+     */
+    get isTextIndex()
+    {
+        const self = this;
+        return underscore.any(Object.keys(self), (field) => self[field] === 'text');
+    }
+
+    /**
+     * @returns { Boolean } True if this is a 2d or 2dsphere index, used for geospatial queries
+     */
+    get isGeoIndex()
+    {
+        const self = this;
+        return underscore.any(Object.keys(self), (field) => self[field] === '2d' || self[field] === '2dsphere');
+    }
+
+    /**
+     * @returns { [String] } The list of fields that are searched by this text index. This is ["$**"] if the text index
+     *                       covers every string field on the collection.
+     */
+    get textFields()
+    {
+        const self = this;
+        return underscore.filter(Object.keys(self), (field) => self[field] === 'text');
+    }
+
     /**
      * @returns { Boolean } True if this is an empty index (which is technically invalid), false otherwise
      */
@@ -241,6 +464,52 @@ class MongoIndex
         return this[_indexStatistics];
     }
 
+    /**
+     * Sets how often this index has actually been used, as measured with $indexStats
+     *
+     * @param {object} usage The usage from IndexUsage.getUsage, like {accesses: Number, since: Date, lastAccessTime: Date}
+     */
+    setIndexUsage(usage)
+    {
+        this[_indexUsage] = usage;
+    }
+
+    getIndexUsage()
+    {
+        return this[_indexUsage];
+    }
+
+    /**
+     * Sets the trade-off between the cost of keeping this index up to date and the benefit to the queries that use it
+     *
+     * @param {object} writeCost An object like {inserts: Number, updates: Number, removes: Number, indexWrites: Number,
+     *                           since: Date, cost: Number, benefit: Number}. See QuerySet.applyWriteCosts
+     */
+    setWriteCost(writeCost)
+    {
+        this[_writeCost] = writeCost;
+    }
+
+    getWriteCost()
+    {
+        return this[_writeCost];
+    }
+
+    /**
+     * @param {number} days The number of days to look back. -1 means that usage is not considered at all
+     * @returns {boolean} True if $indexStats has shown this index being used within the given number of days
+     */
+    wasUsedWithinDays(days)
+    {
+        const self = this;
+        if (days == -1 || !self[_indexUsage] || !self[_indexUsage].lastAccessTime)
+        {
+            return false;
+        }
+
+        return self[_indexUsage].lastAccessTime.getTime() > (Date.now() - days * 24 * 60 * 60 * 1000);
+    }
+
     /**
      * This method can be used to conveniently remove a field from an index
      *
@@ -277,6 +546,33 @@ class MongoIndex
         self[_indexStatistics] = null;
     }
 
+    /**
+     * This method changes the fields that are searched by this text index, keeping the fields before and after the
+     * text fields in place.
+     *
+     * @param { [String] } textFields The list of fields that should be searched
+     */
+    setTextFields(textFields)
+    {
+        const self = this;
+        const fields = Object.keys(self);
+        const firstTextPosition = underscore.findIndex(fields, (field) => self[field] === 'text');
+        const prefix = underscore.map(fields.slice(0, firstTextPosition), (field) => [field, self[field]]);
+        const suffix = underscore.map(underscore.filter(fields.slice(firstTextPosition), (field) => self[field] !== 'text'), (field) => [field, self[field]]);
+
+        fields.forEach((field) => delete self[field]);
+        prefix.forEach((pair) => self[pair[0]] = pair[1]);
+        textFields.forEach((field) => self[field] = 'text');
+        suffix.forEach((pair) => self[pair[0]] = pair[1]);
+
+        // regenerate the index name
+        self.generateIndexName();
+
+        // Null out index statistics and set that we don't know whether the index exists
+        self[_indexExists] = false;
+        self[_indexStatistics] = null;
+    }
+
     /**
      * This method will print this index, along with statistical information and associated query profiles, to the console.
      *
@@ -284,12 +580,14 @@ class MongoIndex
      *
      * @param {string} indent A string for the indentation that should go before each line of output
      * @param {boolean} printQueryProfiles A boolean as to whether we should print the query profiles associated with the index.
+     * @param {boolean} [printWeights] Whether to print the weight of the index, and list its query profiles from the heaviest
      */
-    printIndexData(indent, printQueryProfiles)
+    printIndexData(indent, printQueryProfiles, printWeights)
     {
         const self = this;
 
-        console.log(`${indent}MongoIndex(${JSON.stringify(self)}${self.doesIndexExist() ? "" : " (pending creation)"})        Used for ${self.knownQueryProfiles.length} query profile${self.knownQueryProfiles.length !== 1 ? 's' : ''}`);
+        const options = underscore.map(self.indexOptions, (value, option) => `, ${option}: ${JSON.stringify(value)}`).join("");
+        console.log(`${indent}MongoIndex(${JSON.stringify(self)}${options}${self.doesIndexExist() ? "" : " (pending creation)"})        Used for ${self.knownQueryProfiles.length} query profile${self.knownQueryProfiles.length !== 1 ? 's' : ''}`);
 
         if(self.getIndexStatistics())
         {
@@ -303,14 +601,61 @@ class MongoIndex
             console.log(string);
         }
 
+        const usage = self.getIndexUsage();
+        if (usage)
+        {
+            const lastUsed = usage.lastAccessTime ? `last used ${usage.lastAccessTime.toISOString()}` : "not used";
+            console.log(`${indent}    usage: ${usage.accesses} accesses since ${usage.since.toISOString()}, ${lastUsed}`);
+        }
+
+        const writeCost = self.getWriteCost();
+        if (writeCost)
+        {
+            console.log(`${indent}    writes: ${writeCost.indexWrites} index changes from ${writeCost.inserts} inserts, ${writeCost.updates} updates and ${writeCost.removes} removes since ${writeCost.since.toISOString()}, write cost ${Math.round(writeCost.cost)} vs read benefit ${Math.round(writeCost.benefit)}`);
+        }
+
+        // Show which types of operations this index is serving, so that it is clear when an index exists mainly
+        // for updates or findAndModify's rather then plain queries
+        const operationCounts = {};
+        self.knownQueryProfiles.forEach(function(queryProfile)
+        {
+            underscore.each(queryProfile.operationCounts, function(count, operation)
+            {
+                operationCounts[operation] = (operationCounts[operation] || 0) + count;
+            });
+        });
+
+        if (Object.keys(operationCounts).length > 0)
+        {
+            const operations = underscore.sortBy(Object.keys(operationCounts), (operation) => -operationCounts[operation]);
+            console.log(`${indent}    operations: ${underscore.map(operations, (operation) => `${operation}: ${operationCounts[operation]}`).join(", ")}`);
+        }
+
+        if (printWeights)
+        {
+            console.log(`${indent}    weight: ${Math.round(self.weight)}`);
+        }
+
         if (printQueryProfiles)
         {
             let sortedKnownQueryProfiles = underscore.sortBy(self.knownQueryProfiles, (profile) => JSON.stringify(profile));
+            if (printWeights)
+            {
+                sortedKnownQueryProfiles = underscore.sortBy(sortedKnownQueryProfiles, (profile) => -profile.weight);
+            }
+
             sortedKnownQueryProfiles.forEach(function (queryProfile)
             {
                 const indentedQueryProfile = queryProfile.toString().replace(/\n/g, `\n${indent}    `);
                 console.log(`${indent}    ${indentedQueryProfile}`);
 
+                // Show where this query shape runs, if we are profiling more then one replica set member
+                if (queryProfile.members.length > 0)
+                {
+                    const members = underscore.sortBy(queryProfile.members, (member) => -member.usageCount);
+                    console.log(`${indent}        members: ${underscore.map(members, (member) => `${member.host}: ${member.usageCount}`).join(", ")}`);
+                }
+
                 const sources = underscore.sortBy(queryProfile.sources, (source) => source.source);
                 if (!(sources.length == 1 && sources[0].source == 'anonymous'))
                 {
@@ -328,6 +673,63 @@ class MongoIndex
             });
         }
     }
+
+
+    /**
+     * Creates a MongoIndex from the description of an existing index, as returned by Mongos listIndexes command.
+     *
+     * Mongo stores text indexes using the internal fields _fts and _ftsx, with the searched fields kept separately
+     * as weights. These are converted back into the form that is used to create the index, like {status: 1, title: "text"}
+     *
+     * @param {object} description The index description, like {key: {name: 1}, name: "name_1", ...}
+     * @param {string} namespace The namespace of the collection that the index is on, like "dbName.collectionName"
+     * @returns {MongoIndex} The MongoIndex object
+     */
+    static fromIndexDescription(description, namespace)
+    {
+        const index = {};
+        Object.keys(description.key).forEach(function(field)
+        {
+            if (field === '_fts')
+            {
+                Object.keys(description.weights || {"$**": 1}).forEach((textField) => index[textField] = 'text');
+            }
+            else if (field !== '_ftsx')
+            {
+                index[field] = description.key[field];
+            }
+        });
+
+        return new MongoIndex(index, namespace, description.name, description);
+    }
+
+
+    /**
+     * Converts a collation into the form used to compare collations. Options which are set to Mongos default values
+     * are removed, along with the ICU version that Mongo reports for existing indexes. The "simple" locale is the
+     * same as having no collation at all.
+     *
+     * @param {object} collation The collation, like {locale: "en", strength: 2}
+     * @returns {object} The normalized collation, or null if there is no collation
+     */
+    static normalizeCollation(collation)
+    {
+        if (!underscore.isObject(collation) || !collation.locale || collation.locale === 'simple')
+        {
+            return null;
+        }
+
+        const normalized = {locale: collation.locale};
+        underscore.sortBy(Object.keys(collation), (option) => option).forEach(function(option)
+        {
+            if (option !== 'locale' && option !== 'version' && collation[option] !== defaultCollationOptions[option])
+            {
+                normalized[option] = collation[option];
+            }
+        });
+
+        return normalized;
+    }
 }
 
 module.exports = MongoIndex;
\ No newline at end of file
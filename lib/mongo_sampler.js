@@ -10,6 +10,8 @@ const async = require("async"),
 
 const _options = Symbol("_options");
 
+const mongoFieldNamePartSeparator = "_____";
+
 /**
  *  This class is a tool that is used for sampling data from collections in order to get cardinality information
  */
@@ -26,35 +28,29 @@ class MongoSampler
     {
         this.db = db;
 
-        if (!data)
-        {
-            data = {};
-        }
-
-        if (!data.collectionStatistics)
-        {
-            this.collectionStatistics = {};
-        }
-        else
+        // Statistics are keyed by namespace, with the periods replaced when they were saved. Statistics saved by older
+        // versions were only keyed by collection name, and always belong to the database we are connected to.
+        function convertKey(key)
         {
-            this.collectionStatistics = underscore.mapObject(data.collectionStatistics, function(value)
+            if (key.indexOf(mongoFieldNamePartSeparator) === -1)
             {
-                return new CollectionStatistics(value);
-            });
-        }
+                return `${db.databaseName}.${key}`;
+            }
 
-        if (!data.indexStatistics)
-        {
-            this.indexStatistics = {};
+            return key.split(mongoFieldNamePartSeparator).join(".");
         }
-        else
+
+        if (!data)
         {
-            this.indexStatistics = underscore.mapObject(data.indexStatistics, function(value)
-            {
-                return new IndexStatistics(value);
-            });
+            data = {};
         }
 
+        this.collectionStatistics = {};
+        underscore.each(data.collectionStatistics || {}, (value, key) => this.collectionStatistics[convertKey(key)] = new CollectionStatistics(value));
+
+        this.indexStatistics = {};
+        underscore.each(data.indexStatistics || {}, (value, key) => this.indexStatistics[convertKey(key)] = new IndexStatistics(value));
+
 
         this[_options] = options;
     }
@@ -88,43 +84,59 @@ class MongoSampler
     toJSON()
     {
         // Convert every field with a period in it with something else before saving it to mongo
+        const collectionStatistics = {};
+        underscore.each(this.collectionStatistics, (statistics, namespace) => collectionStatistics[namespace.replace(/\./g, mongoFieldNamePartSeparator)] = statistics.toJSON());
+
+        const indexStatistics = {};
+        underscore.each(this.indexStatistics, (statistics, key) => indexStatistics[key.replace(/\./g, mongoFieldNamePartSeparator)] = statistics.toJSON());
+
         return {
-            collectionStatistics: underscore.mapObject(this.collectionStatistics, function(collectionStatistics)
-            {
-                return collectionStatistics.toJSON();
-            }),
-            indexStatistics: underscore.mapObject(this.indexStatistics, function(indexStatistics)
-            {
-                return indexStatistics.toJSON();
-            })
+            collectionStatistics: collectionStatistics,
+            indexStatistics: indexStatistics
         }
     }
 
 
+    /**
+     * Returns the collection object from the Mongo driver for the given namespace. The collection may be in a different
+     * database then the one the sampler was created with.
+     *
+     * @param {string} namespace The namespace of the collection, like "dbName.collectionName"
+     * @returns {object} A collection object from the Mongo NodeJS driver
+     */
+    getCollection(namespace)
+    {
+        const self = this;
+        const databaseName = namespace.substr(0, namespace.indexOf("."));
+        const collectionName = namespace.substr(namespace.indexOf(".") + 1);
+        return self.db.db(databaseName).collection(collectionName);
+    }
+
+
     /**
      * This method returns a CollectionStatistics object for the given collection. If there is already stats available,
      * and they are fresh, it will just return those.
      *
      * Otherwise, it will sample random objects from the database and build up the statistics.
      *
-     * @param {string} collectionName The name of the collection to get statistics for.
+     * @param {string} namespace The namespace of the collection to get statistics for, like "dbName.collectionName"
      * @param {function(err, collectionStatistics)} next A callback which will receive the statistics object
      */
-    getCollectionStatistics(collectionName, next)
+    getCollectionStatistics(namespace, next)
     {
         const self = this;
 
         // See if we already have cardinality information for the requested collection
-        if(self.collectionStatistics[collectionName])
+        if(self.collectionStatistics[namespace])
         {
-            if (Math.abs(self.collectionStatistics[collectionName].lastSampleTime.getTime() - Date.now()) < (self[_options].cardinalityUpdateInterval * 1000 * 60 * 60 * 24))
+            if (Math.abs(self.collectionStatistics[namespace].lastSampleTime.getTime() - Date.now()) < (self[_options].cardinalityUpdateInterval * 1000 * 60 * 60 * 24))
             {
-                return next(null, this.collectionStatistics[collectionName]);
+                return next(null, this.collectionStatistics[namespace]);
             }
         }
 
         // Get the distinct values for the field in question
-        const collection = self.db.collection(collectionName);
+        const collection = self.getCollection(namespace);
         const numberOfObjectsToSample = self[_options].sampleSize / 10;
         const uniqueValueHashes = {};
         const longest = {};
@@ -170,7 +182,7 @@ class MongoSampler
             });
 
             return next();
-        }, function(err)
+        }, function(err, totalObjects)
         {
             if (err)
             {
@@ -210,9 +222,10 @@ class MongoSampler
                 fieldStatistics[fieldName.replace(/\.\[\]/g, "")] = fieldData;
             });
 
-            self.collectionStatistics[collectionName] = new CollectionStatistics({
+            self.collectionStatistics[namespace] = new CollectionStatistics({
                 fieldStatistics: fieldStatistics,
                 knownArrayPrefixes: underscore.uniq(allKnownArrayPrefixes),
+                documentCount: totalObjects,
                 lastSampleTime: new Date()
             });
 
@@ -224,7 +237,7 @@ class MongoSampler
                     return next(err);
                 }
 
-                return next(null, self.collectionStatistics[collectionName]);
+                return next(null, self.collectionStatistics[namespace]);
             });
         });
     }
@@ -249,13 +262,13 @@ class MongoSampler
         indexSet.indexes.forEach(function(index)
         {
             // See if we already have cardinality information for the requested collection
-            if(self.indexStatistics[index.mongoCollectionName + "-" + index.mongoIndexName])
+            if(self.indexStatistics[index.mongoNamespace + "-" + index.mongoIndexName])
             {
-                if (Math.abs(self.indexStatistics[index.mongoCollectionName + "-" + index.mongoIndexName].lastSampleTime.getTime() - Date.now()) < (self[_options].cardinalityUpdateInterval * 1000 * 60 * 60 * 24))
+                if (Math.abs(self.indexStatistics[index.mongoNamespace + "-" + index.mongoIndexName].lastSampleTime.getTime() - Date.now()) < (self[_options].cardinalityUpdateInterval * 1000 * 60 * 60 * 24))
                 {
                     allResults.push({
                         index: index,
-                        statistics: self.indexStatistics[index.mongoCollectionName + "-" + index.mongoIndexName]
+                        statistics: self.indexStatistics[index.mongoNamespace + "-" + index.mongoIndexName]
                     })
                 }
                 else
@@ -276,21 +289,21 @@ class MongoSampler
         }
 
         // Get the distinct values for the field in question
-        const collection = self.db.collection(indexesNeedingSample[0].mongoCollectionName);
+        const collection = self.getCollection(indexesNeedingSample[0].mongoNamespace);
         const numberOfObjectsToSample = self[_options].sampleSize;
 
         const prefixValueCount = {};
         let sampleFields = [];
         indexesNeedingSample.forEach(function(index)
         {
-            prefixValueCount[index.mongoCollectionName + "-" + index.mongoIndexName] = {};
+            prefixValueCount[index.mongoNamespace + "-" + index.mongoIndexName] = {};
 
             const indexFields = Object.keys(index);
             for(let prefixLength = 1; prefixLength <= indexFields.length; prefixLength += 1)
             {
                 const prefixFields = indexFields.slice(0, prefixLength);
                 const prefixKey = JSON.stringify(prefixFields);
-                prefixValueCount[index.mongoCollectionName + "-" + index.mongoIndexName][prefixKey] = {};
+                prefixValueCount[index.mongoNamespace + "-" + index.mongoIndexName][prefixKey] = {};
             }
 
             sampleFields = sampleFields.concat(Object.keys(index));
@@ -373,13 +386,13 @@ class MongoSampler
                     objectKeys.forEach(function (key)
                     {
                         const keyString = farmhash.fingerprint32(JSON.stringify(key));
-                        if (!prefixValueCount[index.mongoCollectionName + "-" + index.mongoIndexName][prefixKey][keyString])
+                        if (!prefixValueCount[index.mongoNamespace + "-" + index.mongoIndexName][prefixKey][keyString])
                         {
-                            prefixValueCount[index.mongoCollectionName + "-" + index.mongoIndexName][prefixKey][keyString] = 1;
+                            prefixValueCount[index.mongoNamespace + "-" + index.mongoIndexName][prefixKey][keyString] = 1;
                         }
                         else
                         {
-                            prefixValueCount[index.mongoCollectionName + "-" + index.mongoIndexName][prefixKey][keyString] += 1;
+                            prefixValueCount[index.mongoNamespace + "-" + index.mongoIndexName][prefixKey][keyString] += 1;
                         }
                     });
                 }
@@ -408,12 +421,12 @@ class MongoSampler
                     const prefixKey = JSON.stringify(prefixFields);
 
                     let total = 0;
-                    Object.keys(prefixValueCount[index.mongoCollectionName + "-" + index.mongoIndexName][prefixKey]).forEach(function(key)
+                    Object.keys(prefixValueCount[index.mongoNamespace + "-" + index.mongoIndexName][prefixKey]).forEach(function(key)
                     {
-                        total += prefixValueCount[index.mongoCollectionName + "-" + index.mongoIndexName][prefixKey][key];
+                        total += prefixValueCount[index.mongoNamespace + "-" + index.mongoIndexName][prefixKey][key];
                     });
 
-                    averageDistinctValues[indexFields[prefixLength - 1]] = total / Object.keys(prefixValueCount[index.mongoCollectionName + "-" + index.mongoIndexName][prefixKey]).length;
+                    averageDistinctValues[indexFields[prefixLength - 1]] = total / Object.keys(prefixValueCount[index.mongoNamespace + "-" + index.mongoIndexName][prefixKey]).length;
                 }
 
                 // Calculate the % reduction for each field
@@ -435,14 +448,14 @@ class MongoSampler
                 }
 
 
-                self.indexStatistics[index.mongoCollectionName + "-" + index.mongoIndexName] = new IndexStatistics({
+                self.indexStatistics[index.mongoNamespace + "-" + index.mongoIndexName] = new IndexStatistics({
                     fieldStatistics: statistics,
                     lastSampleTime: new Date()
                 });
 
                 allResults.push({
                     index: index,
-                    statistics: self.indexStatistics[index.mongoCollectionName + "-" + index.mongoIndexName]
+                    statistics: self.indexStatistics[index.mongoNamespace + "-" + index.mongoIndexName]
                 });
             });
             
@@ -468,7 +481,8 @@ class MongoSampler
      * @param {object} collection A collection object from the Mongo NodeJS driver, obtained by db.getCollection(collectionName)
      * @param { [string] } select The list of fields to return in the result. Can be null to return all fields
      * @param {function(object, next)} iterator This function gets called with each object sampled from the database.
-     * @param {function(err)} next A callback to be called after all the objects have been sampled.
+     * @param {function(err, totalObjects)} next A callback to be called after all the objects have been sampled. It
+     *                                         receives the total number of objects that matched the query.
      */
     sampleCollection(count, query, collection, select, iterator, next)
     {
@@ -592,7 +606,7 @@ class MongoSampler
                         return next(err);
                     }
 
-                    return next(null);
+                    return next(null, totalObjects);
                 });
         });
     }
@@ -0,0 +1,206 @@
+"use strict";
+
+const underscore = require("underscore");
+
+/**
+ * These are the built in optimization components, which are run by the OptimizationPipeline. Each component has a
+ * name, and a function for each of the stages that it hooks into, see OptimizationPipeline for the list of stages and
+ * the context that each of them is given.
+ *
+ * The components which hook into the optimizedIndex stage work on the fieldSets of the context. Each field set is
+ * like {exact: [String], sort: {String: direction}, range: [String]}, and becomes one of the optimized indexes for the
+ * query profile.
+ */
+
+/**
+ * Removes fields that have too few distinct values to be worth putting in an index, such as booleans. If this
+ * leaves an index with no fields at all, the original fields are kept.
+ */
+const cardinalityFiltering = {
+    name: "cardinalityFiltering",
+    stages: {
+        optimizedIndex: function(context, options)
+        {
+            const keyStatistics = context.keyStatistics;
+            context.fieldSets = underscore.map(context.fieldSets, function(fieldSet)
+            {
+                const exact = underscore.filter(fieldSet.exact, (field) => keyStatistics[field].cardinality >= options.minimumCardinality);
+                const range = underscore.filter(fieldSet.range, (field) => keyStatistics[field].cardinality >= options.minimumCardinality);
+
+                // Unless our cardinality filtering has led us to have no keys in our index, in that case, revert
+                // to the original index
+                if ((exact.length + Object.keys(fieldSet.sort).length + range.length) === 0)
+                {
+                    return fieldSet;
+                }
+
+                return {exact: exact, sort: fieldSet.sort, range: range};
+            });
+        }
+    }
+};
+
+/**
+ * Removes fields that are too large to be indexed, since the index won't even get created if these fields are there.
+ * A single field hashed index is added for each of them instead, which can help make up some of the performance lost
+ * because the field was unindexable.
+ */
+const unindexableFieldHashing = {
+    name: "unindexableFieldHashing",
+    stages: {
+        optimizedIndex: function(context)
+        {
+            const keyStatistics = context.keyStatistics;
+            const queryProfile = context.queryProfile;
+            const unIndexableFields = underscore.filter(underscore.difference(queryProfile.fields, context.constantFields), (field) => keyStatistics[field].mode != 'normal');
+            if (unIndexableFields.length === 0)
+            {
+                return;
+            }
+
+            context.fieldSets = underscore.map(context.fieldSets, (fieldSet) => ({
+                exact: underscore.difference(fieldSet.exact, unIndexableFields),
+                sort: underscore.omit(fieldSet.sort, unIndexableFields),
+                range: underscore.difference(fieldSet.range, unIndexableFields)
+            }));
+
+            // Text and geospatial queries can only use their own special indexes
+            if (!queryProfile.text && !queryProfile.geo)
+            {
+                unIndexableFields.forEach((field) => context.additionalIndexes.push({[field]: 'hashed'}));
+            }
+        }
+    }
+};
+
+/**
+ * Mongo is unable to have an index which contains multiple array values. Its an unfortunate pain in the ass, because
+ * we have to create a different index for each array prefix there is, leaving out the fields under that prefix.
+ */
+const arrayPrefixSplitting = {
+    name: "arrayPrefixSplitting",
+    stages: {
+        optimizedIndex: function(context)
+        {
+            const keyStatistics = context.keyStatistics;
+
+            // Text and geospatial indexes leave out array fields entirely
+            if (context.queryProfile.text || context.queryProfile.geo)
+            {
+                return;
+            }
+
+            context.fieldSets = underscore.flatten(underscore.map(context.fieldSets, function(fieldSet)
+            {
+                const arrayPrefixes = underscore.uniq(underscore.flatten(underscore.map(fieldSet.exact.concat(fieldSet.range, Object.keys(fieldSet.sort)), (field) => keyStatistics[field].arrayPrefixes)));
+
+                // If there is only one array index, then we can ignore it safely
+                if (arrayPrefixes.length < 2)
+                {
+                    return [fieldSet];
+                }
+
+                return underscore.map(arrayPrefixes, function(arrayPrefix)
+                {
+                    const isAllowed = (field) => keyStatistics[field].arrayPrefixes.indexOf(arrayPrefix) == -1;
+                    return {
+                        exact: underscore.filter(fieldSet.exact, isAllowed),
+                        sort: underscore.pick(fieldSet.sort, (direction, field) => isAllowed(field)),
+                        range: underscore.filter(fieldSet.range, isAllowed)
+                    };
+                });
+            }), true);
+        }
+    }
+};
+
+/**
+ * Merges the query profiles whose indexes are the same, so that they share a single MongoIndex which knows all of the
+ * query profiles using it. The other reduction and extension components rely on this, so it should only be left out
+ * when a plugin takes its place. See QuerySet.reduceIndexes
+ */
+const identicalIndexMerging = {
+    name: "identicalIndexMerging",
+    stages: {
+        reduction: function(context, options, next)
+        {
+            context.querySet.reduceIndexes(context.queryProfiles, context.fixedIndexes, false);
+            return next();
+        }
+    }
+};
+
+/**
+ * Eliminates indexes which are prefixes of other indexes, after reordering their fields where that lets more of them
+ * be folded together. See QuerySet.reorderIndexFields and QuerySet.reduceIndexes
+ */
+const prefixReduction = {
+    name: "prefixReduction",
+    stages: {
+        reduction: function(context, options, next)
+        {
+            if (options.fieldReordering)
+            {
+                context.querySet.reorderIndexFields(context.queryProfiles, context.fixedIndexes);
+            }
+
+            context.querySet.reduceIndexes(context.queryProfiles, context.fixedIndexes);
+            return next();
+        }
+    }
+};
+
+/**
+ * Samples the collections for index statistics, and eliminates the fields which don't narrow down the results
+ * enough. See QuerySet.simplifyIndexes
+ */
+const statisticalSimplification = {
+    name: "statisticalSimplification",
+    stages: {
+        reduction: function(context, options, next)
+        {
+            context.querySet.simplifyIndexes(context.queryProfiles, context.fixedIndexes, next);
+        }
+    }
+};
+
+/**
+ * Adds fields back onto the reduced indexes, to make them more specific to the queries that use them. See
+ * QuerySet.extendIndexes
+ */
+const indexExtension = {
+    name: "indexExtension",
+    stages: {
+        extension: function(context, options, next)
+        {
+            context.querySet.extendIndexes(context.indexes);
+            return next();
+        }
+    }
+};
+
+/**
+ * Appends the fields returned by each query to its index, so that the query can be answered from the index alone.
+ * This is added to the end of the components by the coveredQueries option. See QuerySet.extendIndexesToCoverQueries
+ */
+const coveredQueryExtension = {
+    name: "coveredQueryExtension",
+    stages: {
+        extension: function(context, options, next)
+        {
+            context.querySet.extendIndexesToCoverQueries(context.indexes);
+            return next();
+        }
+    }
+};
+
+module.exports = {
+    identicalIndexMerging: identicalIndexMerging,
+    cardinalityFiltering: cardinalityFiltering,
+    unindexableFieldHashing: unindexableFieldHashing,
+    arrayPrefixSplitting: arrayPrefixSplitting,
+    prefixReduction: prefixReduction,
+    statisticalSimplification: statisticalSimplification,
+    indexExtension: indexExtension,
+    coveredQueryExtension: coveredQueryExtension
+};
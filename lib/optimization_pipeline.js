@@ -0,0 +1,244 @@
+"use strict";
+
+const async = require('async'),
+    optimizationComponents = require("./optimization_components"),
+    path = require("path"),
+    underscore = require("underscore");
+
+/**
+ * These are the stages of the optimization process that components can hook into, in the order that they happen.
+ */
+const stages = ['profileCreation', 'naiveIndex', 'optimizedIndex', 'reduction', 'extension'];
+
+/**
+ * These stages are run asynchronously, so their hooks are given a callback as their last argument.
+ */
+const asyncStages = ['reduction', 'extension'];
+
+/**
+ * The built in components, in the order that they run by default.
+ */
+const defaultComponentNames = ['identicalIndexMerging', 'cardinalityFiltering', 'unindexableFieldHashing', 'arrayPrefixSplitting', 'prefixReduction', 'statisticalSimplification', 'indexExtension'];
+
+/**
+ * Each options object shares a single pipeline, so that the query profiles and the query set agree on which
+ * components are enabled, and the plugins are only loaded once.
+ */
+const pipelines = new WeakMap();
+
+/**
+ * The OptimizationPipeline runs the optimization components at each stage of turning the queries into indexes. A
+ * component is an object like the following:
+ *
+ * {
+ *      name: "ignoreAuditFields",
+ *      stages: {
+ *          profileCreation: function(context, options) {},
+ *          reduction: function(context, options, next) {}
+ *      }
+ * }
+ *
+ * Each stage hook is given a context object, which it can change, and the program wide options. The stages are:
+ *
+ * - profileCreation: {queryProfile: QueryProfile, query: Object}, when a query profile is created from a query. The
+ *   queryProfile can be replaced, or set to null to ignore that part of the query
+ * - naiveIndex: {queryProfile: QueryProfile, index: {String: direction}}, when the naive index of a query profile is
+ *   created. The index can be changed before it is turned into a MongoIndex
+ * - optimizedIndex: {queryProfile: QueryProfile, keyStatistics: Object, constantFields: [String], fieldSets: [Object],
+ *   additionalIndexes: [Object]}, when the optimized indexes of a query profile are created. Each of the fieldSets,
+ *   like {exact: [String], sort: {String: direction}, range: [String]}, becomes one optimized index, and each of the
+ *   additionalIndexes, like {field: "hashed"}, is added as it is
+ * - reduction: {querySet: QuerySet, queryProfiles: [QueryProfile], fixedIndexes: [MongoIndex]}, when the indexes of
+ *   the query profiles are merged and eliminated. Hooks change the reducedIndexes of the query profiles, which start
+ *   out as their optimized indexes
+ * - extension: {querySet: QuerySet, queryProfiles: [QueryProfile], fixedIndexes: [MongoIndex], indexes: [MongoIndex]},
+ *   with the new indexes which are going to be recommended, which can be changed in place
+ *
+ * The reduction and extension hooks are asynchronous, and must call next(err) when they are done. The other hooks
+ * are synchronous.
+ */
+class OptimizationPipeline
+{
+    /**
+     * Creates a pipeline with the components chosen in the options.
+     *
+     * @param {object} options The program wide options
+     * @param { [string] | string } [options.optimizationComponents] The names of the components to run, in order, either
+     *                                                               as a list or as a comma separated string. Defaults
+     *                                                               to all of the built in components
+     * @param { [string] } [options.optimizationPlugins] The paths of modules which each export an additional component.
+     *                                                   Plugins which aren't named in optimizationComponents run after
+     *                                                   the other components
+     * @param {boolean} [options.indexExtension] Set to false to leave out the indexExtension component
+     * @param {boolean} [options.coveredQueries] Set to true to add the coveredQueryExtension component after the others,
+     *                                           if it isn't named in optimizationComponents
+     */
+    constructor(options)
+    {
+        const self = this;
+        options = options || {};
+        self.options = options;
+
+        const availableComponents = underscore.clone(optimizationComponents);
+        const pluginNames = [];
+        (options.optimizationPlugins || []).forEach(function(pluginPath)
+        {
+            const component = require(path.resolve(pluginPath));
+            OptimizationPipeline.validateComponent(component, pluginPath);
+            if (availableComponents[component.name])
+            {
+                throw new Error(`The optimization plugin ${pluginPath} has the name "${component.name}", which is already taken by another component.`);
+            }
+
+            availableComponents[component.name] = component;
+            pluginNames.push(component.name);
+        });
+
+        let componentNames = options.optimizationComponents || defaultComponentNames;
+        if (underscore.isString(componentNames))
+        {
+            componentNames = underscore.filter(componentNames.split(",").map((name) => name.trim()), (name) => name.length > 0);
+        }
+
+        componentNames = componentNames.concat(underscore.difference(pluginNames, componentNames));
+        if (options.coveredQueries && componentNames.indexOf('coveredQueryExtension') === -1)
+        {
+            componentNames = componentNames.concat(['coveredQueryExtension']);
+        }
+
+        if (options.indexExtension === false)
+        {
+            componentNames = underscore.without(componentNames, 'indexExtension');
+        }
+
+        self.components = underscore.map(componentNames, function(name)
+        {
+            if (!availableComponents[name])
+            {
+                throw new Error(`Unknown optimization component "${name}". It must be one of ${Object.keys(availableComponents).join(", ")}.`);
+            }
+
+            return availableComponents[name];
+        });
+    }
+
+
+    /**
+     * Returns the pipeline for the given options, creating it the first time.
+     *
+     * @param {object} options The program wide options
+     * @returns {OptimizationPipeline} The pipeline
+     */
+    static fromOptions(options)
+    {
+        options = options || {};
+        if (!pipelines.has(options))
+        {
+            pipelines.set(options, new OptimizationPipeline(options));
+        }
+
+        return pipelines.get(options);
+    }
+
+
+    /**
+     * Checks that a component has a name, and only hooks into stages that exist.
+     *
+     * @param {object} component The component
+     * @param {string} source Where the component came from, for the error message
+     */
+    static validateComponent(component, source)
+    {
+        if (!component || !underscore.isString(component.name) || !underscore.isObject(component.stages))
+        {
+            throw new Error(`The optimization plugin ${source} must export an object like {name: "myComponent", stages: {reduction: function(context, options, next) {}}}.`);
+        }
+
+        underscore.each(component.stages, function(hook, stage)
+        {
+            if (stages.indexOf(stage) === -1)
+            {
+                throw new Error(`The optimization component "${component.name}" hooks into the unknown stage "${stage}". It must be one of ${stages.join(", ")}.`);
+            }
+            else if (!underscore.isFunction(hook))
+            {
+                throw new Error(`The ${stage} hook of the optimization component "${component.name}" must be a function.`);
+            }
+        });
+    }
+
+
+    /**
+     * @param {string} name The name of a component
+     * @returns {boolean} True if the component is part of this pipeline
+     */
+    isEnabled(name)
+    {
+        const self = this;
+        return underscore.any(self.components, (component) => component.name === name);
+    }
+
+
+    /**
+     * Runs the hooks of one of the synchronous stages, in the order of the components.
+     *
+     * @param {string} stage One of "profileCreation", "naiveIndex" or "optimizedIndex"
+     * @param {object} context The context for the stage, which the hooks can change
+     * @returns {object} The context
+     */
+    runStage(stage, context)
+    {
+        const self = this;
+        if (asyncStages.indexOf(stage) !== -1)
+        {
+            throw new Error(`The ${stage} stage is asynchronous, use runAsyncStage instead.`);
+        }
+
+        self.components.forEach(function(component)
+        {
+            if (component.stages[stage])
+            {
+                component.stages[stage](context, self.options);
+            }
+        });
+
+        return context;
+    }
+
+
+    /**
+     * Runs the hooks of one of the asynchronous stages, one after another in the order of the components.
+     *
+     * @param {string} stage One of "reduction" or "extension"
+     * @param {object} context The context for the stage, which the hooks can change
+     * @param {function(err, context)} callback A callback after all of the hooks have finished
+     */
+    runAsyncStage(stage, context, callback)
+    {
+        const self = this;
+        if (asyncStages.indexOf(stage) === -1)
+        {
+            return callback(new Error(`The ${stage} stage is synchronous, use runStage instead.`));
+        }
+
+        async.eachSeries(self.components, function(component, next)
+        {
+            if (!component.stages[stage])
+            {
+                return next();
+            }
+
+            component.stages[stage](context, self.options, next);
+        }, function(err)
+        {
+            if (err)
+            {
+                return callback(err);
+            }
+
+            return callback(null, context);
+        });
+    }
+}
+
+module.exports = OptimizationPipeline;
@@ -2,18 +2,123 @@
 
 const async = require('async'),
     childProcess = require("child_process"),
+    fs = require('fs'),
     mongodb = require("mongodb"),
     mongodbUri = require('mongodb-uri'),
     MongoSampler = require('./mongo_sampler'),
     MongoIndex = require("./mongo_index"),
+    ProfileFormat = require("./profile_format"),
     QueryProfile = require("./query_profile"),
     QuerySet = require('./query_set'),
     IndexSet = require('./index_set'),
+    IndexUsage = require('./index_usage'),
+    MongoLogParser = require('./log_parser'),
+    QueryIngestionServer = require('./ingestion_server'),
+    WorkloadFile = require('./workload_file'),
     flat = require('flat'),
     underscore = require("underscore");
 
 const _index = Symbol("_index");
 
+/**
+ * Converts a value into the source code for that value in the Mongo shell. This is the same as JSON, except that
+ * dates and object ids are kept as their proper types, since they may be used in a partialFilterExpression.
+ *
+ * @param {*} value The value to convert
+ * @returns {string} The Mongo shell source code for the value
+ */
+function toShellString(value)
+{
+    if (value instanceof Date)
+    {
+        return `ISODate("${value.toISOString()}")`;
+    }
+    else if (value instanceof mongodb.ObjectID)
+    {
+        return `ObjectId("${value.toHexString()}")`;
+    }
+    else if (underscore.isArray(value))
+    {
+        return `[${value.map(toShellString).join(", ")}]`;
+    }
+    else if (underscore.isObject(value))
+    {
+        return `{${underscore.map(Object.keys(value), (key) => `${JSON.stringify(key)}: ${toShellString(value[key])}`).join(", ")}}`;
+    }
+
+    return JSON.stringify(value);
+}
+
+/**
+ * Produces a human readable explanation of why a manual index is redundant
+ *
+ * @param {object} redundantIndex An entry from IndexSet.getRedundantManualIndexes
+ * @returns {string} The explanation
+ */
+function describeRedundantIndex(redundantIndex)
+{
+    const otherIndex = redundantIndex.otherIndex;
+    if (redundantIndex.reason === 'duplicate')
+    {
+        return `Duplicate of ${otherIndex.mongoIndexName} ${JSON.stringify(otherIndex)}`;
+    }
+    else if (redundantIndex.reason === 'prefix')
+    {
+        return `Prefix of ${otherIndex.mongoIndexName} ${JSON.stringify(otherIndex)}, which can be used by the same queries`;
+    }
+
+    return "Not used by any of the known query profiles";
+}
+
+/**
+ * Produces a human readable explanation of why a query profile was left without an index
+ *
+ * @param {object} uncovered An entry from IndexSet.uncoveredQueryProfiles
+ * @returns {string} The explanation
+ */
+function describeUncoveredQueryProfile(uncovered)
+{
+    if (uncovered.reason === 'writeCost')
+    {
+        return "it would cost more to keep up to date then it would save";
+    }
+
+    return "it doesn't fit within the index budget";
+}
+
+/**
+ * Produces a human readable summary of how a query profile performed during one period of measurements
+ *
+ * @param {QueryPerformance} performance The performance statistics of the query profile
+ * @param {boolean} previous Whether to describe the previous period of measurements instead of the current one
+ * @returns {string} The summary
+ */
+function describePerformance(performance, previous)
+{
+    const period = previous ? performance.previous : performance.current;
+    const parts = [`${period.count} executions since ${period.since.toISOString()}`];
+
+    if (period.metrics.millis.count > 0)
+    {
+        parts.push(`p50 <= ${performance.getPercentile('millis', 50, previous)}ms`);
+        parts.push(`p95 <= ${performance.getPercentile('millis', 95, previous)}ms`);
+        parts.push(`max ${period.metrics.millis.max}ms`);
+    }
+
+    const examinedPerReturned = performance.getExaminedPerReturned(previous);
+    if (examinedPerReturned !== null)
+    {
+        parts.push(`${examinedPerReturned.toFixed(1)} documents examined per document returned`);
+    }
+
+    if (period.sortStageCount > 0)
+    {
+        parts.push(`${Math.round(performance.getSortStageRate(previous) * 100)}% sorted in memory`);
+    }
+
+    return parts.join(", ");
+}
+
 /**
  * The MongoOptimizer is the root class for all Mongo Dynamic Indexer functionality. It coordinates the other classes
  * to produce the recommendations.
@@ -58,12 +163,198 @@ class MongoOptimizer
                     process.exit(2);
                 });
 
+                self.connectToMembers(function(err)
+                {
+                    if (err)
+                    {
+                        return done(err);
+                    }
+
+                    return self.getProfiledDatabaseNames(function(err, databaseNames)
+                    {
+                        if (err)
+                        {
+                            return done(err);
+                        }
+
+                        self.databaseNames = databaseNames;
+                        return done();
+                    });
+                });
+            }
+        });
+    }
+
+
+    /**
+     * This method connects to each of the servers whose system.profile collection should be tailed. By default, this
+     * is just the server we are already connected to. If the profileHosts option is set, it will connect directly
+     * to each of those hosts. If the profileAllMembers option is set, it will discover all the data bearing members
+     * of the replica set and connect directly to each of them.
+     *
+     * This is called by MongoOptimizer::connect()
+     *
+     * @param {function(err)} done A callback function after all of the members have been connected to.
+     */
+    connectToMembers(done)
+    {
+        const self = this;
+        const parsed = mongodbUri.parse(self.options.database);
+
+        self.getMemberHosts(function(err, hosts)
+        {
+            if (err)
+            {
+                return done(err);
+            }
+
+            // If we are only profiling the server we are already connected to, we can just reuse the existing connection
+            if (!hosts)
+            {
+                self.members = [{
+                    host: `${parsed.hosts[0].host}:${parsed.hosts[0].port || 27017}`,
+                    db: self.db
+                }];
+                return done();
+            }
+
+            async.mapSeries(hosts, function(host, next)
+            {
+                // Connect directly to this specific member, allowing reads even if its a secondary
+                const memberUri = underscore.extend({}, parsed, {
+                    hosts: [{host: host.substr(0, host.lastIndexOf(":")), port: Number(host.substr(host.lastIndexOf(":") + 1))}],
+                    options: underscore.extend(underscore.omit(parsed.options || {}, 'replicaSet'), {readPreference: 'secondaryPreferred'})
+                });
+
+                mongodb.MongoClient.connect(mongodbUri.format(memberUri), function(err, memberDb)
+                {
+                    if (err)
+                    {
+                        return next(err);
+                    }
+
+                    memberDb.on('close', function(err)
+                    {
+                        // Kill the process
+                        console.error(err);
+                        process.exit(2);
+                    });
+
+                    return next(null, {host: host, db: memberDb});
+                });
+            }, function(err, members)
+            {
+                if (err)
+                {
+                    return done(err);
+                }
+
+                self.members = members;
                 return done();
+            });
+        });
+    }
+
+
+    /**
+     * This method determines the list of hosts, in "host:port" form, whose system.profile collection should be tailed.
+     *
+     * @param {function(err, hosts)} done A callback which will receive the list of hosts, or null if only the server
+     *                                    we are already connected to should be used.
+     */
+    getMemberHosts(done)
+    {
+        const self = this;
+
+        if (self.options.profileHosts)
+        {
+            return done(null, underscore.map(self.options.profileHosts.split(","), function(host)
+            {
+                host = host.trim();
+                return host.indexOf(":") === -1 ? `${host}:27017` : host;
+            }));
+        }
+        else if (!self.options.profileAllMembers)
+        {
+            return done(null, null);
+        }
+
+        // replSetGetStatus includes hidden members, but requires extra permissions, so fall back to isMaster
+        self.db.admin().command({replSetGetStatus: 1}, function(err, status)
+        {
+            if (!err && status && status.members)
+            {
+                const members = underscore.filter(status.members, (member) => member.stateStr === 'PRIMARY' || member.stateStr === 'SECONDARY');
+                return done(null, underscore.map(members, (member) => member.name));
+            }
+
+            self.db.command({isMaster: 1}, function(err, result)
+            {
+                if (err)
+                {
+                    return done(err);
+                }
+
+                if (!result.hosts)
+                {
+                    return done(new Error(`Unable to discover the replica set members. Is the database a replica set? Got result: ${JSON.stringify(result)}`));
+                }
+
+                return done(null, (result.hosts || []).concat(result.passives || []));
+            });
+        });
+    }
+
+
+    /**
+     * This method determines the list of databases whose system.profile collection should be tailed. By default, this
+     * is just the database in the database URI. If the databases option is set, it will be those databases. If the
+     * allDatabases option is set, it will be every database on the server, except for Mongos internal databases.
+     *
+     * The internal state of the optimizer is always stored in the database from the database URI.
+     *
+     * @param {function(err, databaseNames)} done A callback which will receive the list of database names
+     */
+    getProfiledDatabaseNames(done)
+    {
+        const self = this;
+
+        if (self.options.databases)
+        {
+            return done(null, underscore.map(self.options.databases.split(","), (databaseName) => databaseName.trim()));
+        }
+        else if (!self.options.allDatabases)
+        {
+            return done(null, [self.db.databaseName]);
+        }
+
+        self.db.admin().listDatabases(function(err, result)
+        {
+            if (err)
+            {
+                return done(err);
             }
+
+            const databaseNames = underscore.map(result.databases, (database) => database.name);
+            return done(null, underscore.difference(databaseNames, ['admin', 'local', 'config']));
         });
     }
 
 
+    /**
+     * Returns the collection object from the Mongo driver for the given namespace.
+     *
+     * @param {string} namespace The namespace of the collection, like "dbName.collectionName"
+     * @returns {object} A collection object from the Mongo NodeJS driver
+     */
+    getCollection(namespace)
+    {
+        const self = this;
+        const databaseName = ProfileFormat.getDatabaseName(namespace);
+        return self.db.db(databaseName).collection(namespace.substr(databaseName.length + 1));
+    }
+
+
     /**
      * This method loads all of the data for the optimizer from the database.
      *
@@ -85,10 +376,12 @@ class MongoOptimizer
             {
                 self.sampler = new MongoSampler(self.db, self.options, null);
                 self.querySet = new QuerySet({}, self.sampler, self.options);
+                self.indexUsage = new IndexUsage(null);
                 return done();
             }
 
             const data = results[0];
+            self.indexUsage = new IndexUsage(data.indexUsage);
             if(data.sampler)
             {
                 self.sampler = new MongoSampler(self.db, self.options, data.sampler);
@@ -131,7 +424,8 @@ class MongoOptimizer
 
         const objectToSave = {
             querySet: self.querySet.toJSON(),
-            sampler: self.sampler.toJSON()
+            sampler: self.sampler.toJSON(),
+            indexUsage: self.indexUsage.toJSON()
         };
 
         collection.findOneAndUpdate({}, objectToSave,{upsert: true}).then(function(changed)
@@ -141,33 +435,108 @@ class MongoOptimizer
     }
 
     /**
-     * This method ensures that Mongo profiling is turned on if it needs to be turned on.
+     * This method writes the captured query profiles and sampling statistics to a portable workload file.
      *
-     * @param {function()} done A callback after profiling has been enabled.
+     * This must be run after MongoOptimizer::loadOptimizerData()
+     *
+     * @param {string} fileName The name of the file to write. See WorkloadFile for the supported formats.
+     * @param {function(err)} done A callback after the file has been written.
      */
-    setProfilingLevel(done)
+    exportWorkload(fileName, done)
     {
         const self = this;
+        WorkloadFile.write(fileName, self.querySet, self.sampler, function(err)
+        {
+            if (err)
+            {
+                return done(err);
+            }
 
-        if (self.options.profileLevel != -1)
+            console.log(`Exported ${self.querySet.queryProfiles.length} query profiles to ${fileName}`);
+            return done();
+        });
+    }
+
+
+    /**
+     * This method loads the query profiles and sampling statistics from a workload file written by
+     * MongoOptimizer::exportWorkload, replacing the current internal state, and then saves them to the database.
+     * The index usage is specific to this database, so it is kept as-is.
+     *
+     * This must be run after MongoOptimizer::connect()
+     *
+     * @param {string} fileName The name of the file to read. See WorkloadFile for the supported formats.
+     * @param {function(err)} done A callback after the workload has been imported and saved.
+     */
+    importWorkload(fileName, done)
+    {
+        const self = this;
+        WorkloadFile.read(fileName, function(err, workload)
         {
-            // First, set the profiling level
-            self.db.command( {profile: self.options.profileLevel}, null, function (err, result)
+            if (err)
+            {
+                return done(err);
+            }
+
+            self.loadOptimizerData(function(err)
             {
                 if (err)
                 {
                     return done(err);
                 }
 
-                if (result.ok !== 1)
-                {
-                    return done(new Error(`Error while setting the profile level on the database. Got result:  ${JSON.stringify(result)}`))
-                }
-                else
+                self.sampler = new MongoSampler(self.db, self.options, workload.sampler);
+                self.querySet = new QuerySet(workload.querySet, self.sampler, self.options);
+
+                self.saveOptimizerData(function(err)
                 {
+                    if (err)
+                    {
+                        return done(err);
+                    }
+
+                    console.log(`Imported ${self.querySet.queryProfiles.length} query profiles from ${fileName}`);
                     return done();
-                }
+                });
             });
+        });
+    }
+
+
+    /**
+     * This method ensures that Mongo profiling is turned on if it needs to be turned on.
+     *
+     * @param {function()} done A callback after profiling has been enabled.
+     */
+    setProfilingLevel(done)
+    {
+        const self = this;
+
+        if (self.options.profileLevel != -1)
+        {
+            // First, set the profiling level on every database of every member that we are profiling
+            async.eachSeries(self.members, function(member, next)
+            {
+                async.eachSeries(self.databaseNames, function(databaseName, next)
+                {
+                    member.db.db(databaseName).command( {profile: self.options.profileLevel}, null, function (err, result)
+                    {
+                        if (err)
+                        {
+                            return next(err);
+                        }
+
+                        if (result.ok !== 1)
+                        {
+                            return next(new Error(`Error while setting the profile level on the ${databaseName} database on ${member.host}. Got result:  ${JSON.stringify(result)}`))
+                        }
+                        else
+                        {
+                            return next();
+                        }
+                    });
+                }, next);
+            }, done);
         }
         else
         {
@@ -178,7 +547,12 @@ class MongoOptimizer
 
     /**
      * This method starts the  main loop for the optimizer. It connects to the databases system.profile collection
-     * and starts tailing it and processing mongos profile object as it goes.
+     * and starts tailing it and processing mongos profile object as it goes. If multiple replica set members or
+     * multiple databases are being profiled, the system.profile collection on each of them is tailed, and all of their
+     * profiles are merged together.
+     *
+     * If the ingestPort option is set, it also starts the QueryIngestionServer, so that queries can be forwarded from
+     * application servers. If the ingestOnly option is set, the system.profile collection is not used at all.
      *
      * @param {function(err)} done Callback function for after the main loop has been started.
      */
@@ -186,118 +560,253 @@ class MongoOptimizer
     {
         const self = this;
 
-        self.setProfilingLevel(function (err)
+        // The profiles from all of the members, and the queries forwarded to the ingestion server,
+        // are merged together into a single queue
+        self.queue = async.queue(function(task, next)
+        {
+            async.nextTick(function()
+            {
+                function finish(err)
+                {
+                    if (err)
+                    {
+                        console.error(err);
+                        return next(err);
+                    }
+
+                    return next();
+                }
+
+                if (task.queryRecord)
+                {
+                    self.processQueryRecord(task.queryRecord, finish);
+                }
+                else
+                {
+                    self.processMongoProfile(task.mongoProfile, task.member, finish);
+                }
+            });
+        });
+
+        self.startIngestionServer(function(err)
         {
             if (err)
             {
                 return done(err);
             }
 
+            if (self.options.ingestOnly)
+            {
+                self.startIndexSynchronization();
+                return done();
+            }
 
-            const profile = self.db.collection("system.profile");
+            self.startProfileTailing(function(err)
+            {
+                if (err)
+                {
+                    return done(err);
+                }
 
-            var cursor = profile.find({
-                op: "query",
-                ns: {$regex: "^[^\\.]+\\.(?!system|\\$cmd)"}
-            }, {
-                tailable: true,
-                awaitdata: true,
-                timeout: false
+                self.startIndexSynchronization();
+                return done();
             });
+        });
+    }
+
+
+    /**
+     * This method starts the QueryIngestionServer on the port given by the ingestPort option. It does nothing if the
+     * ingestPort option isn't set.
+     *
+     * This is called by MongoOptimizer::startOptimizer()
+     *
+     * @param {function(err)} done Callback function for after the server has started listening
+     */
+    startIngestionServer(done)
+    {
+        const self = this;
+
+        if (!self.options.ingestPort)
+        {
+            return done();
+        }
+
+        self.ingestionServer = new QueryIngestionServer(self);
+        self.ingestionServer.start(Number(self.options.ingestPort), self.options.ingestHost, function(err)
+        {
+            if (err)
+            {
+                return done(err);
+            }
+
+            console.log(`Accepting queries on ${self.options.ingestHost}:${self.options.ingestPort}`);
+            return done();
+        });
+    }
+
+
+    /**
+     * This method sets the profiling level, and then starts tailing the system.profile collection of every database
+     * on every member being profiled. The profiles found are pushed into the processing queue.
+     *
+     * This is called by MongoOptimizer::startOptimizer()
+     *
+     * @param {function(err)} done Callback function for after the system.profile collections are being tailed
+     */
+    startProfileTailing(done)
+    {
+        const self = this;
+
+        self.setProfilingLevel(function (err)
+        {
+            if (err)
+            {
+                return done(err);
+            }
 
-            const queue = async.queue(function(mongoProfile, next)
+            self.members.forEach(function(member)
             {
-                async.nextTick(function()
+                self.databaseNames.forEach(function(databaseName)
                 {
-                    self.processMongoProfile(mongoProfile, function (err)
+                    const profile = member.db.db(databaseName).collection("system.profile");
+
+                    var cursor = profile.find(ProfileFormat.getProfileCollectionFilter(), {
+                        tailable: true,
+                        awaitdata: true,
+                        timeout: false
+                    });
+
+                    cursor.each(function(err, item)
                     {
                         if (err)
                         {
                             console.error(err);
-                            return next(err);
+                            // process.exit(1);
+                        }
+                        else if(item === null)
+                        {
+                            console.error(`Cursor for documents in ${databaseName}.system.profile collection on ${member.host} returned nothing.`);
+                            // process.exit(1);
+                        }
+                        else
+                        {
+                            // Usage is only tracked per member when there is more then one member being profiled
+                            self.queue.push({mongoProfile: item, member: self.members.length > 1 ? member.host : null});
                         }
-
-                        return next();
                     });
                 });
             });
 
-            cursor.each(function(err, item)
+            return done();
+        });
+    }
+
+
+    /**
+     * This method starts the loop which, at the indexSynchronizationInterval, synchronizes the indexes with our
+     * current optimal layout.
+     *
+     * This is called by MongoOptimizer::startOptimizer()
+     */
+    startIndexSynchronization()
+    {
+        const self = this;
+
+        // Every 30 seconds, we synchronize the indexes with our current optimal layout
+        function syncIndexes()
+        {
+            // This function handles the query finishing
+            function finish(err)
             {
                 if (err)
                 {
                     console.error(err);
-                    // process.exit(1);
-                }
-                else if(item === null)
-                {
-                    console.error("Cursor for documents in system.profile collection returned nothing.");
-                    // process.exit(1);
-                }
-                else
-                {
-                    queue.push(item);
-                }
-            });
-
-            // At the same time, every 30 seconds, we synchronize the indexes with our current optimal layout
-            function syncIndexes()
-            {
-                // This function handles the query finishing
-                function finish(err)
-                {
-                    if (err)
-                    {
-                        console.error(err);
-                    }
-
-                    setTimeout(syncIndexes, self.options.indexSynchronizationInterval * 1000);
                 }
 
-                // First, we remove any old query profiles
-                self.querySet.removeOldQueryProfiles();
+                setTimeout(syncIndexes, self.options.indexSynchronizationInterval * 1000);
+            }
+
+            // First, we remove any old query profiles
+            self.querySet.removeOldQueryProfiles();
 
-                // Save before, because the synchronize step can take a long time,
-                // and we don't want to lose all the query profiles gathered so far
-                self.saveOptimizerData(function (err)
+            // Save before, because the synchronize step can take a long time,
+            // and we don't want to lose all the query profiles gathered so far
+            self.saveOptimizerData(function (err)
+            {
+                if (err)
                 {
-                    if (err)
-                    {
-                        return finish(err);
-                    }
+                    return finish(err);
+                }
 
-                    try
+                try
+                {
+                    // Perform the synchronization. Internally, this triggers the random sampling of your database.
+                    self.synchronizeIndexes(function (err)
                     {
-                        // Perform the synchronization. Internally, this triggers the random sampling of your database.
-                        self.synchronizeIndexes(function (err)
+                        if (err)
+                        {
+                            return finish(err);
+                        }
+
+                        // Also save after, so that we don't lose any of the cached sampling statitics gathered during the first step.
+                        self.saveOptimizerData(function (err)
                         {
                             if (err)
                             {
                                 return finish(err);
                             }
 
-                            // Also save after, so that we don't lose any of the cached sampling statitics gathered during the first step.
-                            self.saveOptimizerData(function (err)
-                            {
-                                if (err)
-                                {
-                                    return finish(err);
-                                }
-
-                                return finish();
-                            });
+                            return finish();
                         });
-                    }
-                    catch(err)
-                    {
-                        return finish(err);
-                    }
-                });
+                    });
+                }
+                catch(err)
+                {
+                    return finish(err);
+                }
+            });
+        }
+
+        syncIndexes();
+    }
+
+
+    /**
+     * This method analyzes the slow query entries in a set of mongod log files, instead of tailing the system.profile
+     * collection. This allows recommendations to be made without ever enabling the profiler. The queries found
+     * in the log files are analyzed on their own, without any of the previously saved query profiles, and then
+     * the index report is produced once. This is an offline analysis, so the recommended changes are never made to
+     * the database, even if index changing is enabled.
+     *
+     * This must be run after MongoOptimizer::loadOptimizerData()
+     *
+     * @param { [string] } logFiles The list of log files to read. Files ending in .gz will be decompressed.
+     * @param {function(err)} done Callback function for after the log files have been analyzed and the report printed.
+     */
+    analyzeLogFiles(logFiles, done)
+    {
+        const self = this;
+
+        // Start with an empty set of queries, so that only the queries in the log files are considered
+        self.querySet = new QuerySet(null, self.sampler, self.options);
+
+        MongoLogParser.readLogFiles(logFiles, function(mongoProfile, next)
+        {
+            self.processMongoProfile(mongoProfile, null, next);
+        }, function(err)
+        {
+            if (err)
+            {
+                return done(err);
             }
 
-            syncIndexes();
+            if (self.options.verbose)
+            {
+                console.log(`Found ${self.querySet.queryProfiles.length} query profiles in ${logFiles.length} log file${logFiles.length !== 1 ? 's' : ''}`);
+            }
 
-            return done();
+            self.synchronizeIndexes(done, true);
         });
     }
 
@@ -310,20 +819,29 @@ class MongoOptimizer
     getExistingIndexes(done)
     {
         const self = this;
-        const collections = underscore.uniq(underscore.map(self.queryProfiles, queryProfile => queryProfile.collectionName));
+        const namespaces = underscore.uniq(underscore.map(self.querySet.queryProfiles, queryProfile => queryProfile.namespace));
 
         // For each collection, obtain the list of existing indexes for that collection
-        async.mapSeries(collections, function(collectionName, next)
+        async.mapSeries(namespaces, function(namespace, next)
         {
             // Get the collection
-            const collection = self.db.collection(collectionName);
+            const collection = self.getCollection(namespace);
 
             // Get the existing indexes
             collection.listIndexes().toArray().then(function(results)
             {
-                const existingIndexes = underscore.filter(underscore.map(results, result => new MongoIndex(result.key, collectionName, result.name)), index => !index.isIDOnly);
+                const existingIndexes = underscore.filter(underscore.map(results, result => MongoIndex.fromIndexDescription(result, namespace)), index => !index.isIDOnly);
                 return next(null, existingIndexes)
-            }, next).catch(next);
+            }, function(err)
+            {
+                // The collection may not exist, for example if it was dropped after the query was seen
+                if (err.code === 26)
+                {
+                    return next(null, []);
+                }
+
+                return next(err);
+            }).catch(next);
         }, function(err, allExistingIndexes)
         {
             if (err)
@@ -336,6 +854,57 @@ class MongoOptimizer
     }
 
 
+    /**
+     * This method polls $indexStats for every collection that has existing indexes, on every server that is being
+     * profiled, and records how often each index has been used. The usage is then set on each of the existing indexes.
+     *
+     * Servers that don't support $indexStats, which was added in MongoDB 3.2, are skipped.
+     *
+     * @param {IndexSet} currentIndexSet The indexes that currently exist, as returned by MongoOptimizer::getExistingIndexes
+     * @param {function(err)} done A callback after the index usage has been updated
+     */
+    updateIndexUsage(currentIndexSet, done)
+    {
+        const self = this;
+        const namespaces = underscore.uniq(underscore.map(currentIndexSet.indexes, (index) => index.mongoNamespace));
+
+        async.eachSeries(self.members, function(member, next)
+        {
+            async.eachSeries(namespaces, function(namespace, next)
+            {
+                const databaseName = ProfileFormat.getDatabaseName(namespace);
+                const collection = member.db.db(databaseName).collection(namespace.substr(databaseName.length + 1));
+
+                collection.aggregate([{$indexStats: {}}], {cursor: {batchSize: 1000}}).toArray(function(err, indexStats)
+                {
+                    if (err)
+                    {
+                        // The collection may not exist on this member yet
+                        if (err.code !== 26)
+                        {
+                            console.error(`Unable to get the index usage for ${namespace} on ${member.host}: ${err.message}`);
+                        }
+
+                        return next();
+                    }
+
+                    self.indexUsage.recordIndexStats(namespace, member.host, indexStats);
+                    return next();
+                });
+            }, next);
+        }, function(err)
+        {
+            if (err)
+            {
+                return done(err);
+            }
+
+            currentIndexSet.indexes.forEach((index) => index.setIndexUsage(self.indexUsage.getUsage(index.mongoNamespace, index.mongoIndexName)));
+            return done();
+        });
+    }
+
+
     /**
      * This method will go through the reduced set of indexes for our query profiles, and
      * compare them to the set of indexes that we have in the database. It will then, for
@@ -355,15 +924,23 @@ class MongoOptimizer
                 return done(err);
             }
 
-            self.querySet.computeOptimalIndexSet(function(err, recommendedIndexSet)
+            self.updateIndexUsage(currentIndexSet, function(err)
             {
                 if (err)
                 {
                     return done(err);
                 }
 
-                const collectionChanges = IndexSet.getRecommendedIndexChanges(recommendedIndexSet, currentIndexSet);
-                return done(null, collectionChanges);
+                self.querySet.computeOptimalIndexSet(currentIndexSet, function(err, recommendedIndexSet)
+                {
+                    if (err)
+                    {
+                        return done(err);
+                    }
+
+                    const collectionChanges = IndexSet.getRecommendedIndexChanges(recommendedIndexSet, currentIndexSet, self.options.keepUsedIndexesDays);
+                    return done(null, collectionChanges);
+                });
             });
         });
     }
@@ -379,13 +956,20 @@ class MongoOptimizer
      * it will print an error.
      *
      * @param {object} mongoProfile A JSON mongo profile object from the system.profile
+     * @param {string} member The "host:port" of the server that the mongo profile came from. Can be null if its not known.
      * @param {function(err)} done A callback after the mongo profile has been processed.
      *
      */
-    processMongoProfile(mongoProfile, done)
+    processMongoProfile(mongoProfile, member, done)
     {
         const self = this;
 
+        const normalizedProfile = ProfileFormat.normalizeMongoProfile(mongoProfile);
+        if (normalizedProfile.write)
+        {
+            self.querySet.writeStatistics.recordWrite(normalizedProfile.namespace, normalizedProfile.write.operation, normalizedProfile.write.update, normalizedProfile.write.count);
+        }
+
         const queryProfiles = QueryProfile.createQueryProfilesFromMongoProfile(mongoProfile, self.options);
         async.eachSeries(queryProfiles, function (queryProfile, next)
         {
@@ -396,7 +980,7 @@ class MongoOptimizer
             }
 
             // First add it to the query set
-            const existingQueryProfile = self.querySet.addQueryProfile(queryProfile);
+            const existingQueryProfile = self.querySet.addQueryProfile(queryProfile, normalizedProfile.op, member, normalizedProfile.execution);
 
             existingQueryProfile.getCardinalitiesForIndexOptimization(self.sampler, function(err)
             {
@@ -405,6 +989,13 @@ class MongoOptimizer
                     return next(err);
                 }
 
+                // A $near query doesn't just run slowly without a geospatial index, Mongo refuses to run it at all
+                if (existingQueryProfile.isNearQuery && mongoProfile.errMsg)
+                {
+                    console.error(`A ${existingQueryProfile.geo.operator} query on ${existingQueryProfile.namespace} failed: ${mongoProfile.errMsg}`);
+                    console.error(`It needs the geospatial index ${JSON.stringify(existingQueryProfile.reducedIndexes[0])}`);
+                }
+
                 // Now check to see if it used the indexes we think it should have
                 const indexesPendingCreation = underscore.any(existingQueryProfile.reducedIndexes, (index) => !index.doesIndexExist());
 
@@ -413,6 +1004,13 @@ class MongoOptimizer
                 {
                     return next();
                 }
+                // Query profiles on other collections, such as those from a $lookup, aren't described by the
+                // indexes recorded in this mongo profile
+                if (existingQueryProfile.namespace !== normalizedProfile.namespace)
+                {
+                    return next();
+                }
+
                 // Or if there are no indexes for the query, ignore that as well
                 if (existingQueryProfile.reducedIndexes.length == 0)
                 {
@@ -427,7 +1025,7 @@ class MongoOptimizer
                 {
                     console.log("Missed the correct index in: ", mongoProfile.ns);
                     console.log("Query:");
-                    console.log(mongoProfile.query);
+                    console.log(normalizedProfile.query);
                     console.log("Profile");
                     console.log(existingQueryProfile);
                     console.log("Used indexes:");
@@ -442,6 +1040,33 @@ class MongoOptimizer
         }, done);
     }
 
+    /**
+     * This method adds a query record, such as one received by the QueryIngestionServer, to the queue of queries
+     * waiting to be processed. It must be called after MongoOptimizer::startOptimizer()
+     *
+     * @param {object} queryRecord A query record, in the form described by QuerySet::addQueryRecord
+     */
+    queueQueryRecord(queryRecord)
+    {
+        const self = this;
+        self.queue.push({queryRecord: queryRecord});
+    }
+
+
+    /**
+     * This method is used to process a single query record, such as one forwarded to the QueryIngestionServer by an
+     * application server. Its query profiles are added to the query set, the same as for a Mongo Profile object.
+     * Since there is no information about which indexes Mongo actually used, that check is not performed.
+     *
+     * @param {object} queryRecord A query record, in the form described by QuerySet::addQueryRecord
+     * @param {function(err)} done A callback after the query record has been processed.
+     */
+    processQueryRecord(queryRecord, done)
+    {
+        const self = this;
+        self.querySet.addQueryRecord(queryRecord, done);
+    }
+
     /**
      * This method just formats and prints the collectionChanges object created by MongoOptimizer::getRecommendedIndexChanges
      *
@@ -452,14 +1077,26 @@ class MongoOptimizer
     {
         const self = this;
 
-        console.log(`${indent}${collectionChanges.collectionName}`);
+        // When the query profiles are weighted by their cost, the indexes serving the most costly queries are shown first
+        const printWeights = self.options.weighting !== 'count';
+        function sortIndexes(indexes)
+        {
+            const sortedIndexes = underscore.sortBy(indexes, (index) => JSON.stringify(index));
+            return printWeights ? underscore.sortBy(sortedIndexes, (index) => -index.weight) : sortedIndexes;
+        }
+
+        console.log(`${indent}${collectionChanges.namespace}`);
         if (!self.options.showChangesOnly || collectionChanges.create.length > 0)
         {
             console.log(`${indent}    Create:`);
-            const sortedCreateIndexes = underscore.sortBy(collectionChanges.create, (index) => JSON.stringify(index));
+            const sortedCreateIndexes = sortIndexes(collectionChanges.create);
             sortedCreateIndexes.forEach(function(index)
             {
-                index.printIndexData(`${indent}        `, true);
+                index.printIndexData(`${indent}        `, true, printWeights);
+                if (index.isGeoIndex && underscore.any(index.knownQueryProfiles, (queryProfile) => queryProfile.isNearQuery))
+                {
+                    console.log(`${indent}        WARNING: $near queries using this index will fail with an error until it is created`);
+                }
                 console.log("");
             });
         }
@@ -468,10 +1105,10 @@ class MongoOptimizer
         {
             console.log("");
             console.log(`${indent}    Keep:`);
-            const sortedKeepIndexes = underscore.sortBy(collectionChanges.keep, (index) => JSON.stringify(index));
+            const sortedKeepIndexes = sortIndexes(collectionChanges.keep);
             sortedKeepIndexes.forEach(function(index, n)
             {
-                index.printIndexData(`${indent}        `, true);
+                index.printIndexData(`${indent}        `, true, printWeights);
                 console.log("");
             });
         }
@@ -480,25 +1117,150 @@ class MongoOptimizer
         {
             console.log("");
             console.log(`${indent}    Drop:`);
-            const sortedDropIndexes = underscore.sortBy(collectionChanges.drop, (index) => JSON.stringify(index));
+            const sortedDropIndexes = sortIndexes(collectionChanges.drop);
             sortedDropIndexes.forEach(function (index)
             {
-                index.printIndexData(`${indent}        `, true);
+                index.printIndexData(`${indent}        `, true, printWeights);
+                console.log("");
+            });
+        }
+
+        // The redundant manual indexes are never dropped automatically, so they aren't shown with the changes
+        if (!self.options.showChangesOnly && collectionChanges.redundant.length > 0)
+        {
+            console.log("");
+            console.log(`${indent}    Redundant manual indexes (these will not be dropped automatically):`);
+            collectionChanges.redundant.forEach(function (redundantIndex)
+            {
+                const options = underscore.map(redundantIndex.index.indexOptions, (value, option) => `, ${option}: ${JSON.stringify(value)}`).join("");
+                console.log(`${indent}        ${redundantIndex.index.mongoIndexName}: ${JSON.stringify(redundantIndex.index)}${options}`);
+                console.log(`${indent}            ${describeRedundantIndex(redundantIndex)}`);
+                console.log("");
+            });
+        }
+
+        if (!self.options.showChangesOnly && collectionChanges.uncovered.length > 0)
+        {
+            console.log("");
+            console.log(`${indent}    Query profiles left without an index:`);
+            collectionChanges.uncovered.forEach(function (uncovered)
+            {
+                const options = underscore.map(uncovered.index.indexOptions, (value, option) => `, ${option}: ${JSON.stringify(value)}`).join("");
+                console.log(`${indent}        ${uncovered.queryProfile.toString()}`);
+                console.log(`${indent}            would need: ${JSON.stringify(uncovered.index)}${options}, but ${describeUncoveredQueryProfile(uncovered)}`);
+                console.log("");
+            });
+        }
+    }
+
+
+    /**
+     * This method prints the slowest query profiles, by the 95th percentile of their execution time, and the least
+     * efficient query profiles, by the number of documents they examine for each document they return. When an index
+     * has been created for a query profile, its performance before the index was created is shown as well, so that
+     * you can see whether the index helped.
+     *
+     * @param {String} indent A string containing the number of spaces wanted for indentation at the start of the line.
+     */
+    printQueryPerformanceReport(indent)
+    {
+        const self = this;
+        const reportSize = Number(self.options.performanceReportSize);
+        if (reportSize <= 0)
+        {
+            return;
+        }
+
+        function printQueryProfiles(title, queryProfiles)
+        {
+            console.log(`${indent}${title}`);
+            queryProfiles.forEach(function(queryProfile)
+            {
+                console.log(`${indent}    ${queryProfile.namespace}`);
+                console.log(`${indent}        ${queryProfile.toString()}`);
+                console.log(`${indent}        Now: ${describePerformance(queryProfile.performance, false)}`);
+                if (queryProfile.performance.previous)
+                {
+                    console.log(`${indent}        Before the last index was created: ${describePerformance(queryProfile.performance, true)}`);
+                }
                 console.log("");
             });
         }
+
+        const timedQueryProfiles = underscore.filter(self.querySet.queryProfiles, (queryProfile) => queryProfile.performance.getPercentile('millis', 95) !== null);
+        const slowestQueryProfiles = underscore.sortBy(timedQueryProfiles, (queryProfile) => -queryProfile.performance.getPercentile('millis', 95)).slice(0, reportSize);
+        printQueryProfiles("Slowest query shapes:", slowestQueryProfiles);
+
+        const examinedQueryProfiles = underscore.filter(self.querySet.queryProfiles, (queryProfile) => queryProfile.performance.getExaminedPerReturned() !== null);
+        const leastEfficientQueryProfiles = underscore.sortBy(examinedQueryProfiles, (queryProfile) => -queryProfile.performance.getExaminedPerReturned()).slice(0, reportSize);
+        printQueryProfiles("Least efficient query shapes:", leastEfficientQueryProfiles);
+    }
+
+
+    /**
+     * This method writes the redundant manual indexes found for every collection to the file given in the
+     * redundantIndexReportFile option, as a JSON array. Nothing is written if the option isn't set.
+     *
+     * Each entry looks like the following:
+     *
+     * {
+     *      namespace: "dbName.collectionName",
+     *      name: "name_1",
+     *      key: {name: 1},
+     *      options: {sparse: true},
+     *      reason: "prefix",
+     *      description: "Prefix of name_1_email_1 {\"name\":1,\"email\":1}, which can be used by the same queries",
+     *      redundantWith: {name: "name_1_email_1", key: {name: 1, email: 1}}
+     * }
+     *
+     * The reason is one of "duplicate", "prefix" or "unused", and redundantWith is null for unused indexes.
+     *
+     * @param {object} collectionsToChange The results produced from MongoOptimizer::getRecommendedIndexChanges
+     * @param {function(err)} done A callback after the file has been written
+     */
+    writeRedundantIndexReport(collectionsToChange, done)
+    {
+        const self = this;
+        if (!self.options.redundantIndexReportFile)
+        {
+            return done();
+        }
+
+        const report = underscore.flatten(underscore.map(collectionsToChange, function(collectionChanges)
+        {
+            return underscore.map(collectionChanges.redundant, (redundantIndex) => ({
+                namespace: collectionChanges.namespace,
+                name: redundantIndex.index.mongoIndexName,
+                key: redundantIndex.index,
+                options: redundantIndex.index.indexOptions,
+                reason: redundantIndex.reason,
+                description: describeRedundantIndex(redundantIndex),
+                redundantWith: redundantIndex.otherIndex ? {name: redundantIndex.otherIndex.mongoIndexName, key: redundantIndex.otherIndex} : null
+            }));
+        }), true);
+
+        fs.writeFile(self.options.redundantIndexReportFile, JSON.stringify(report, null, 2), function(err)
+        {
+            if (err)
+            {
+                console.error(`Error writing the redundant index report to ${self.options.redundantIndexReportFile}: ${err}`);
+                return done(err);
+            }
+
+            return done();
+        });
     }
 
     /**
      * This method creates a new index using the Mongo shell. It is done this way to circumvent a bug in the NodeJS Mongo driver
      * which doesn't allow creating indexes with periods in them, like {"names.name": 1}
      *
-     * @param {String} collectionName The name of the collection to create the index on
+     * @param {String} namespace The namespace of the collection to create the index on, like "dbName.collectionName"
      * @param {MongoIndex} index The index object describing the index.
      * @param {String} indexName The name of the index
      * @param {function(err)} done A callback that will be called once the index has been created.
      */
-    createIndexSubProcess(collectionName, index, indexName, done)
+    createIndexSubProcess(namespace, index, indexName, done)
     {
         const self = this;
         const parsed = mongodbUri.parse(self.options.database);
@@ -509,7 +1271,11 @@ class MongoOptimizer
         const hostArgument = parsed.hosts[0].host ? [`--host`, `${parsed.hosts[0].host}`] : [];
         const portArgument = parsed.hosts[0].port ? [`--port`, `${parsed.hosts[0].port}`] : [];
         const databaseArgument = parsed.database ? [`${parsed.database}`] : [];
-        const commandArgument = [`--eval`, `print("${resultPrefix}" + JSON.stringify(db.${collectionName}.createIndex(${JSON.stringify(index)}, {background: true, name: "${indexName}"})));`];
+        // We always connect to the database in the URI, since that is the one we authenticate against, and then switch to the database of the index
+        const databaseName = ProfileFormat.getDatabaseName(namespace);
+        const collectionName = namespace.substr(databaseName.length + 1);
+        const indexOptions = underscore.extend({background: true, name: indexName}, index.indexOptions);
+        const commandArgument = [`--eval`, `print("${resultPrefix}" + JSON.stringify(db.getSiblingDB("${databaseName}").getCollection("${collectionName}").createIndex(${JSON.stringify(index)}, ${toShellString(indexOptions)})));`];
         const allArguments = underscore.flatten([usernameArgument, passwordArgument, hostArgument, portArgument, databaseArgument, commandArgument]);
         const command = `mongo ${allArguments.join(" ")}`;
 
@@ -546,7 +1312,7 @@ class MongoOptimizer
                 // This is an error that a particular value in the database is too large to index. This means that we must have not caught that value
                 // when we did our random sample to determine field cardinalities and maximum value lengths.
                 const fields = Object.keys(index);
-                self.sampler.getCollectionStatistics(collectionName, function(err, collectionStatistics)
+                self.sampler.getCollectionStatistics(namespace, function(err, collectionStatistics)
                 {
                     if (err)
                     {
@@ -577,8 +1343,10 @@ class MongoOptimizer
      * without implementing them.
      *
      * @param {function(err)} done A callback after all of the indexes have been synchronized.
+     * @param {boolean} [reportOnly] Only print the recommended changes, without implementing them even if index changing
+     *                               is enabled. optional
      */
-    synchronizeIndexes(done)
+    synchronizeIndexes(done, reportOnly)
     {
         const self = this;
 
@@ -598,20 +1366,29 @@ class MongoOptimizer
 
         if(self.options.simple)
         {
-            self.querySet.computeOptimalIndexSet(function(err, recommendedIndexSet)
+            self.getExistingIndexes(function(err, currentIndexSet)
             {
                 if (err)
                 {
                     return done(err);
                 }
 
-                printIndexReportStart();
-                console.log("\n");
-                recommendedIndexSet.print();
-                console.log("\n");
-                printIndexReportFinish();
+                self.querySet.computeOptimalIndexSet(currentIndexSet, function(err, recommendedIndexSet)
+                {
+                    if (err)
+                    {
+                        return done(err);
+                    }
+
+                    printIndexReportStart();
+                    console.log("\n");
+                    recommendedIndexSet.print();
+                    recommendedIndexSet.uncoveredQueryProfiles.forEach((uncovered) => console.log(`// Left out because ${describeUncoveredQueryProfile(uncovered)}: ${uncovered.index.mongoNamespace}(${JSON.stringify(uncovered.index)}) for ${uncovered.queryProfile.toString()}`));
+                    console.log("\n");
+                    printIndexReportFinish();
 
-                return done();
+                    return done();
+                });
             });
         }
         else
@@ -625,7 +1402,7 @@ class MongoOptimizer
                 }
 
                 // sort the collections to change
-                collectionsToChange = underscore.sortBy(collectionsToChange, (collectionChanges) => (collectionChanges.collectionName));
+                collectionsToChange = underscore.sortBy(collectionsToChange, (collectionChanges) => (collectionChanges.namespace));
 
                 if (self.options.showChangesOnly)
                 {
@@ -667,51 +1444,31 @@ class MongoOptimizer
                         self.printChangeSummary(collectionChanges, "    ");
                     });
 
+                    self.printQueryPerformanceReport("    ");
+
                     printIndexReportFinish();
                 }
 
 
-                // If we don't need to do the changes, then don't go any further
-                if (!self.options.doChanges)
+                self.writeRedundantIndexReport(collectionsToChange, function(err)
                 {
-                    return done();
-                }
+                    if (err)
+                    {
+                        return done(err);
+                    }
 
-                async.eachSeries(collectionsToChange, function (collectionChanges, next)
-                {
-                    // Get the collection
-                    const collection = self.db.collection(collectionChanges.collectionName);
-                    async.eachSeries(collectionChanges.create, function (index, next)
+                    // If we don't need to do the changes, then don't go any further
+                    if (!self.options.doChanges || reportOnly)
                     {
-                        collection.createIndex(index, {name: index.mongoIndexName, background: true}, function (err)
-                        {
-                            if (err)
-                            {
-                                self.createIndexSubProcess(collectionChanges.collectionName, index, index.mongoIndexName, function (subProcessError)
-                                {
-                                    if (subProcessError)
-                                    {
-                                        console.error(`Create index error for index ${JSON.stringify(index)}. Index may need to be created manually: ${subProcessError}`);
-                                        return next();
-                                    }
+                        return done();
+                    }
 
-                                    return next();
-                                });
-                            }
-                            else
-                            {
-                                return next();
-                            }
-                        });
-                    }, function (err)
+                    async.eachSeries(collectionsToChange, function (collectionChanges, next)
                     {
-                        if (err)
-                        {
-                            return next(err);
-                        }
+                        // Get the collection
+                        const collection = self.getCollection(collectionChanges.namespace);
 
-                        // See the list of indexes we don't need anymore (dangerous!)
-                        async.eachSeries(collectionChanges.drop, function (index, next)
+                        function dropIndex(index, next)
                         {
                             collection.dropIndex(index.mongoIndexName, {}, function (err)
                             {
@@ -725,16 +1482,70 @@ class MongoOptimizer
                                     return next();
                                 }
                             });
-                        }, next);
-                    });
-                }, function (err)
-                {
-                    if (err)
+                        }
+
+                        // Since a collection can only have one text index, an old text index has to be dropped before
+                        // its replacement can be created. All other indexes are only dropped after the new ones are created.
+                        const textIndexesToDrop = underscore.filter(collectionChanges.drop, (index) => index.isTextIndex && underscore.any(collectionChanges.create, (createIndex) => createIndex.isTextIndex));
+                        const indexesToDrop = underscore.difference(collectionChanges.drop, textIndexesToDrop);
+
+                        async.eachSeries(textIndexesToDrop, dropIndex, function (err)
+                        {
+                            if (err)
+                            {
+                                return next(err);
+                            }
+
+                            // The performance of the query profiles from now on is compared with how they did before the index
+                            function indexCreated(index)
+                            {
+                                index.knownQueryProfiles.forEach((queryProfile) => queryProfile.performance.startNewPeriod());
+                            }
+
+                            async.eachSeries(collectionChanges.create, function (index, next)
+                            {
+                                collection.createIndex(index, underscore.extend({name: index.mongoIndexName, background: true}, index.indexOptions), function (err)
+                                {
+                                    if (err)
+                                    {
+                                        self.createIndexSubProcess(collectionChanges.namespace, index, index.mongoIndexName, function (subProcessError)
+                                        {
+                                            if (subProcessError)
+                                            {
+                                                console.error(`Create index error for index ${JSON.stringify(index)}. Index may need to be created manually: ${subProcessError}`);
+                                                return next();
+                                            }
+
+                                            indexCreated(index);
+                                            return next();
+                                        });
+                                    }
+                                    else
+                                    {
+                                        indexCreated(index);
+                                        return next();
+                                    }
+                                });
+                            }, function (err)
+                            {
+                                if (err)
+                                {
+                                    return next(err);
+                                }
+
+                                // See the list of indexes we don't need anymore (dangerous!)
+                                async.eachSeries(indexesToDrop, dropIndex, next);
+                            });
+                        });
+                    }, function (err)
                     {
-                        return done(err);
-                    }
+                        if (err)
+                        {
+                            return done(err);
+                        }
 
-                    return done();
+                        return done();
+                    });
                 });
             });
         }
@@ -0,0 +1,409 @@
+"use strict";
+
+const underscore = require("underscore");
+
+/**
+ * ProfileFormat is responsible for understanding the many different shapes that Mongo has used for the documents
+ * in the system.profile collection over the years, and converting all of them into one consistent internal shape.
+ *
+ * The normalized profile object looks like the following:
+ *
+ * {
+ *      op: "query",
+ *      namespace: "dbName.collectionName",
+ *      query: {filter},
+ *      sort: {String: direction},
+ *      projection: {String: 1},
+ *      pipeline: [stages],
+ *      comment: "the $comment attached to the query, if any",
+ *      collation: {locale: "en", strength: 2},
+ *      planSummary: "IXSCAN { name: 1 }",
+ *      usedIndexes: [{name: 1}],
+ *      execution: {millis: 12, docsExamined: 40, keysExamined: 40, nreturned: 10, hasSortStage: false},
+ *      write: {operation: "update", update: {$set: {name: "test"}}, count: 1}
+ * }
+ *
+ * The following profiler formats are understood:
+ *
+ *  - MongoDB 2.x - 3.0: op "query", with the filter stored in "query", possibly wrapped as {$query: ..., $orderby: ...}
+ *    or {query: ..., orderby: ...}. Index information is in execStats, with keyPattern stored as a string.
+ *  - MongoDB 3.2 - 3.4: op "query", with the find command stored in "query", e.g. {find: "users", filter: ..., sort: ...}
+ *  - MongoDB 3.6+: op "query", with the find command stored in "command", and a planSummary string.
+ *
+ * Aggregations are recorded with op "command", and the aggregate command stored in "command". These are normalized
+ * with op "aggregate", and their pipeline is provided in the "pipeline" field.
+ *
+ * Updates and deletes are recorded with op "update" and "remove", with their selector stored in "query" in older versions
+ * and as "command.q" in MongoDB 3.6+. The findAndModify, count and distinct commands are recorded with op "command",
+ * and are normalized with op "findAndModify", "count" and "distinct" respectively. Inserts are recorded with op "insert",
+ * and have no query.
+ *
+ * The write field describes the documents written by inserts, updates, removes and findAndModify, where the operation
+ * is one of "insert", "update" or "remove", the update is the update document, if known, and the count is the number
+ * of documents written. It is null for operations which only read.
+ *
+ * The projection is only known for the find command and findAndModify, since the legacy query format doesn't record
+ * it. It is null for everything else.
+ *
+ * The execution statistics were renamed in MongoDB 3.2, from nscanned, nscannedObjects and scanAndOrder to keysExamined,
+ * docsExamined and hasSortStage. Either form is understood, and any statistic that isn't recorded is null.
+ */
+class ProfileFormat
+{
+    /**
+     * Converts a raw document from the system.profile collection into the normalized profile shape.
+     *
+     * @param {object} mongoProfile A Mongo profile object from the system.profile collection
+     * @returns {object} The normalized profile object
+     */
+    static normalizeMongoProfile(mongoProfile)
+    {
+        const normalized = {
+            op: mongoProfile.op,
+            namespace: mongoProfile.ns,
+            query: {},
+            sort: {},
+            projection: null,
+            pipeline: null,
+            comment: null,
+            collation: null,
+            planSummary: mongoProfile.planSummary || null,
+            usedIndexes: ProfileFormat.getUsedIndexes(mongoProfile),
+            execution: ProfileFormat.getExecutionStatistics(mongoProfile),
+            write: null
+        };
+
+        const command = ProfileFormat.getCommand(mongoProfile);
+        const commandCollection = command ? (command.aggregate || command.findAndModify || command.findandmodify || command.count || command.distinct) : null;
+
+        // Older versions of Mongo record commands against the "dbName.$cmd" namespace
+        if (typeof commandCollection === 'string')
+        {
+            normalized.namespace = `${ProfileFormat.getDatabaseName(mongoProfile.ns)}.${commandCollection}`;
+        }
+
+        if (command && !underscore.isUndefined(command.comment))
+        {
+            normalized.comment = command.comment;
+        }
+
+        // Queries made with a collation can only use indexes that have the same collation
+        if (command && command.collation)
+        {
+            normalized.collation = command.collation;
+        }
+
+        if (mongoProfile.op === 'insert')
+        {
+            const documents = command && underscore.isArray(command.documents) ? command.documents.length : 1;
+            normalized.write = {operation: "insert", update: null, count: underscore.isNumber(mongoProfile.ninserted) ? mongoProfile.ninserted : documents};
+        }
+        else if (mongoProfile.op === 'update' || mongoProfile.op === 'remove')
+        {
+            // MongoDB 3.6+ stores the update or delete statement in "command", older versions store the selector in "query"
+            normalized.query = (mongoProfile.command ? mongoProfile.command.q : mongoProfile.query) || {};
+
+            if (mongoProfile.op === 'update')
+            {
+                const modified = underscore.find([mongoProfile.nModified, mongoProfile.nMatched], underscore.isNumber);
+                normalized.write = {
+                    operation: "update",
+                    update: (mongoProfile.command ? mongoProfile.command.u : mongoProfile.updateobj) || null,
+                    count: underscore.isUndefined(modified) ? 1 : modified
+                };
+            }
+            else
+            {
+                normalized.write = {operation: "remove", update: null, count: underscore.isNumber(mongoProfile.ndeleted) ? mongoProfile.ndeleted : 1};
+            }
+        }
+        else if (command && command.aggregate)
+        {
+            normalized.op = 'aggregate';
+            normalized.pipeline = command.pipeline || [];
+        }
+        else if (command && (command.findAndModify || command.findandmodify))
+        {
+            normalized.op = 'findAndModify';
+            normalized.query = command.query || {};
+            normalized.sort = command.sort || {};
+            normalized.projection = command.fields || null;
+
+            if (command.remove)
+            {
+                normalized.write = {operation: "remove", update: null, count: 1};
+            }
+            else if (command.update)
+            {
+                normalized.write = {operation: "update", update: command.update, count: 1};
+            }
+        }
+        else if (command && command.count)
+        {
+            normalized.op = 'count';
+            normalized.query = command.query || {};
+        }
+        else if (command && command.distinct)
+        {
+            normalized.op = 'distinct';
+            normalized.query = command.query || {};
+        }
+        else if (command && typeof command.find === 'string')
+        {
+            normalized.query = command.filter || {};
+            normalized.sort = command.sort || {};
+            normalized.projection = command.projection || null;
+        }
+        else if (mongoProfile.query)
+        {
+            const legacyQuery = mongoProfile.query;
+            if (legacyQuery['$query'])
+            {
+                normalized.query = legacyQuery['$query'];
+                normalized.sort = legacyQuery['$orderby'] || legacyQuery['orderby'] || {};
+                normalized.comment = underscore.isUndefined(legacyQuery['$comment']) ? null : legacyQuery['$comment'];
+            }
+            else if (legacyQuery['query'])
+            {
+                normalized.query = legacyQuery['query'];
+                normalized.sort = legacyQuery['orderby'] || legacyQuery['$orderby'] || {};
+                normalized.comment = underscore.isUndefined(legacyQuery['$comment']) ? null : legacyQuery['$comment'];
+            }
+            else
+            {
+                normalized.query = legacyQuery;
+            }
+        }
+
+        return normalized;
+    }
+
+
+    /**
+     * Returns the filter that should be used on the system.profile collection to find all of the profile documents
+     * that can be understood by ProfileFormat.normalizeMongoProfile
+     *
+     * @returns {object} A Mongo query object for the system.profile collection
+     */
+    static getProfileCollectionFilter()
+    {
+        return {
+            $or: [
+                {
+                    op: "query",
+                    ns: {$regex: "^[^\\.]+\\.(?!system|\\$cmd)"}
+                },
+                {
+                    op: {$in: ["insert", "update", "remove"]},
+                    ns: {$regex: "^[^\\.]+\\.(?!system|\\$cmd)"}
+                },
+                {
+                    op: "command",
+                    ns: {$regex: "^[^\\.]+\\.(?!system)"},
+                    $or: [
+                        {"command.aggregate": {$exists: true}},
+                        {"command.findAndModify": {$exists: true}},
+                        {"command.findandmodify": {$exists: true}},
+                        {"command.count": {$exists: true}},
+                        {"command.distinct": {$exists: true}}
+                    ]
+                }
+            ]
+        };
+    }
+
+
+    /**
+     * This method checks whether a profile document is one that would be matched by the filter from
+     * ProfileFormat.getProfileCollectionFilter. It is used for profile documents that come from sources other than
+     * the system.profile collection, such as log files.
+     *
+     * @param {object} mongoProfile A Mongo profile object
+     * @returns {boolean} True if the profile document can be analyzed, false otherwise
+     */
+    static isSupportedMongoProfile(mongoProfile)
+    {
+        if (!mongoProfile.ns || /^[^.]+\.system\./.test(mongoProfile.ns))
+        {
+            return false;
+        }
+
+        const isCommandNamespace = /^[^.]+\.\$cmd/.test(mongoProfile.ns);
+        if (mongoProfile.op === 'query' || mongoProfile.op === 'insert' || mongoProfile.op === 'update' || mongoProfile.op === 'remove')
+        {
+            return !isCommandNamespace;
+        }
+        else if (mongoProfile.op === 'command' && underscore.isObject(mongoProfile.command))
+        {
+            const command = mongoProfile.command;
+            return Boolean(command.aggregate || command.findAndModify || command.findandmodify || command.count || command.distinct);
+        }
+
+        return false;
+    }
+
+
+    /**
+     * @param {string} namespace A namespace, like "dbName.collectionName"
+     * @returns {string} The database portion of the namespace
+     */
+    static getDatabaseName(namespace)
+    {
+        return namespace.substr(0, namespace.indexOf("."));
+    }
+
+
+    /**
+     * Returns the command object stored in a profile document. In MongoDB 3.6+ this is stored in the "command" field,
+     * while MongoDB 3.2 and 3.4 store the find command in the "query" field.
+     *
+     * @param {object} mongoProfile A Mongo profile object from the system.profile collection
+     * @returns {object} The command object, or null if this is a legacy profile document without a command.
+     */
+    static getCommand(mongoProfile)
+    {
+        if (underscore.isObject(mongoProfile.command))
+        {
+            return mongoProfile.command;
+        }
+        else if (underscore.isObject(mongoProfile.query) && typeof mongoProfile.query.find === 'string')
+        {
+            return mongoProfile.query;
+        }
+
+        return null;
+    }
+
+
+    /**
+     * Extracts the statistics about how long the operation took and how much work it did from a profile document.
+     *
+     * @param {object} mongoProfile A Mongo profile object from the system.profile collection
+     * @returns {object} An object like {millis: 12, docsExamined: 40, keysExamined: 40, nreturned: 10, hasSortStage: false}
+     */
+    static getExecutionStatistics(mongoProfile)
+    {
+        function getNumber(fields)
+        {
+            const field = underscore.find(fields, (name) => underscore.isNumber(mongoProfile[name]));
+            return field ? mongoProfile[field] : null;
+        }
+
+        let hasSortStage = null;
+        if (!underscore.isUndefined(mongoProfile.hasSortStage) || !underscore.isUndefined(mongoProfile.scanAndOrder))
+        {
+            hasSortStage = Boolean(mongoProfile.hasSortStage || mongoProfile.scanAndOrder);
+        }
+        else if (mongoProfile.planSummary)
+        {
+            hasSortStage = /\bSORT\b/.test(mongoProfile.planSummary);
+        }
+
+        return {
+            millis: getNumber(['millis']),
+            docsExamined: getNumber(['docsExamined', 'nscannedObjects']),
+            keysExamined: getNumber(['keysExamined', 'nscanned']),
+            nreturned: getNumber(['nreturned']),
+            hasSortStage: hasSortStage
+        };
+    }
+
+
+    /**
+     * This function determines the list of indexes that were used by the query in a profile document. It looks through
+     * the execStats tree if there is one, and otherwise falls back to parsing the planSummary string.
+     *
+     * @param {object} mongoProfile A Mongo profile object from the system.profile collection
+     * @returns { [object] } A list of the key patterns of the indexes that were used, like [{name: 1, email: -1}]
+     */
+    static getUsedIndexes(mongoProfile)
+    {
+        const indexes = [];
+
+        // Recurse through the execution stats until we find indexes. Older versions of Mongo use "type" and "children",
+        // while newer versions use "stage", "inputStage" and "inputStages"
+        function recurse(execStat)
+        {
+            const children = (execStat.children || []).concat(execStat.inputStages || []);
+            if (execStat.inputStage)
+            {
+                children.push(execStat.inputStage);
+            }
+
+            children.forEach(function(childExecStat)
+            {
+                recurse(childExecStat);
+            });
+
+            // If this is an index scan, lets take a look!
+            if ((execStat.type || execStat.stage) === 'IXSCAN' && execStat.keyPattern)
+            {
+                if (typeof execStat.keyPattern === 'string')
+                {
+                    indexes.push(ProfileFormat.parseKeyPatternString(execStat.keyPattern));
+                }
+                else
+                {
+                    indexes.push(execStat.keyPattern);
+                }
+            }
+        }
+
+        if (mongoProfile.execStats)
+        {
+            recurse(mongoProfile.execStats);
+        }
+
+        if (indexes.length === 0 && mongoProfile.planSummary)
+        {
+            return ProfileFormat.parsePlanSummary(mongoProfile.planSummary);
+        }
+
+        return indexes;
+    }
+
+
+    /**
+     * Parses the planSummary string from a profile document, like "IXSCAN { name: 1, email: -1 }, IXSCAN { status: 1 }",
+     * into the list of index key patterns that it mentions. Geospatial $near queries show up as GEO_NEAR_2D or
+     * GEO_NEAR_2DSPHERE rather then IXSCAN.
+     *
+     * @param {string} planSummary The planSummary string
+     * @returns { [object] } A list of the key patterns found within the plan summary
+     */
+    static parsePlanSummary(planSummary)
+    {
+        const indexes = [];
+        const indexScanExpression = /(?:IXSCAN|GEO_NEAR_2DSPHERE|GEO_NEAR_2D)\s*(\{[^}]*\})/g;
+
+        let match = indexScanExpression.exec(planSummary);
+        while (match)
+        {
+            indexes.push(ProfileFormat.parseKeyPatternString(match[1]));
+            match = indexScanExpression.exec(planSummary);
+        }
+
+        return indexes;
+    }
+
+
+    /**
+     * Older versions of Mongo store the key pattern of an index as a non-JSON string, like "{ name: 1, email: -1 }".
+     * This function converts those strings back into an object.
+     *
+     * @param {string} pattern The key pattern string
+     * @returns {object} The key pattern object
+     */
+    static parseKeyPatternString(pattern)
+    {
+        // First we have to turn the key pattern into valid JSON
+        pattern = pattern.replace(/\s*\{\s*/g, "{\"");
+        pattern = pattern.replace(/\s*:\s*/g, "\":");
+        pattern = pattern.replace(/\s*,\s*/g, ",\"");
+        pattern = pattern.replace(/\s*'\s*/g, "\"");
+
+        return JSON.parse(pattern);
+    }
+}
+
+module.exports = ProfileFormat;
@@ -0,0 +1,418 @@
+"use strict";
+
+const AggregationPipeline = require("./aggregation_pipeline"),
+    async = require('async'),
+    http = require("http"),
+    https = require("https"),
+    path = require("path"),
+    underscore = require("underscore"),
+    url = require("url");
+
+const _options = Symbol("_options");
+const _pendingCommands = Symbol("_pendingCommands");
+const _queryRecords = Symbol("_queryRecords");
+const _listeners = Symbol("_listeners");
+const _client = Symbol("_client");
+const _flushTimer = Symbol("_flushTimer");
+
+/**
+ * The collection methods that get wrapped by QueryCollector::wrapCollectionClass, along with the position of the
+ * filter within their arguments.
+ */
+const filterArgumentPositions = {
+    find: 0,
+    findOne: 0,
+    count: 0,
+    countDocuments: 0,
+    distinct: 1,
+    updateOne: 0,
+    updateMany: 0,
+    replaceOne: 0,
+    deleteOne: 0,
+    deleteMany: 0,
+    findOneAndUpdate: 0,
+    findOneAndReplace: 0,
+    findOneAndDelete: 0
+};
+
+/**
+ * The QueryCollector records the queries being made by an application, by subscribing to the command monitoring
+ * events of the official NodeJS Mongo driver. This allows queries to be captured without ever enabling the profiler.
+ *
+ * The find, aggregate, insert, update, delete, findAndModify, count and distinct commands are converted into query records,
+ * in the form described by QuerySet::addQueryRecord, and are sent in batches either directly to a QuerySet within the
+ * same process, or to the QueryIngestionServer of a remote dynamic indexer.
+ *
+ * For example:
+ *
+ *     const client = new MongoClient(uri, {monitorCommands: true});
+ *     const collector = new QueryCollector({url: "http://indexer:8090/queries", version: packageContent.version});
+ *     collector.wrapCollectionClass(mongodb.Collection);
+ *     collector.attach(client);
+ */
+class QueryCollector
+{
+    /**
+     * Creates a new QueryCollector.
+     *
+     * @param {object} options The options for the collector
+     * @param {QuerySet} [options.querySet] A QuerySet that the query records should be added to, within this process
+     * @param {string} [options.url] The URL of the /queries endpoint of a remote QueryIngestionServer
+     * @param {number} [options.batchSize] The number of query records to send together. Defaults to 100
+     * @param {number} [options.flushInterval] The maximum number of milliseconds to hold onto query records before
+     *                                         they are sent. Defaults to 10 seconds
+     * @param {string} [options.version] The version of your application, which is attached to the $comment metadata
+     * @param {string} [options.rootDirectory] The directory that source file names are made relative to. Defaults
+     *                                         to the current working directory
+     */
+    constructor(options)
+    {
+        const self = this;
+        self[_options] = underscore.defaults({}, options, {
+            querySet: null,
+            url: null,
+            batchSize: 100,
+            flushInterval: 10 * 1000,
+            version: "",
+            rootDirectory: process.cwd()
+        });
+
+        if (!self[_options].querySet && !self[_options].url)
+        {
+            throw new Error("The QueryCollector requires either the querySet or the url option.");
+        }
+
+        self[_pendingCommands] = new Map();
+        self[_queryRecords] = [];
+        self[_listeners] = null;
+        self[_client] = null;
+        self[_flushTimer] = null;
+    }
+
+
+    /**
+     * Subscribes to the command monitoring events of a MongoClient. The client must have been created with the
+     * monitorCommands option enabled.
+     *
+     * @param {object} client The MongoClient object from the NodeJS Mongo driver
+     */
+    attach(client)
+    {
+        const self = this;
+
+        if (self[_client])
+        {
+            throw new Error("The QueryCollector is already attached to a client.");
+        }
+
+        self[_client] = client;
+        self[_listeners] = {
+            commandStarted: (event) => self.handleCommandStarted(event),
+            commandSucceeded: (event) => self.handleCommandSucceeded(event),
+            commandFailed: (event) => self[_pendingCommands].delete(event.requestId)
+        };
+
+        Object.keys(self[_listeners]).forEach((eventName) => client.on(eventName, self[_listeners][eventName]));
+
+        self[_flushTimer] = setInterval(() => self.flush(), self[_options].flushInterval);
+        if (self[_flushTimer].unref)
+        {
+            self[_flushTimer].unref();
+        }
+    }
+
+
+    /**
+     * Unsubscribes from the MongoClient, and sends any query records that are still waiting.
+     *
+     * @param {function(err)} [done] A callback after the remaining query records have been sent
+     */
+    detach(done)
+    {
+        const self = this;
+
+        if (self[_client])
+        {
+            Object.keys(self[_listeners]).forEach((eventName) => self[_client].removeListener(eventName, self[_listeners][eventName]));
+            clearInterval(self[_flushTimer]);
+
+            self[_client] = null;
+            self[_listeners] = null;
+            self[_flushTimer] = null;
+            self[_pendingCommands].clear();
+        }
+
+        self.flush(done);
+    }
+
+
+    /**
+     * This method wraps the query methods of the drivers Collection class, like find, updateOne and deleteMany, with
+     * versions that automatically attach a $comment to the filter, containing the source file and line number of the
+     * caller along with the version of your application. See the Query Metadata section of the documentation.
+     *
+     * Filters which already contain a $comment are left alone.
+     *
+     * @param {function} Collection The Collection class from the NodeJS Mongo driver, require("mongodb").Collection
+     */
+    wrapCollectionClass(Collection)
+    {
+        const self = this;
+
+        Object.keys(filterArgumentPositions).forEach(function(methodName)
+        {
+            const originalMethod = Collection.prototype[methodName];
+            if (!underscore.isFunction(originalMethod) || originalMethod.wrappedByQueryCollector)
+            {
+                return;
+            }
+
+            const filterPosition = filterArgumentPositions[methodName];
+            const wrappedMethod = function()
+            {
+                const args = Array.from(arguments);
+                const originalFilter = args[filterPosition];
+
+                // Only plain filter objects can have a comment attached. Callbacks, or filters that are just
+                // an _id, are left alone
+                if (underscore.isUndefined(originalFilter) || (underscore.isObject(originalFilter) && !underscore.isFunction(originalFilter) && originalFilter.constructor === Object && underscore.isUndefined(originalFilter['$comment'])))
+                {
+                    // Create a shallow clone that we can attach $comment to. This
+                    // ensures that we don't unnecessarily modify the callers object
+                    args[filterPosition] = underscore.extend({}, originalFilter, {$comment: {source: self.getCallerSource(), version: self[_options].version}});
+                }
+
+                return originalMethod.apply(this, args);
+            };
+            wrappedMethod.wrappedByQueryCollector = true;
+
+            Collection.prototype[methodName] = wrappedMethod;
+        });
+    }
+
+
+    /**
+     * This method determines the source file and line number of the application code that made a query, by looking
+     * for the first frame on the call stack that isn't within the Mongo driver or the collector itself.
+     *
+     * @returns {string} The source of the query, like "lib/users.js:42", or "unknown" if it couldn't be determined
+     */
+    getCallerSource()
+    {
+        const self = this;
+        const frames = new Error().stack.split("\n").slice(1);
+
+        for (let frameIndex = 0; frameIndex < frames.length; frameIndex += 1)
+        {
+            const match = /\(?([^\s()]+):(\d+):\d+\)?\s*$/.exec(frames[frameIndex]);
+            if (!match)
+            {
+                continue;
+            }
+
+            const fileName = match[1].replace(/^file:\/\//, "");
+            if (fileName === __filename || fileName.indexOf("node_modules") !== -1 || fileName.indexOf("node:") === 0 || !path.isAbsolute(fileName))
+            {
+                continue;
+            }
+
+            return `${path.relative(self[_options].rootDirectory, fileName)}:${match[2]}`;
+        }
+
+        return "unknown";
+    }
+
+
+    /**
+     * Handles the commandStarted event from the driver. The query records for the command are held until the
+     * command succeeds, so that its duration is known.
+     *
+     * @param {object} event The CommandStartedEvent
+     */
+    handleCommandStarted(event)
+    {
+        const self = this;
+
+        const queryRecords = QueryCollector.createQueryRecordsFromCommand(event.databaseName, event.commandName, event.command);
+        if (queryRecords.length > 0)
+        {
+            self[_pendingCommands].set(event.requestId, queryRecords);
+        }
+    }
+
+
+    /**
+     * Handles the commandSucceeded event from the driver.
+     *
+     * @param {object} event The CommandSucceededEvent
+     */
+    handleCommandSucceeded(event)
+    {
+        const self = this;
+
+        const queryRecords = self[_pendingCommands].get(event.requestId);
+        if (!queryRecords)
+        {
+            return;
+        }
+
+        self[_pendingCommands].delete(event.requestId);
+
+        queryRecords.forEach(function(queryRecord)
+        {
+            queryRecord.durationMillis = event.duration;
+            self[_queryRecords].push(queryRecord);
+        });
+
+        if (self[_queryRecords].length >= self[_options].batchSize)
+        {
+            self.flush();
+        }
+    }
+
+
+    /**
+     * Sends all of the query records that are waiting, either to the QuerySet or to the remote indexer. Errors are
+     * printed rather then thrown, since the collector should never interfere with the application.
+     *
+     * @param {function(err)} [done] A callback after the query records have been sent
+     */
+    flush(done)
+    {
+        const self = this;
+        done = done || function() {};
+
+        const queryRecords = self[_queryRecords];
+        self[_queryRecords] = [];
+
+        if (queryRecords.length === 0)
+        {
+            return done();
+        }
+
+        function finish(err)
+        {
+            if (err)
+            {
+                console.error(`Error while sending ${queryRecords.length} query records to the dynamic indexer: ${err}`);
+            }
+
+            return done(err);
+        }
+
+        if (self[_options].querySet)
+        {
+            // The query records are added one at a time, the same as the optimizers queue does, since each of them
+            // may need its collection to be sampled. A failed query record doesn't stop the rest of the batch
+            let firstError = null;
+            async.eachSeries(queryRecords, function(queryRecord, next)
+            {
+                self[_options].querySet.addQueryRecord(queryRecord, function(err)
+                {
+                    firstError = firstError || err;
+                    return next();
+                });
+            }, function()
+            {
+                return finish(firstError);
+            });
+        }
+        else
+        {
+            QueryCollector.postQueryRecords(self[_options].url, queryRecords, finish);
+        }
+    }
+
+
+    /**
+     * Sends a batch of query records to the /queries endpoint of a QueryIngestionServer.
+     *
+     * @param {string} endpoint The URL of the endpoint
+     * @param { [object] } queryRecords The list of query records
+     * @param {function(err)} done A callback after the server has accepted the query records
+     */
+    static postQueryRecords(endpoint, queryRecords, done)
+    {
+        // Regular expressions have no JSON form, so they are sent the same way as the $regex operator
+        const body = JSON.stringify(queryRecords, (key, value) => value instanceof RegExp ? {$regex: value.source, $options: value.flags} : value);
+        const requestOptions = underscore.extend(url.parse(endpoint), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body)
+            }
+        });
+
+        const request = (requestOptions.protocol === 'https:' ? https : http).request(requestOptions, function(response)
+        {
+            let responseBody = "";
+            response.setEncoding("utf8");
+            response.on('data', (chunk) => responseBody += chunk);
+            response.on('end', function()
+            {
+                if (response.statusCode >= 300)
+                {
+                    return done(new Error(`Got status ${response.statusCode} from ${endpoint}: ${responseBody}`));
+                }
+
+                return done();
+            });
+        });
+
+        request.on('error', done);
+        request.end(body);
+    }
+
+
+    /**
+     * Converts a command sent to Mongo into the list of query records that it contains. An insert results in a single
+     * record which only counts the documents written, and commands which neither query nor write, like getMore, result
+     * in an empty list.
+     *
+     * @param {string} databaseName The name of the database the command was sent to
+     * @param {string} commandName The name of the command, like "find"
+     * @param {object} command The command object
+     * @returns { [object] } The list of query records, in the form described by QuerySet::addQueryRecord
+     */
+    static createQueryRecordsFromCommand(databaseName, commandName, command)
+    {
+        const namespace = `${databaseName}.${command[commandName]}`;
+        const comment = underscore.isUndefined(command.comment) ? null : command.comment;
+
+        if (commandName === 'find')
+        {
+            return [{namespace: namespace, filter: command.filter || {}, sort: command.sort || {}, projection: command.projection || null, comment: comment, collation: command.collation || null, op: "query"}];
+        }
+        else if (commandName === 'aggregate' && typeof command.aggregate === 'string')
+        {
+            return AggregationPipeline.extractQueries(namespace, command.pipeline || []).map(function(extractedQuery)
+            {
+                return {namespace: extractedQuery.namespace, filter: extractedQuery.query, sort: extractedQuery.sort, comment: comment, collation: command.collation || null, op: "aggregate"};
+            });
+        }
+        else if (commandName === 'insert')
+        {
+            return [{namespace: namespace, comment: comment, documentCount: (command.documents || []).length, op: "insert"}];
+        }
+        else if (commandName === 'update')
+        {
+            return (command.updates || []).map((update) => ({namespace: namespace, filter: update.q || {}, sort: {}, comment: comment, collation: update.collation || null, update: update.u, op: "update"}));
+        }
+        else if (commandName === 'delete')
+        {
+            return (command.deletes || []).map((deleteStatement) => ({namespace: namespace, filter: deleteStatement.q || {}, sort: {}, comment: comment, collation: deleteStatement.collation || null, op: "remove"}));
+        }
+        else if (commandName === 'findAndModify' || commandName === 'findandmodify')
+        {
+            return [{namespace: namespace, filter: command.query || {}, sort: command.sort || {}, projection: command.fields || null, comment: comment, collation: command.collation || null, update: command.update || null, op: "findAndModify"}];
+        }
+        else if (commandName === 'count' || commandName === 'distinct')
+        {
+            return [{namespace: namespace, filter: command.query || {}, sort: {}, comment: comment, collation: command.collation || null, op: commandName}];
+        }
+
+        return [];
+    }
+}
+
+module.exports = QueryCollector;
@@ -0,0 +1,314 @@
+"use strict";
+
+const underscore = require("underscore");
+
+/**
+ * These are the measurements taken from each profiled execution of a query.
+ */
+const metrics = ['millis', 'docsExamined', 'keysExamined', 'nreturned'];
+
+/**
+ * Creates an empty period of measurements, starting now
+ *
+ * @returns {object} The period
+ */
+function createPeriod()
+{
+    const period = {
+        since: new Date(),
+        count: 0,
+        sortStageCount: 0,
+        metrics: {}
+    };
+
+    metrics.forEach((metric) => period.metrics[metric] = {count: 0, sum: 0, max: 0, histogram: []});
+    return period;
+}
+
+/**
+ * Converts a period back from its pure JSON form
+ *
+ * @param {object} data The JSON form of the period
+ * @returns {object} The period
+ */
+function loadPeriod(data)
+{
+    const period = createPeriod();
+    period.since = new Date(data.since);
+    period.count = data.count || 0;
+    period.sortStageCount = data.sortStageCount || 0;
+    metrics.forEach(function(metric)
+    {
+        if (data.metrics && data.metrics[metric])
+        {
+            period.metrics[metric] = underscore.clone(data.metrics[metric]);
+        }
+    });
+
+    return period;
+}
+
+/**
+ * Values are counted in a histogram with buckets that double in size. Bucket 0 holds zero, and bucket n holds the
+ * values from 2^(n-1) up to, but not including, 2^n.
+ *
+ * @param {number} value The measured value
+ * @returns {number} The index of the bucket for the value
+ */
+function getBucket(value)
+{
+    if (value < 1)
+    {
+        return 0;
+    }
+
+    return Math.floor(Math.log2(value)) + 1;
+}
+
+/**
+ * QueryPerformance accumulates the time taken and the amount of work done by each profiled execution of a query
+ * profile, like the millis, docsExamined, keysExamined and nreturned fields of a system.profile document. Each
+ * measurement is kept as a histogram, so that percentiles can be estimated without keeping every value.
+ *
+ * The measurements are split into two periods. When an index is created for the query profile, the current period
+ * becomes the previous one, so that you can see whether the new index actually made the query faster.
+ */
+class QueryPerformance
+{
+    /**
+     * Constructs a QueryPerformance object from its pure JSON form, which looks like the following:
+     *
+     * {
+     *      current: {
+     *          since: "Date in ISO8601 format",
+     *          count: Number,
+     *          sortStageCount: Number,
+     *          metrics: {
+     *              millis: {count: Number, sum: Number, max: Number, histogram: [Number]},
+     *              docsExamined: {...},
+     *              keysExamined: {...},
+     *              nreturned: {...}
+     *          }
+     *      },
+     *      previous: {the same as current, or null}
+     * }
+     *
+     * @param {object} [data] The JSON object. Can be null to start with no measurements
+     */
+    constructor(data)
+    {
+        const self = this;
+        self.current = (data && data.current) ? loadPeriod(data.current) : createPeriod();
+        self.previous = (data && data.previous) ? loadPeriod(data.previous) : null;
+    }
+
+
+    /**
+     * Records the measurements from a single execution of the query. Any of the measurements can be missing, since
+     * not every version of Mongo records them, and queries forwarded from applications only have the time taken.
+     *
+     * @param {object} execution An object like {millis: Number, docsExamined: Number, keysExamined: Number, nreturned: Number, hasSortStage: Boolean}
+     */
+    record(execution)
+    {
+        const self = this;
+        const period = self.current;
+        period.count += 1;
+
+        if (execution.hasSortStage)
+        {
+            period.sortStageCount += 1;
+        }
+
+        metrics.forEach(function(metric)
+        {
+            const value = execution[metric];
+            if (!underscore.isNumber(value) || isNaN(value))
+            {
+                return;
+            }
+
+            const statistics = period.metrics[metric];
+            const bucket = getBucket(value);
+            while (statistics.histogram.length <= bucket)
+            {
+                statistics.histogram.push(0);
+            }
+
+            statistics.histogram[bucket] += 1;
+            statistics.count += 1;
+            statistics.sum += value;
+            statistics.max = Math.max(statistics.max, value);
+        });
+    }
+
+
+    /**
+     * Starts a new period of measurements, keeping the current one as the previous period. This is done when an
+     * index is created for the query profile. If nothing has been measured yet, the current period is just restarted.
+     */
+    startNewPeriod()
+    {
+        const self = this;
+        if (self.current.count > 0)
+        {
+            self.previous = self.current;
+        }
+
+        self.current = createPeriod();
+    }
+
+
+    /**
+     * Estimates a percentile for one of the measurements. Since the measurements are kept in a histogram, this is the
+     * upper bound of the bucket that the percentile falls into, so the real value is at most this much.
+     *
+     * @param {string} metric One of "millis", "docsExamined", "keysExamined" or "nreturned"
+     * @param {number} percentile The percentile, between 0 and 100
+     * @param {boolean} [previous] Whether to use the previous period of measurements instead of the current one
+     * @returns {number} The estimated percentile, or null if there aren't any measurements
+     */
+    getPercentile(metric, percentile, previous)
+    {
+        const self = this;
+        const period = previous ? self.previous : self.current;
+        if (!period || period.metrics[metric].count === 0)
+        {
+            return null;
+        }
+
+        const statistics = period.metrics[metric];
+        const target = Math.max(1, Math.ceil(statistics.count * percentile / 100));
+        let seen = 0;
+        for (let bucket = 0; bucket < statistics.histogram.length; bucket += 1)
+        {
+            seen += statistics.histogram[bucket];
+            if (seen >= target)
+            {
+                return Math.min(bucket === 0 ? 0 : Math.pow(2, bucket), statistics.max);
+            }
+        }
+
+        return statistics.max;
+    }
+
+
+    /**
+     * @param {string} metric One of "millis", "docsExamined", "keysExamined" or "nreturned"
+     * @param {boolean} [previous] Whether to use the previous period of measurements instead of the current one
+     * @returns {number} The average of the measurement, or null if there aren't any measurements
+     */
+    getMean(metric, previous)
+    {
+        const self = this;
+        const period = previous ? self.previous : self.current;
+        if (!period || period.metrics[metric].count === 0)
+        {
+            return null;
+        }
+
+        return period.metrics[metric].sum / period.metrics[metric].count;
+    }
+
+
+    /**
+     * Computes how many documents the query had to examine for each document that it returned. An efficient query,
+     * which is answered by a good index, examines about one document per document returned.
+     *
+     * @param {boolean} [previous] Whether to use the previous period of measurements instead of the current one
+     * @returns {number} The number of documents examined per document returned, or null if it isn't known
+     */
+    getExaminedPerReturned(previous)
+    {
+        const self = this;
+        const period = previous ? self.previous : self.current;
+        if (!period || period.metrics.docsExamined.count === 0 || period.metrics.nreturned.count === 0)
+        {
+            return null;
+        }
+
+        return period.metrics.docsExamined.sum / Math.max(period.metrics.nreturned.sum, 1);
+    }
+
+
+    /**
+     * @param {string} metric One of "millis", "docsExamined", "keysExamined" or "nreturned"
+     * @returns {number} The sum of the measurement over both the current and the previous period, or null if there
+     *                   aren't any measurements
+     */
+    getTotal(metric)
+    {
+        const self = this;
+        const periods = underscore.filter([self.current, self.previous], (period) => period && period.metrics[metric].count > 0);
+        if (periods.length === 0)
+        {
+            return null;
+        }
+
+        return underscore.reduce(periods, (total, period) => total + period.metrics[metric].sum, 0);
+    }
+
+
+    /**
+     * Computes how many more documents the query examined then it returned, over both the current and the previous
+     * period. This is the wasted work that a better index could save.
+     *
+     * @returns {number} The number of excess documents examined, or null if it isn't known
+     */
+    getExcessExamined()
+    {
+        const self = this;
+        const periods = underscore.filter([self.current, self.previous], (period) => period && period.metrics.docsExamined.count > 0 && period.metrics.nreturned.count > 0);
+        if (periods.length === 0)
+        {
+            return null;
+        }
+
+        return underscore.reduce(periods, (total, period) => total + Math.max(0, period.metrics.docsExamined.sum - period.metrics.nreturned.sum), 0);
+    }
+
+
+    /**
+     * @param {boolean} [previous] Whether to use the previous period of measurements instead of the current one
+     * @returns {number} The fraction of executions that had to sort the results in memory, or null if there aren't any
+     */
+    getSortStageRate(previous)
+    {
+        const self = this;
+        const period = previous ? self.previous : self.current;
+        if (!period || period.count === 0)
+        {
+            return null;
+        }
+
+        return period.sortStageCount / period.count;
+    }
+
+
+    /**
+     * Returns a JSON representation of this QueryPerformance object, which can be given back to the constructor.
+     *
+     * @returns {object} The JSON object
+     */
+    toJSON()
+    {
+        const self = this;
+
+        function periodToJSON(period)
+        {
+            return {
+                since: period.since.toISOString(),
+                count: period.count,
+                sortStageCount: period.sortStageCount,
+                metrics: period.metrics
+            };
+        }
+
+        return {
+            current: periodToJSON(self.current),
+            previous: self.previous ? periodToJSON(self.previous) : null
+        };
+    }
+}
+
+module.exports = QueryPerformance;
@@ -1,7 +1,12 @@
 "use strict";
 
-const mongodb = require("mongodb"),
+const AggregationPipeline = require("./aggregation_pipeline"),
+    farmhash = require('farmhash'),
+    mongodb = require("mongodb"),
     MongoIndex = require("./mongo_index"),
+    OptimizationPipeline = require("./optimization_pipeline"),
+    ProfileFormat = require("./profile_format"),
+    QueryPerformance = require("./query_performance"),
     underscore = require("underscore");
 
 const _naiveIndex = Symbol("_naiveIndex");
@@ -9,6 +14,114 @@ const _optimizedIndexes = Symbol("_optimizedIndexes");
 const _reducedIndexes = Symbol("_reducedIndexes");
 const _keyStatistics = Symbol("_keyStatistics");
 const _options = Symbol("_options");
+const _geoFormat = Symbol("_geoFormat");
+
+/**
+ * These are the query operators which every version of Mongo with partial indexes allows inside of a
+ * partialFilterExpression. $in is left out, since it is only allowed by MongoDB 6.0 and later
+ */
+const partialFilterOperators = ['$eq', '$gt', '$gte', '$lt', '$lte', '$exists', '$type'];
+
+/**
+ * Computes a fingerprint for the conditions on a field, so that the conditions from different instances of the same
+ * query can be compared without keeping every value. The type of each value is included, so that a string and an
+ * ObjectID with the same hex value aren't confused.
+ *
+ * @param { [object] } conditions The list of conditions, like [{operator: "$eq", value: false}]
+ * @returns {number} The fingerprint
+ */
+function fingerprintConditions(conditions)
+{
+    return farmhash.fingerprint32(JSON.stringify(conditions.map((condition) => [
+        condition.operator,
+        (condition.value && condition.value._bsontype) || Object.prototype.toString.call(condition.value),
+        condition.value
+    ])));
+}
+
+/**
+ * Range fields are split into these priority tiers, and placed into indexes in this order. A $in with only a few
+ * values behaves almost like an exact match, a range with both a lower and an upper bound narrows down the results
+ * somewhat, and an open ended range, or a $ne, $nin or $exists, can match most of the collection.
+ */
+const rangeTiers = {smallIn: 1, bounded: 2, open: 3};
+
+/**
+ * Determines whether a regular expression can only match strings starting with a fixed prefix, in which case Mongo
+ * can scan a bounded range of the index.
+ *
+ * @param {RegExp|string} regex The regular expression
+ * @param {string} [options] The $options given alongside a $regex string
+ * @returns {boolean} True if the regular expression is anchored to the start of the string
+ */
+function isPrefixRegex(regex, options)
+{
+    if (regex instanceof RegExp)
+    {
+        return regex.source[0] === '^' && !regex.ignoreCase && !regex.multiline;
+    }
+
+    return underscore.isString(regex) && regex[0] === '^' && !/[im]/.test(options || "");
+}
+
+/**
+ * Classifies the range conditions on a field, from a single instance of a query, into one of the kinds that are
+ * counted by QueryProfile.rangeOperators. When there are several conditions on the field, the narrowest one decides.
+ *
+ * @param { [object] } operators The list of range conditions on the field, like [{operator: "$in", size: 2}]
+ * @returns {string} One of "in", "bounded" or "open"
+ */
+function classifyRangeOperators(operators)
+{
+    const names = underscore.pluck(operators, 'operator');
+    if (names.indexOf('$not') !== -1)
+    {
+        return "open";
+    }
+    else if (names.indexOf('$in') !== -1)
+    {
+        return "in";
+    }
+
+    const hasLowerBound = names.indexOf('$gt') !== -1 || names.indexOf('$gte') !== -1;
+    const hasUpperBound = names.indexOf('$lt') !== -1 || names.indexOf('$lte') !== -1;
+    if ((hasLowerBound && hasUpperBound) || underscore.any(operators, (operator) => operator.anchored))
+    {
+        return "bounded";
+    }
+
+    return "open";
+}
+
+/**
+ * Determines which fields are returned by a query with the given projection. Only inclusion projections, like
+ * {name: 1, email: 1, _id: 0}, return a fixed list of fields. Mongo returns the _id field unless it is excluded.
+ *
+ * @param {object} projection The Mongo projection object, or null if the query didn't have one
+ * @returns { [String] | Boolean } The list of returned fields, or false if the query returns whole documents, excludes
+ *                                 fields, or uses projection operators like $slice, $elemMatch and the positional $
+ */
+function getProjectedFields(projection)
+{
+    if (!projection || underscore.any(projection, (value, field) => field.indexOf('$') !== -1 || !(underscore.isNumber(value) || underscore.isBoolean(value))))
+    {
+        return false;
+    }
+
+    // An exclusion projection, like {email: 0}, returns every other field of the documents
+    const fields = underscore.filter(Object.keys(projection), (field) => field !== '_id');
+    if (underscore.any(fields, (field) => !projection[field]) || (fields.length === 0 && !projection._id))
+    {
+        return false;
+    }
+
+    if (underscore.isUndefined(projection._id) || projection._id)
+    {
+        fields.push('_id');
+    }
+
+    return fields;
+}
 
 /**
  *  This class represents a query that has been broken down and analyzed.
@@ -25,7 +138,41 @@ class QueryProfile
      *      exact: [String],
      *      sort: {String: direction},
      *      range: [String],
+     *      text: Boolean,
+     *      geo: {
+     *          field: String,
+     *          operator: "$near",
+     *          sphere: Boolean
+     *      },
+     *      collation: {locale: "en", strength: 2},
+     *      constants: [
+     *          {
+     *              field: "deleted",
+     *              conditions: [{operator: "$eq", value: false}],
+     *              fingerprint: Number,
+     *              count: Number
+     *          }
+     *      ],
+     *      projection: [String],
+     *      rangeOperators: [
+     *          {
+     *              field: "status",
+     *              kinds: {in: Number, bounded: Number, open: Number},
+     *              inListSize: {count: Number, sum: Number, max: Number}
+     *          }
+     *      ],
      *      lastQueryTime: "Date in ISO8601 format",
+     *      usageCount: Number,
+     *      operationCounts: {
+     *          "query": Number,
+     *          "findAndModify": Number
+     *      },
+     *      members: [
+     *          {
+     *              "host": "db1.example.com:27017",
+     *              "usageCount": Number
+     *          }
+     *      ],
      *      sources: [
      *          {
      *              "source": "awesome_api_code.js:123",
@@ -35,7 +182,8 @@ class QueryProfile
      *              "source": "bad_queries.js:456",
      *              "version": "1.0.0"
      *          }
-     *      ]
+     *      ],
+     *      performance: {the JSON form of a QueryPerformance object}
      * }
      *
      * @param {object} queryProfile A pure JSON object describing a query profile.
@@ -47,6 +195,21 @@ class QueryProfile
         this.exact = queryProfile.exact;
         this.sort = queryProfile.sort;
         this.range = queryProfile.range;
+        this.text = Boolean(queryProfile.text);
+        this.geo = queryProfile.geo || null;
+        this.collation = MongoIndex.normalizeCollation(queryProfile.collation);
+
+        // Query profiles saved before constants were tracked have null here, meaning that it isn't known yet which
+        // of their predicates are constant
+        this.constants = queryProfile.constants || null;
+
+        // The fields returned by every instance of the query, or false if any of them returned whole documents. Like
+        // the constants, this is null for query profiles saved before projections were tracked
+        this.projection = underscore.isUndefined(queryProfile.projection) ? null : queryProfile.projection;
+
+        // How many times each range field was matched with a $in, a bounded range or an open ended range, along
+        // with the number of values in its $in lists. This is null for query profiles saved before it was tracked
+        this.rangeOperators = queryProfile.rangeOperators || null;
         if (!queryProfile.lastQueryTime)
         {
             this.lastQueryTime = new Date();
@@ -74,6 +237,27 @@ class QueryProfile
             this.sources = queryProfile.sources;
         }
 
+        if (!queryProfile.operationCounts)
+        {
+            this.operationCounts = {};
+        }
+        else
+        {
+            this.operationCounts = queryProfile.operationCounts;
+        }
+
+        if (!queryProfile.members)
+        {
+            this.members = [];
+        }
+        else
+        {
+            this.members = queryProfile.members;
+        }
+
+        // How long the query has been taking and how much work it has been doing, in a form like QueryPerformance.toJSON
+        this.performance = new QueryPerformance(queryProfile.performance);
+
         this[_options] = options;
     }
 
@@ -93,6 +277,36 @@ class QueryProfile
         return this.namespace.substr(this.namespace.indexOf(".") + 1);
     }
 
+    /**
+     * The weight is how important this query profile is, and it is used instead of the usage count when deciding
+     * which query profiles get indexes and which fields to extend indexes with. It depends on the weighting option:
+     *
+     *  - "count": The number of times the query was seen. This is the default
+     *  - "time": The total number of milliseconds that the query took, across all of its measured executions
+     *  - "excess": The total number of documents that the query examined beyond the ones it returned
+     *
+     * Measurements from before an index was last created for the query are included, so that a query doesn't lose
+     * its weight, and then its index, as soon as the index makes it fast. If nothing has been measured for the query,
+     * its weight is 0 with the "time" and "excess" weightings, so that the weights of all of the query profiles are
+     * in the same units.
+     *
+     * @returns {number} The weight of this query profile
+     */
+    get weight()
+    {
+        const self = this;
+        if (self[_options].weighting === 'time')
+        {
+            return self.performance.getTotal('millis') || 0;
+        }
+        else if (self[_options].weighting === 'excess')
+        {
+            return self.performance.getExcessExamined() || 0;
+        }
+
+        return self.usageCount;
+    }
+
     /**
      * @returns {string} A list of fields that are used in this query, for any purpose
      */
@@ -139,7 +353,8 @@ class QueryProfile
                 index[field] = 1;
             });
 
-            self[_naiveIndex] = new MongoIndex(index, self.collectionName,  null);
+            const context = OptimizationPipeline.fromOptions(self[_options]).runStage('naiveIndex', {queryProfile: self, index: index});
+            self[_naiveIndex] = new MongoIndex(context.index, self.namespace, null, {collation: self.collation});
         }
 
         return self[_naiveIndex];
@@ -164,65 +379,95 @@ class QueryProfile
             }
 
             // Now we adjust the exact match fields and range fields based on cardinality
-            // Exact match has the largest cardinality first, range has the lowest first
+            // Exact match has the largest cardinality first, range has the lowest first within each of the range tiers
             self.exact = underscore.sortBy(self.exact, (key) => -self[_keyStatistics][key].cardinality);
-            self.range = underscore.sortBy(self.range, (key) => self[_keyStatistics][key].cardinality);
-
-            // Start with the lists of fields
-            let exact = self.exact;
-            let sort = self.sort;
-            let range = self.range;
+            self.range = underscore.sortBy(underscore.sortBy(self.range, (key) => self[_keyStatistics][key].cardinality), (key) => self.getRangeTier(key));
 
-            // Filter out fields that don't meet the minimum cardinality requirements,
-            exact = underscore.filter(self.exact, (field) => self[_keyStatistics][field].cardinality >= self[_options].minimumCardinality);
-            range = underscore.filter(self.range, (field) => self[_keyStatistics][field].cardinality >= self[_options].minimumCardinality);
-
-            // Unless our cardinality filtering has led us to have no keys in our index, in that case, revert
-            // to the original index
-            if ((exact.length + Object.keys(sort).length + range.length) === 0)
+            // Predicates which have had the same value every time this query was made are moved out of the index
+            // and into its partialFilterExpression, unless that would leave the index without any fields at all
+            let partialFilterExpression = self.partialFilterExpression;
+            let constantFields = partialFilterExpression ? Object.keys(partialFilterExpression) : [];
+            if (underscore.difference(self.fields, constantFields).length === 0)
             {
-                exact = self.exact;
-                range = self.range;
+                partialFilterExpression = null;
+                constantFields = [];
             }
+            const indexOptions = {collation: self.collation, partialFilterExpression: partialFilterExpression};
+            const variableExact = underscore.difference(self.exact, constantFields);
+            const variableRange = underscore.difference(self.range, constantFields);
+
+            // The optimization components filter the fields, and split them into the field sets for each index.
+            // See OptimizationPipeline
+            const context = OptimizationPipeline.fromOptions(self[_options]).runStage('optimizedIndex', {
+                queryProfile: self,
+                keyStatistics: self[_keyStatistics],
+                constantFields: constantFields,
+                fieldSets: [{exact: variableExact, sort: self.sort, range: variableRange}],
+                additionalIndexes: []
+            });
 
-            // Filter out fields that aren't able to be indexed because they are too large.
-            // The index won't even get created if these fields are there
-            const unIndexableFields = underscore.filter(self.fields, (field) => self[_keyStatistics][field].mode != 'normal');
-            exact = underscore.filter(exact, (field) => unIndexableFields.indexOf(field) == -1);
-            sort = underscore.object(underscore.filter(underscore.pairs(sort), (field) => unIndexableFields.indexOf(field[0]) == -1));
-            range = underscore.filter(range, (field) => unIndexableFields.indexOf(field) == -1);
-
-            // Now, lastly. Mongo is unable to have an index which contains multiple array values. Its an unfortunate pain in the ass,
-            // because we have to create a different index for each array prefix there is.
-            let arrayPrefixes = underscore.uniq(underscore.flatten(underscore.map(exact.concat(range.concat(Object.keys(sort))), function(fieldName)
+            // A $text query can only be served by the collections text index. The exact match fields can lead the
+            // text index as long as they aren't arrays, because Mongo requires an equality condition on every one of
+            // those fields for a query to use the index. The text index covers every string field on the collection,
+            // and the text indexes from all the query profiles on the collection get merged by QuerySet, since Mongo
+            // only allows one text index per collection
+            if (self.text)
             {
-                return self[_keyStatistics][fieldName].arrayPrefixes;
-            })));
+                const textIndex = {};
+                underscore.filter(context.fieldSets[0].exact, (field) => self[_keyStatistics][field].arrayPrefixes.length === 0).forEach((field) => textIndex[field] = 1);
+                textIndex["$**"] = "text";
+
+                self[_optimizedIndexes] = [new MongoIndex(textIndex, self.namespace, null)];
+                return self[_optimizedIndexes];
+            }
 
-            // If there is only one array index, then
-            // we can ignore it safely
-            if (arrayPrefixes.length < 2)
+            // A geospatial query needs a geospatial index on its location field, and can't be answered by any other index.
+            // GeoJSON objects, and queries using GeoJSON geometry, need a 2dsphere index. Legacy coordinate pairs use
+            // a 2d index. Array fields are left out, the same as with text indexes, since the location field may
+            // already be an array.
+            if (self.geo)
             {
-                arrayPrefixes = [null];
+                const geoIndex = {};
+                const geoExact = underscore.filter(context.fieldSets[0].exact, (field) => self[_keyStatistics][field].arrayPrefixes.length === 0);
+                const geoRange = underscore.filter(context.fieldSets[0].range, (field) => self[_keyStatistics][field].arrayPrefixes.length === 0);
+                if (self[_geoFormat] === 'geojson' || self.geo.sphere)
+                {
+                    // A 2dsphere index can be led by the exact match fields, the same as a regular index
+                    geoExact.forEach((field) => geoIndex[field] = 1);
+                    geoIndex[self.geo.field] = '2dsphere';
+                    geoRange.forEach((field) => geoIndex[field] = 1);
+                }
+                else
+                {
+                    // A 2d index must start with the location field, and can only have one other field after it
+                    geoIndex[self.geo.field] = '2d';
+                    const additionalField = geoExact.concat(geoRange)[0];
+                    if (additionalField)
+                    {
+                        geoIndex[additionalField] = 1;
+                    }
+                }
+
+                // 2d indexes only support simple binary comparison, so they never have a collation
+                self[_optimizedIndexes] = [new MongoIndex(geoIndex, self.namespace, null, geoIndex[self.geo.field] === '2dsphere' ? indexOptions : {partialFilterExpression: partialFilterExpression})];
+                return self[_optimizedIndexes];
             }
 
             self[_optimizedIndexes] = [];
 
-            arrayPrefixes.forEach(function(arrayPrefix)
+            context.fieldSets.forEach(function(fieldSet)
             {
                 const index = {};
 
-                let reducedExactFields = exact;
-                let reducedSortFields = sort;
-                let reducedRangeFields = range;
-                if (arrayPrefix)
+                fieldSet.exact.forEach(function(field)
                 {
-                    reducedExactFields = underscore.filter(reducedExactFields, (field) => (self[_keyStatistics][field].arrayPrefixes.length == 0 || self[_keyStatistics][field].arrayPrefixes.indexOf(arrayPrefix) == -1));
-                    reducedSortFields = underscore.filter(reducedSortFields, (field) => (self[_keyStatistics][field].arrayPrefixes.length == 0 || self[_keyStatistics][field].arrayPrefixes.indexOf(arrayPrefix) == -1));
-                    reducedRangeFields = underscore.filter(reducedRangeFields, (field) => (self[_keyStatistics][field].arrayPrefixes.length == 0 || self[_keyStatistics][field].arrayPrefixes.indexOf(arrayPrefix) == -1));
-                }
+                    index[field] = 1;
+                });
 
-                reducedExactFields.forEach(function(field)
+                // A $in with only a few values is placed with the exact match fields, before the sort fields. Mongo
+                // can still use the index for sorting, by merging the sorted results for each of the values
+                const smallInFields = underscore.filter(fieldSet.range, (field) => self.getRangeTier(field) === rangeTiers.smallIn);
+                smallInFields.forEach(function(field)
                 {
                     index[field] = 1;
                 });
@@ -235,28 +480,27 @@ class QueryProfile
                 // {name: 1, email: -1} or {name: -1, email: 1}. Therefore, in order to ensure
                 // the most reduction in indexes, we keep things consistent by always having
                 // the first key sorted positively.
-                const negateSorting = Object.keys(reducedSortFields).length > 0 ? reducedSortFields[Object.keys(reducedSortFields)[0]] : 1;
-                underscore.mapObject(reducedSortFields, function(sort, field)
+                const negateSorting = Object.keys(fieldSet.sort).length > 0 ? fieldSet.sort[Object.keys(fieldSet.sort)[0]] : 1;
+                underscore.mapObject(fieldSet.sort, function(sort, field)
                 {
                     index[field] = sort * negateSorting;
                 });
 
-                reducedRangeFields.forEach(function(field)
+                underscore.difference(fieldSet.range, smallInFields).forEach(function(field)
                 {
                     index[field] = 1;
                 });
 
                 if(Object.keys(index).length > 0)
                 {
-                    self[_optimizedIndexes].push(new MongoIndex(index, self.collectionName, null));
+                    self[_optimizedIndexes].push(new MongoIndex(index, self.namespace, null, indexOptions));
                 }
             });
 
-            // If we have any unindexable fields, add in single field hash indexes for them. This can help make up some of the performance lost
-            // because the field was unindexable in certain queries
-            unIndexableFields.forEach(function(field)
+            // Components can also add indexes of their own, such as hashed indexes for fields that are too large to index
+            context.additionalIndexes.forEach(function(index)
             {
-                self[_optimizedIndexes].push(new MongoIndex({[field]: 'hashed'}, self.collectionName, null))
+                self[_optimizedIndexes].push(new MongoIndex(index, self.namespace, null, indexOptions));
             });
         }
 
@@ -303,12 +547,65 @@ class QueryProfile
         return self[_keyStatistics];
     }
 
+    /**
+     * Checks whether this query profile can be answered from the given index alone, without a FETCH stage to load each
+     * document. Every field that the query filters on, sorts on and returns has to be in the index, and none of the
+     * fields of the index can be arrays, hashed or compared with a collation. The cardinality information must have
+     * been gathered with QueryProfile.getCardinalitiesForIndexOptimization
+     *
+     * @param {MongoIndex} index The index
+     * @returns {boolean} True if the index covers this query profile
+     */
+    isCoveredByIndex(index)
+    {
+        const self = this;
+        const indexFields = Object.keys(index);
+        if (!self.projection || index.collation || index.isTextIndex || index.isGeoIndex || underscore.any(indexFields, (field) => index[field] === 'hashed'))
+        {
+            return false;
+        }
+
+        if (underscore.difference(underscore.union(self.fields, self.projection), indexFields).length > 0)
+        {
+            return false;
+        }
+
+        return underscore.every(indexFields, (field) => self[_keyStatistics][field] && self[_keyStatistics][field].arrayPrefixes.length === 0);
+    }
+
     /**
      * Increments the usage count by 1
+     *
+     * @param {string} [operation] The type of operation which used this query profile, such as "query", "update" or
+     *                             "findAndModify". Defaults to "query"
+     * @param {string} [member] The "host:port" of the replica set member that the query was performed on, if known
      */
-    incrementUsageCount()
+    incrementUsageCount(operation, member)
     {
         const self = this;
+        if (!operation)
+        {
+            operation = "query";
+        }
+
+        self.operationCounts[operation] = (self.operationCounts[operation] || 0) + 1;
+
+        if (member)
+        {
+            let existingMember = underscore.findWhere(self.members, {host: member});
+            if (existingMember)
+            {
+                existingMember.usageCount += 1;
+            }
+            else
+            {
+                self.members.push({
+                    host: member,
+                    usageCount: 1
+                });
+            }
+        }
+
         return self.usageCount += 1;
     }
 
@@ -337,6 +634,119 @@ class QueryProfile
         }
     }
 
+    /**
+     * Narrows down the constant predicates of this query profile using the constant predicates from another instance
+     * of the same query. Only the predicates which had exactly the same conditions in both are kept.
+     *
+     * @param { [object] } constants The list of constant predicates from the other instance, in the same form as QueryProfile.constants
+     */
+    mergeConstants(constants)
+    {
+        const self = this;
+        if (!self.constants)
+        {
+            self.constants = constants;
+            return;
+        }
+
+        self.constants = underscore.filter(self.constants, function(constant)
+        {
+            const otherConstant = underscore.findWhere(constants, {field: constant.field});
+            return otherConstant && otherConstant.fingerprint === constant.fingerprint;
+        });
+
+        self.constants.forEach((constant) => constant.count += 1);
+    }
+
+    /**
+     * Merges the fields returned by another instance of the same query into this query profile. If either of them
+     * returned whole documents, then the query can't be covered by an index at all. If the fields returned by either
+     * of them aren't known, then the other one is kept.
+     *
+     * @param { [String] | Boolean } projection The projected fields from the other instance, in the same form as QueryProfile.projection
+     */
+    mergeProjection(projection)
+    {
+        const self = this;
+        if (projection === null || underscore.isUndefined(projection))
+        {
+            return;
+        }
+        else if (self.projection === null)
+        {
+            self.projection = projection;
+        }
+        else if (!self.projection || !projection)
+        {
+            self.projection = false;
+        }
+        else
+        {
+            self.projection = underscore.union(self.projection, projection);
+        }
+    }
+
+    /**
+     * Merges the kinds of range conditions from another instance of the same query into this query profile.
+     *
+     * @param { [object] } rangeOperators The range operators from the other instance, in the same form as QueryProfile.rangeOperators
+     */
+    mergeRangeOperators(rangeOperators)
+    {
+        const self = this;
+        if (!self.rangeOperators)
+        {
+            self.rangeOperators = rangeOperators;
+            return;
+        }
+
+        (rangeOperators || []).forEach(function(otherEntry)
+        {
+            const entry = underscore.findWhere(self.rangeOperators, {field: otherEntry.field});
+            if (!entry)
+            {
+                self.rangeOperators.push(otherEntry);
+                return;
+            }
+
+            underscore.each(otherEntry.kinds, (count, kind) => entry.kinds[kind] = (entry.kinds[kind] || 0) + count);
+            entry.inListSize.count += otherEntry.inListSize.count;
+            entry.inListSize.sum += otherEntry.inListSize.sum;
+            entry.inListSize.max = Math.max(entry.inListSize.max, otherEntry.inListSize.max);
+        });
+    }
+
+    /**
+     * Determines the priority tier of a range field. A field is only in the small $in tier if every instance of the
+     * query matched it with a $in, and the lists had no more values on average then the smallInListSize option. It is
+     * in the open range tier if any instance matched it with an open ended range, a $ne, $nin or $exists. Fields whose
+     * conditions aren't known are in the bounded range tier.
+     *
+     * @param {string} field The range field
+     * @returns {number} The tier, 1 for a small $in, 2 for a bounded range and 3 for an open range
+     */
+    getRangeTier(field)
+    {
+        const self = this;
+        const entry = underscore.findWhere(self.rangeOperators || [], {field: field});
+        if (!entry)
+        {
+            return rangeTiers.bounded;
+        }
+
+        if (entry.kinds.open > 0)
+        {
+            return rangeTiers.open;
+        }
+        else if (entry.kinds.bounded > 0 || entry.inListSize.count === 0)
+        {
+            return rangeTiers.bounded;
+        }
+
+        const smallInListSize = Number(self[_options].smallInListSize);
+        return (smallInListSize > 0 && entry.inListSize.sum / entry.inListSize.count <= smallInListSize) ? rangeTiers.smallIn : rangeTiers.bounded;
+    }
+
     /**
      * @returns {string} A human readable representation of this QueryProfile object.
      */
@@ -361,9 +771,20 @@ class QueryProfile
 
         const exactFields = underscore.map(this.exact, formatField).join(", ");
         const sortFields = underscore.map(underscore.pairs(this.sort), pair => formatField(pair[0]) + ":" + pair[1]).join(", ");
-        const rangeFields = underscore.map(this.range, formatField).join(", ");
+        let rangeFields = underscore.map(this.range, formatField);
+        if (this.text)
+        {
+            rangeFields.push("$text");
+        }
+        if (this.geo)
+        {
+            rangeFields.push(`${this.geo.field} ${this.geo.operator}`);
+        }
+        rangeFields = rangeFields.join(", ");
+        const collation = this.collation ? `    collation: ${JSON.stringify(this.collation)}` : "";
+        const operations = underscore.map(underscore.sortBy(Object.keys(this.operationCounts), (operation) => -self.operationCounts[operation]), (operation) => `${operation}:${self.operationCounts[operation]}`).join(", ");
 
-        return `QueryProfile(usage: ${pad(self.usageCount.toString(), 6)}   exact: ${pad(exactFields, 40)}    sort: ${pad(sortFields, 40)}    range: ${rangeFields})`;
+        return `QueryProfile(usage: ${pad(self.usageCount.toString(), 6)}   exact: ${pad(exactFields, 40)}    sort: ${pad(sortFields, 40)}    range: ${pad(rangeFields, 40)}    operations: ${operations}${collation})`;
     }
 
 
@@ -380,9 +801,18 @@ class QueryProfile
             exact: this.exact,
             sort:  this.sort,
             range:  this.range,
+            text: this.text,
+            geo: this.geo,
+            collation: this.collation,
+            constants: this.constants,
+            projection: this.projection,
+            rangeOperators: this.rangeOperators,
             lastQueryTime: this.lastQueryTime.toISOString(),
             usageCount: this.usageCount,
-            sources: this.sources
+            operationCounts: this.operationCounts,
+            members: this.members,
+            sources: this.sources,
+            performance: this.performance.toJSON()
         }
     }
 
@@ -397,6 +827,7 @@ class QueryProfile
         self[_optimizedIndexes] = null;
         self[_naiveIndex] = null;
         self[_keyStatistics] = null;
+        self[_geoFormat] = null;
     }
 
 
@@ -449,6 +880,24 @@ class QueryProfile
             return false;
         }
 
+        // A text search needs a different index from the same query without one
+        if (self.text !== otherQueryProfile.text)
+        {
+            return false;
+        }
+
+        // The same goes for a geospatial query, which also depends on the location field and the kind of geometry
+        if (!underscore.isEqual(self.geo, otherQueryProfile.geo))
+        {
+            return false;
+        }
+
+        // Queries with different collations can't use the same indexes
+        if (!underscore.isEqual(self.collation, otherQueryProfile.collation))
+        {
+            return false;
+        }
+
         return true;
     }
 
@@ -465,11 +914,10 @@ class QueryProfile
     {
         // Get the distinct values for the field in question
         const self = this;
-        const collectionName = self.collectionName;
         const keysToCheck = self.exact.concat(self.range).concat(Object.keys(self.sort));
         self[_keyStatistics] = {};
 
-        sampler.getCollectionStatistics(collectionName, function(err, collectionStatistics)
+        sampler.getCollectionStatistics(self.namespace, function(err, collectionStatistics)
         {
             if (err)
             {
@@ -496,6 +944,24 @@ class QueryProfile
                 }
             });
 
+            // The projected fields are only needed for covering the query, so there's nothing to warn about if
+            // they weren't sampled
+            if (self.projection)
+            {
+                underscore.difference(self.projection, keysToCheck).forEach(function(key)
+                {
+                    if (collectionStatistics.fieldStatistics[key])
+                    {
+                        self[_keyStatistics][key] = collectionStatistics.fieldStatistics[key];
+                    }
+                });
+            }
+
+            if (self.geo)
+            {
+                self[_geoFormat] = collectionStatistics.getGeoFieldFormat(self.geo.field);
+            }
+
             return next(null);
         });
     }
@@ -510,64 +976,83 @@ class QueryProfile
     }
 
     /**
-     * @returns {boolean} True if this query profile is empty, (no fields involved), false otherwise
+     * @returns {boolean} True if this query profile uses $near or $nearSphere. These queries fail entirely if there is
+     *                    no geospatial index on the field, rather then just being slow.
      */
-    get isEmpty()
+    get isNearQuery()
     {
         const self = this;
-        return self.fields.length == 0;
+        return Boolean(self.geo) && (self.geo.operator == '$near' || self.geo.operator == '$nearSphere');
     }
 
     /**
-     * This static function can be used to analyze mongos JSON profile objects and determine a list of indexes that were used.
-     *
-     * @param {object} mongoProfile A Mongo profile object from the system.profile collection
-     * @returns { [MongoIndex] } A list of index objects with all the indexes being used in that profile
+     * @returns {object} The partialFilterExpression made from the predicates of this query profile which have had the same
+     *                   value every time the query was seen, like {deleted: false}. Predicates need to have been seen
+     *                   at least --partial-index-minimum-count times to be included. Returns null if there aren't any.
      */
-    static getUsedIndexesInMongoProfile(mongoProfile)
+    get partialFilterExpression()
     {
-        let indexes = [];
+        const self = this;
+        if (!self[_options].partialIndexes || !self.constants)
+        {
+            return null;
+        }
+
+        // Query profiles saved by older versions may have constants using operators that are no longer allowed
+        const constants = underscore.filter(self.constants, (constant) => constant.count >= self[_options].partialIndexMinimumQueryCount
+            && underscore.every(constant.conditions, (condition) => partialFilterOperators.indexOf(condition.operator) !== -1));
+        if (constants.length === 0)
+        {
+            return null;
+        }
 
-        // Recurse through the execution stats until we find indexes
-        function recurse(execStat)
+        const partialFilterExpression = {};
+        underscore.sortBy(constants, (constant) => constant.field).forEach(function(constant)
         {
-            if (execStat.children)
+            if (constant.conditions.length === 1 && constant.conditions[0].operator === '$eq')
             {
-                execStat.children.forEach(function(childExecStat)
-                {
-                    recurse(childExecStat);
-                });
+                partialFilterExpression[constant.field] = constant.conditions[0].value;
             }
-
-            // If this is an index scan, lets take a look!
-            if (execStat.type === 'IXSCAN')
+            else
             {
-                // First we have to turn the key pattern into valid JSON
-                let pattern = execStat.keyPattern;
-                pattern = pattern.replace(/\s*\{\s*/g, "{\"");
-                pattern = pattern.replace(/\s*:\s*/g, "\":");
-                pattern = pattern.replace(/\s*,\s*/g, ",\"");
-                pattern = pattern.replace(/\s*'\s*/g, "\"");
+                partialFilterExpression[constant.field] = {};
+                constant.conditions.forEach((condition) => partialFilterExpression[constant.field][condition.operator] = condition.value);
+            }
+        });
 
-                let execStatIndex = JSON.parse(pattern);
+        return partialFilterExpression;
+    }
 
-                indexes.push(execStatIndex);
-            }
-        }
+    /**
+     * @returns {boolean} True if this query profile is empty, (no fields involved), false otherwise
+     */
+    get isEmpty()
+    {
+        const self = this;
+        return self.fields.length == 0 && !self.text && !self.geo;
+    }
+
+    /**
+     * This static function can be used to analyze mongos JSON profile objects and determine a list of indexes that were used.
+     *
+     * @param {object} mongoProfile A Mongo profile object from the system.profile collection
+     * @returns { [MongoIndex] } A list of index objects with all the indexes being used in that profile
+     */
+    static getUsedIndexesInMongoProfile(mongoProfile)
+    {
+        const indexes = ProfileFormat.getUsedIndexes(mongoProfile);
 
-        if (!mongoProfile.execStats)
+        if (indexes.length === 0 && !mongoProfile.execStats && !mongoProfile.planSummary)
         {
             console.log("missing the exec stats");
             console.log(mongoProfile);
             return [];
         }
-        else
-        {
-            recurse(mongoProfile.execStats);
-        }
 
-        const collectionName = mongoProfile.ns.substr(mongoProfile.ns.indexOf(".") + 1);
-        return indexes.map((index) => new MongoIndex(index, collectionName));
+        // The profile doesn't say what the collation of each index is, but Mongo can only have used indexes with the
+        // same collation as the query
+        const normalized = ProfileFormat.normalizeMongoProfile(mongoProfile);
+        return indexes.map((index) => new MongoIndex(index, normalized.namespace, null, {collation: normalized.collation}));
     }
 
     /**
@@ -584,12 +1069,23 @@ class QueryProfile
         let found = false;
         const indexes = QueryProfile.getUsedIndexesInMongoProfile(mongoProfile);
 
+        // Mongo describes text indexes with the internal _fts and _ftsx fields, rather then the fields being searched.
+        // Since a collection can only have one text index, any text index is the expected one
+        if (self.text)
+        {
+            return underscore.any(indexes, (index) => !underscore.isUndefined(index['_fts']));
+        }
+
         indexes.forEach(function(actualIndex)
         {
             self.reducedIndexes.forEach(function(expectedIndex)
             {
+                // The profile doesn't say whether the index that was used is a partial index, so we assume that
+                // it has the same partialFilterExpression as the expected index
+                const comparableIndex = new MongoIndex(actualIndex, actualIndex.mongoNamespace, null, underscore.extend({}, actualIndex.indexOptions, {partialFilterExpression: expectedIndex.partialFilterExpression}));
+
                 // See if the index used is the expected index for this query profile
-                if (actualIndex.isSameAs(expectedIndex))
+                if (comparableIndex.isSameAs(expectedIndex))
                 {
                     found = true;
                 }
@@ -598,7 +1094,7 @@ class QueryProfile
                 // other indexes, these indexes can exist anyhow if they were created by humans
                 // or by the application, and thus aren't being managed by the mongo dynamic
                 // indexer
-                else if(actualIndex.isIndexPrefixOf(expectedIndex))
+                else if(comparableIndex.isIndexPrefixOf(expectedIndex))
                 {
                     found = true;
                 }
@@ -616,10 +1112,12 @@ class QueryProfile
      * @param {object} query An Mongo query object
      * @param {object} sort A Mongo sort object
      * @param {object} options The global script options object, the one that is passed to the MongoOptimizer object
+     * @param {object} [collation] The collation that the query was made with, if any
+     * @param {object} [projection] The projection that the query was made with, if any
      * @returns { [QueryProfile] } An array of QueryProfile objects for the query. Usually there is only one,
      *                             but in cases were there are $or's in the query, there will be more.
      */
-    static createQueryProfilesFromMongoQuery(namespace, query, sort, options)
+    static createQueryProfilesFromMongoQuery(namespace, query, sort, options, collation, projection)
     {
         let allComments = [];
 
@@ -628,7 +1126,11 @@ class QueryProfile
             const profile = {
                 exact: one.exact.concat(two.exact),
                 sort: {},
-                range: one.range.concat(two.range)
+                range: one.range.concat(two.range),
+                text: one.text || two.text,
+                geo: one.geo || two.geo,
+                constants: one.constants.concat(two.constants),
+                rangeOperators: one.rangeOperators.concat(two.rangeOperators)
             };
 
             return profile;
@@ -649,6 +1151,29 @@ class QueryProfile
             return subQueries;
         }
 
+        // This function returns the conditions on a field which could be used in a partialFilterExpression
+        function getPartialFilterConditions(value)
+        {
+            // Strings that start with $ refer to other fields rather then being constants, such as the placeholder
+            // used for the foreignField of a $lookup
+            function isConstant(value)
+            {
+                return !(underscore.isString(value) && value[0] == '$');
+            }
+
+            if (value instanceof Date || value instanceof mongodb.ObjectID || value instanceof mongodb.DBRef || !underscore.isObject(value))
+            {
+                return isConstant(value) ? [{operator: '$eq', value: value}] : [];
+            }
+            else if (value instanceof RegExp || underscore.isArray(value) || !underscore.every(Object.keys(value), (key) => key[0] == '$'))
+            {
+                return [];
+            }
+
+            const operators = underscore.filter(Object.keys(value), (operator) => partialFilterOperators.indexOf(operator) != -1 && isConstant(value[operator]) && (operator != '$exists' || value[operator] === true));
+            return operators.map((operator) => ({operator: operator, value: value[operator]}));
+        }
+
         // This function trims periods on either end of a string
         function trimPeriods(str)
         {
@@ -661,7 +1186,11 @@ class QueryProfile
             let allSubQueries = [{
                 exact: [],
                 sort: {},
-                range: []
+                range: [],
+                text: false,
+                geo: null,
+                constants: [],
+                rangeOperators: []
             }];
 
             // First, go through the query for all exact match fields
@@ -672,11 +1201,25 @@ class QueryProfile
                 // This is not a special mongo field
                 if(key[0] != '$')
                 {
+                    // Remember the conditions on top level fields that could go in a partialFilterExpression, so
+                    // that we can tell whether they are the same every time the query is made
+                    const conditions = root === '' ? getPartialFilterConditions(value) : [];
+                    if (conditions.length > 0)
+                    {
+                        allSubQueries.forEach(subQuery => subQuery.constants.push({field: key, conditions: conditions}));
+                    }
+
                     // Now look at the value, and decide what to do with it
                     if(value instanceof Date || value instanceof mongodb.ObjectID || value instanceof mongodb.DBRef)
                     {
                         allSubQueries.forEach(subQuery => subQuery.exact.push(trimPeriods(root + key)));
                     }
+                    else if(value instanceof RegExp)
+                    {
+                        // A regular expression can match many values, the same as $regex
+                        allSubQueries.forEach(subQuery => subQuery.range.push(trimPeriods(root + key)));
+                        allSubQueries.forEach(subQuery => subQuery.rangeOperators.push({field: trimPeriods(root + key), operator: '$regex', anchored: isPrefixRegex(value)}));
+                    }
                     else if(value instanceof Object)
                     {
                         const subQueries = analyzeQuery(value, root + key);
@@ -692,6 +1235,19 @@ class QueryProfile
                     if(key == '$lt' || key == '$lte' || key == '$gt' || key == '$gte' || key == '$in' || key == '$nin' || key == '$neq' || key == '$ne' || key == '$exists' || key == '$mod' || key == '$all' || key == '$regex' || key == '$size')
                     {
                         allSubQueries.forEach(subQuery => subQuery.range.push(trimPeriods(root)));
+
+                        // Remember which operator was used, along with the number of values in a $in, so that the
+                        // range fields can be split into their priority tiers
+                        const rangeOperator = {field: trimPeriods(root), operator: key};
+                        if (key == '$in')
+                        {
+                            rangeOperator.size = underscore.isArray(value) ? value.length : 1;
+                        }
+                        else if (key == '$regex')
+                        {
+                            rangeOperator.anchored = isPrefixRegex(value, query['$options']);
+                        }
+                        allSubQueries.forEach(subQuery => subQuery.rangeOperators.push(rangeOperator));
                     }
                     else if(key == '$eq')
                     {
@@ -699,7 +1255,9 @@ class QueryProfile
                     }
                     else if(key == "$not")
                     {
+                        // Negating a condition makes it match everything outside of its range
                         const elemSubQueries = analyzeQuery(value, root);
+                        elemSubQueries.forEach(subQuery => subQuery.rangeOperators = underscore.map(subQuery.rangeOperators, (rangeOperator) => ({field: rangeOperator.field, operator: '$not'})));
                         allSubQueries = mergeSubQueries(allSubQueries, elemSubQueries);
                     }
                     else if(key == '$elemMatch')
@@ -709,7 +1267,35 @@ class QueryProfile
                         const elemSubQueries = analyzeQuery(value, root + ".");
                         allSubQueries = mergeSubQueries(allSubQueries, elemSubQueries);
                     }
-                    else if(key == '$options' || key == '$hint' || key == '$explain' || key == '$text')
+                    else if(key == '$text')
+                    {
+                        // The fields searched by $text are determined by the text index, rather then the query
+                        allSubQueries.forEach(subQuery => subQuery.text = true);
+                    }
+                    else if(key == '$near' || key == '$nearSphere' || key == '$geoWithin' || key == '$within' || key == '$geoIntersects')
+                    {
+                        // GeoJSON geometry can only be matched using a 2dsphere index, where as legacy coordinate pairs
+                        // can use either kind of geospatial index
+                        const geo = {
+                            field: trimPeriods(root),
+                            operator: key,
+                            sphere: key == '$geoIntersects' || (underscore.isObject(value) && !underscore.isUndefined(value['$geometry']))
+                        };
+
+                        // Mongo can only use one geospatial index for a query. A $near has to be the one, since it sorts the results by distance
+                        allSubQueries.forEach(function(subQuery)
+                        {
+                            if (!subQuery.geo || key == '$near' || key == '$nearSphere')
+                            {
+                                subQuery.geo = geo;
+                            }
+                        });
+                    }
+                    else if(key == '$maxDistance' || key == '$minDistance')
+                    {
+                        // These are options for $near and $nearSphere
+                    }
+                    else if(key == '$options' || key == '$hint' || key == '$explain')
                     {
                         // We can safely ignore these
                     }
@@ -767,16 +1353,45 @@ class QueryProfile
             }
         });
 
-        return allProfiles.map(function(queryProfile)
+        // The optimization components can drop a query profile by setting it to null
+        return underscore.filter(allProfiles.map(function(queryProfile)
         {
             queryProfile.namespace = namespace;
-            queryProfile.sort = sort;
+            // Sorting on computed values, like {score: {$meta: "textScore"}}, can't be done with an index
+            queryProfile.sort = underscore.pick(sort, (direction) => underscore.isNumber(direction));
             queryProfile.exact = underscore.uniq(queryProfile.exact);
             queryProfile.range = underscore.uniq(queryProfile.range);
             queryProfile.sources = [{source: source, version: version}];
+            queryProfile.collation = collation || null;
+            queryProfile.projection = getProjectedFields(projection);
+            queryProfile.rangeOperators = underscore.map(underscore.groupBy(queryProfile.rangeOperators, (rangeOperator) => rangeOperator.field), function(rangeOperators, field)
+            {
+                const sizes = underscore.filter(underscore.pluck(rangeOperators, 'size'), (size) => underscore.isNumber(size));
+                const kind = classifyRangeOperators(rangeOperators);
+                return {
+                    field: field,
+                    kinds: {[kind]: 1},
+                    inListSize: {
+                        count: kind === 'in' ? 1 : 0,
+                        sum: kind === 'in' ? underscore.min(sizes) : 0,
+                        max: kind === 'in' ? underscore.min(sizes) : 0
+                    }
+                };
+            });
+            queryProfile.constants = underscore.map(underscore.groupBy(queryProfile.constants, (constant) => constant.field), function(constants, field)
+            {
+                const conditions = underscore.flatten(underscore.pluck(constants, 'conditions'), true);
+                return {
+                    field: field,
+                    conditions: conditions,
+                    fingerprint: fingerprintConditions(conditions),
+                    count: 1
+                };
+            });
 
-            return new QueryProfile(queryProfile, options);
-        });
+            const context = OptimizationPipeline.fromOptions(options).runStage('profileCreation', {queryProfile: new QueryProfile(queryProfile, options), query: query});
+            return context.queryProfile;
+        }), (queryProfile) => queryProfile);
     }
 
 
@@ -791,32 +1406,35 @@ class QueryProfile
      */
     static createQueryProfilesFromMongoProfile(profile, options)
     {
-        const namespace = profile.ns;
-        let query;
-        if(profile.query['$query'])
+        const normalized = ProfileFormat.normalizeMongoProfile(profile);
+
+        let queries;
+        if (normalized.op === 'aggregate')
         {
-            query = profile.query['$query'];
+            queries = AggregationPipeline.extractQueries(normalized.namespace, normalized.pipeline);
         }
-        else if(profile.query['query'])
+        else if (normalized.op === 'insert')
         {
-            query = profile.query['query'];
+            // Inserts don't query anything
+            queries = [];
         }
         else
         {
-            query = profile.query;
+            queries = [{namespace: normalized.namespace, query: normalized.query, sort: normalized.sort}];
         }
 
-        let sort;
-        if (profile.query['orderby'])
+        return underscore.flatten(queries.map(function(extractedQuery)
         {
-            sort = profile.query['orderby'];
-        }
-        else
-        {
-            sort = {};
-        }
+            // Newer versions of Mongo store the comment beside the filter, rather then inside of it,
+            // so we put it back into the query where the query analysis expects to find it
+            let query = extractedQuery.query;
+            if (normalized.comment !== null)
+            {
+                query = underscore.extend({}, query, {$comment: normalized.comment});
+            }
 
-        return QueryProfile.createQueryProfilesFromMongoQuery(namespace, query, sort, options)
+            return QueryProfile.createQueryProfilesFromMongoQuery(extractedQuery.namespace, query, extractedQuery.sort, options, normalized.collation, normalized.projection);
+        }));
     }
 }
 
@@ -4,7 +4,171 @@ const
     async = require('async'),
     QueryProfile = require('./query_profile'),
     IndexSet = require('./index_set'),
-    underscore = require('underscore');
+    MongoIndex = require('./mongo_index'),
+    OptimizationPipeline = require('./optimization_pipeline'),
+    underscore = require('underscore'),
+    WriteStatistics = require('./write_statistics');
+
+/**
+ * Computes the keys used by QuerySet.reorderIndexFields to compare indexes quickly. Two indexes with the same key are
+ * the same, as in MongoIndex.isSameAs, and an index is a prefix of another, as in MongoIndex.isIndexPrefixOf, when
+ * the key of the other starts with its prefix key.
+ *
+ * @param {MongoIndex} index The index
+ * @returns {object} The keys, like {key: String, prefixKey: String}. The prefixKey is null for text indexes, which
+ *                   can't be the prefix of any other index
+ */
+function getIndexKeys(index)
+{
+    const key = JSON.stringify([index.collation, index.partialFilterExpression, index.isGeoIndex, index.isTextIndex].concat(underscore.map(Object.keys(index), (field) => [field, String(index[field])])));
+    return {
+        key: key,
+        prefixKey: index.isTextIndex ? null : `${key.substr(0, key.length - 1)},`
+    };
+}
+
+/**
+ * @param {object} keys The keys of an index, from getIndexKeys
+ * @param {object} otherKeys The keys of another index
+ * @returns {boolean} True if the first index is a prefix of the other one
+ */
+function isKeyPrefixOf(keys, otherKeys)
+{
+    return keys.prefixKey !== null && otherKeys.key.indexOf(keys.prefixKey) === 0;
+}
+
+/**
+ * Checks whether an index is one of the manual indexes, or would be replaced by one of them. The dynamic indexer never
+ * drops manual indexes, and a manual text index is always kept instead of a recommended one, since a collection can
+ * only have one text index.
+ *
+ * @param {MongoIndex} index The index to check
+ * @param { [MongoIndex] } manualIndexes The existing indexes which were made by hand
+ * @returns {boolean} True if the index is, or will be replaced by, a manual index
+ */
+function isManualIndex(index, manualIndexes)
+{
+    return underscore.any(manualIndexes, (manualIndex) => manualIndex.mongoNamespace === index.mongoNamespace && (manualIndex === index || manualIndex.canonicalString === index.canonicalString || (manualIndex.isTextIndex && index.isTextIndex)));
+}
+
+/**
+ * Splits the fields of one of a query profiles optimized indexes into the groups whose order can be changed without
+ * changing which queries the index can serve. The exact match fields can be in any order, as can the range fields
+ * within each of their priority tiers, see QueryProfile.getRangeTier. The order of the sort fields is fixed, so each
+ * of them is a group on its own.
+ *
+ * @param {QueryProfile} queryProfile The query profile
+ * @param {MongoIndex} index One of the optimized indexes of the query profile
+ * @returns { [[string]] } The groups of fields, in the order they appear in the index, or null if the fields of the
+ *                         index can't be reordered, such as for a hashed index
+ */
+function getReorderableFieldGroups(queryProfile, index)
+{
+    const fields = Object.keys(index);
+    if (underscore.any(fields, (field) => index[field] === 'hashed'))
+    {
+        return null;
+    }
+
+    const groupNames = underscore.map(fields, function(field)
+    {
+        if (queryProfile.exact.indexOf(field) !== -1)
+        {
+            return "exact";
+        }
+        else if (!underscore.isUndefined(queryProfile.sort[field]))
+        {
+            return `sort ${field}`;
+        }
+        else if (queryProfile.range.indexOf(field) !== -1)
+        {
+            return `range ${queryProfile.getRangeTier(field)}`;
+        }
+
+        return null;
+    });
+
+    if (groupNames.indexOf(null) !== -1)
+    {
+        return null;
+    }
+
+    // Consecutive fields from the same group can be reordered amongst themselves
+    const groups = [];
+    fields.forEach(function(field, position)
+    {
+        if (position > 0 && groupNames[position] === groupNames[position - 1])
+        {
+            underscore.last(groups).push(field);
+        }
+        else
+        {
+            groups.push([field]);
+        }
+    });
+
+    return groups;
+}
+
+/**
+ * Orders a group of fields the same way as they appear in another index. The fields which aren't in the other index
+ * are placed after the ones that are, keeping their existing order.
+ *
+ * @param { [string] } fields The group of fields to order
+ * @param { [string] } targetFields The fields of the other index, in order
+ * @returns { [string] } The ordered fields
+ */
+function orderFieldsLike(fields, targetFields)
+{
+    const sharedFields = underscore.filter(targetFields, (field) => fields.indexOf(field) !== -1);
+    return sharedFields.concat(underscore.difference(fields, sharedFields));
+}
+
+/**
+ * Counts how many pairs of fields an index has in a different order from the original, cardinality ordered index.
+ *
+ * @param { [string] } fields The fields of the index, in order
+ * @param { [string] } originalFields The fields of the original index, in order
+ * @returns {number} The number of pairs of fields which are out of order
+ */
+function countOutOfOrderFields(fields, originalFields)
+{
+    let count = 0;
+    for (let first = 0; first < fields.length; first += 1)
+    {
+        for (let second = first + 1; second < fields.length; second += 1)
+        {
+            if (originalFields.indexOf(fields[first]) > originalFields.indexOf(fields[second]))
+            {
+                count += 1;
+            }
+        }
+    }
+
+    return count;
+}
+
+/**
+ * Finds the field that two indexes differ by, when the only difference between them is that the field sits further
+ * along in the second index. For example, {a: 1, b: 1, c: 1} and {a: 1, c: 1, b: 1} differ by the field "b".
+ *
+ * @param {MongoIndex} index The index which has the field earlier
+ * @param {MongoIndex} otherIndex The index which has the field further along
+ * @returns {string} The field that was moved, or null if the indexes differ in some other way
+ */
+function getMovedField(index, otherIndex)
+{
+    const fields = Object.keys(index);
+    const otherFields = Object.keys(otherIndex);
+    if (fields.length !== otherFields.length || underscore.any(fields, (field) => index[field] !== otherIndex[field]))
+    {
+        return null;
+    }
+
+    const movedField = underscore.find(fields, (field) => fields.indexOf(field) < otherFields.indexOf(field)
+        && underscore.without(fields, field).join(",") === underscore.without(otherFields, field).join(","));
+    return movedField || null;
+}
 
 /**
  * QuerySet is a set of QueryProfile objects.
@@ -36,8 +200,14 @@ class QuerySet
             self.queryProfiles = [];
         }
 
+        // The writes made to each collection, which are used to estimate the cost of keeping each index up to date
+        self.writeStatistics = new WriteStatistics(data.writeStatistics);
+
         self.options = options;
         self.sampler = sampler;
+
+        // The optimization components which are run on the indexes, see OptimizationPipeline
+        self.pipeline = OptimizationPipeline.fromOptions(options);
     }
 
     /**
@@ -52,7 +222,8 @@ class QuerySet
             queryProfiles: underscore.map(this.queryProfiles, function(queryProfile)
             {
                 return queryProfile.toJSON();
-            })
+            }),
+            writeStatistics: this.writeStatistics.toJSON()
         }
     }
 
@@ -62,10 +233,15 @@ class QuerySet
      * If it is already there, it will update metadata like the last query time and
      * the sources for the query.
      *
+     * @param { QueryProfile } queryProfile The query profile to add
+     * @param { string } [operation] The type of operation that performed the query, such as "query", "update"
+     *                               or "findAndModify". Defaults to "query"
+     * @param { string } [member] The "host:port" of the replica set member that the query was performed on, if known
+     * @param { object } [execution] The statistics for this execution of the query, as given to QueryPerformance.record
      * @return { QueryProfile } Returns the existing query profile object if it exists, or the new QueryProfile object
      */
 
-    addQueryProfile(queryProfile)
+    addQueryProfile(queryProfile, operation, member, execution)
     {
         const self = this;
 
@@ -73,7 +249,11 @@ class QuerySet
         const existingQueryProfile = underscore.find(self.queryProfiles, (otherQueryProfile) => queryProfile.isEquivalentToQueryProfile(otherQueryProfile));
         if (!existingQueryProfile)
         {
-            queryProfile.incrementUsageCount();
+            queryProfile.incrementUsageCount(operation, member);
+            if (execution)
+            {
+                queryProfile.performance.record(execution);
+            }
 
             self.queryProfiles.push(queryProfile);
 
@@ -83,14 +263,91 @@ class QuerySet
         {
             // Update the last query time for this profile
             existingQueryProfile.lastQueryTime = new Date();
-            existingQueryProfile.incrementUsageCount();
+            existingQueryProfile.incrementUsageCount(operation, member);
+            existingQueryProfile.mergeConstants(queryProfile.constants);
+            existingQueryProfile.mergeProjection(queryProfile.projection);
+            existingQueryProfile.mergeRangeOperators(queryProfile.rangeOperators);
             queryProfile.sources.forEach((source) => existingQueryProfile.addSource(source.source, source.version));
+            if (execution)
+            {
+                existingQueryProfile.performance.record(execution);
+            }
 
             return existingQueryProfile;
         }
     }
 
 
+    /**
+     * This method adds the query profiles for a single query record to the query set. Query records are plain JSON
+     * descriptions of a query made by an application, such as the ones received by the QueryIngestionServer or
+     * recorded by the QueryCollector, and look like the following:
+     *
+     * {
+     *      namespace: "dbName.collectionName",
+     *      filter: {query},
+     *      sort: {String: direction},
+     *      projection: {String: 1},
+     *      comment: {source: "String", version: "String"},
+     *      collation: {locale: "en", strength: 2},
+     *      durationMillis: Number,
+     *      op: "query",
+     *      update: {update document},
+     *      documentCount: Number
+     * }
+     *
+     * The durationMillis is recorded as the time taken by the query, in each query profile's performance statistics.
+     *
+     * Records with op "insert", "update" or "remove", and findAndModify's with an update, are also counted in the
+     * write statistics. The update is the update document, and the documentCount is the number of documents written,
+     * which defaults to 1. Inserts don't have a query.
+     *
+     * @param { object } queryRecord The query record
+     * @param { function(err) } done A callback after the query profiles have been added, and the cardinality information
+     *                               needed to optimize them has been sampled
+     */
+    addQueryRecord(queryRecord, done)
+    {
+        const self = this;
+        const operation = queryRecord.op || "query";
+
+        if (operation === 'insert' || operation === 'update' || operation === 'remove')
+        {
+            self.writeStatistics.recordWrite(queryRecord.namespace, operation, queryRecord.update, queryRecord.documentCount);
+        }
+        else if (operation === 'findAndModify' && queryRecord.update)
+        {
+            self.writeStatistics.recordWrite(queryRecord.namespace, "update", queryRecord.update, queryRecord.documentCount);
+        }
+
+        if (operation === 'insert')
+        {
+            return done();
+        }
+
+        // The comment is placed into the query where the query analysis expects to find it
+        let query = queryRecord.filter || {};
+        if (!underscore.isUndefined(queryRecord.comment) && queryRecord.comment !== null)
+        {
+            query = underscore.extend({}, query, {$comment: queryRecord.comment});
+        }
+
+        const queryProfiles = QueryProfile.createQueryProfilesFromMongoQuery(queryRecord.namespace, query, queryRecord.sort || {}, self.options, queryRecord.collation, queryRecord.projection);
+        async.eachSeries(queryProfiles, function (queryProfile, next)
+        {
+            // If this query only contains _id or is empty entirely, ignore it
+            if (queryProfile.isIDOnly || queryProfile.isEmpty)
+            {
+                return next();
+            }
+
+            const execution = underscore.isNumber(queryRecord.durationMillis) ? {millis: queryRecord.durationMillis} : null;
+            const existingQueryProfile = self.addQueryProfile(queryProfile, operation, null, execution);
+            existingQueryProfile.getCardinalitiesForIndexOptimization(self.sampler, next);
+        }, done);
+    }
+
+
     /**
      *  This method filters the list of known query profiles for any that haven't been seen in a long time
      */
@@ -114,10 +371,21 @@ class QuerySet
      * This function also has the side effect of ensuring that all query-profile objects resolve to the *SAME* indexes
      * will then refer to the same MongoIndex in memory. This allows us to look in the opposite direction and determine
      * which query profiles are being used by a given index.
+     *
+     * Existing indexes that were made by hand can be given as fixed indexes. Query profiles will reduce onto a fixed
+     * index whenever their own index is the same as or a prefix of it, in preference to any other index, but the
+     * fixed indexes themselves are never changed or replaced.
+     *
+     * @param { [QueryProfile] } queryProfiles The list of query profiles whose reduced indexes should be computed
+     * @param { [MongoIndex] } [fixedIndexes] The list of existing indexes which should be reused where possible
+     * @param {boolean} [allowPrefixes] Set to false to only merge indexes that are the same, without eliminating the
+     *                                  indexes which are prefixes of other indexes. Defaults to true
      */
-    reduceIndexes(queryProfiles)
+    reduceIndexes(queryProfiles, fixedIndexes, allowPrefixes)
     {
         const self = this;
+        fixedIndexes = fixedIndexes || [];
+        allowPrefixes = underscore.isUndefined(allowPrefixes) ? true : allowPrefixes;
 
         // First, on each query profile, we make sure there aren't any duplicates in its current reducedIndexes set
         queryProfiles.forEach(function(queryProfile)
@@ -167,21 +435,46 @@ class QuerySet
                 for(let lhsIndexPosition = 0; lhsIndexPosition < lhsIndexes.length; lhsIndexPosition += 1)
                 {
                     const lhsIndex = lhsIndexes[lhsIndexPosition];
+
+                    // A fixed index is already as good as it gets, since it doesn't need to be created
+                    if (fixedIndexes.indexOf(lhsIndex) !== -1)
+                    {
+                        newLHSIndexes.push(lhsIndex);
+                        continue;
+                    }
+
+                    const lhsFixedIndexes = underscore.filter(fixedIndexes, (fixedIndex) => fixedIndex.mongoNamespace === lhsQuery.namespace
+                        && (lhsIndex.isSameAs(fixedIndex) || (allowPrefixes && lhsIndex.isIndexPrefixOf(fixedIndex)))
+                        && self.canQueryProfileUseFixedIndex(lhsQuery, fixedIndex));
+                    if (lhsFixedIndexes.length > 0)
+                    {
+                        changed = true;
+                        newLHSIndexes = newLHSIndexes.concat(lhsFixedIndexes);
+                        continue;
+                    }
+
                     const lhsSameIndexes = [];
                     const lhsPrefixedIndexes = [];
                     queryProfiles.forEach(function (rhsQuery, rhsQueryN)
                     {
-                        if (rhsQueryN != lhsQueryN && lhsQuery.collectionName === rhsQuery.collectionName)
+                        if (rhsQueryN != lhsQueryN && lhsQuery.namespace === rhsQuery.namespace)
                         {
                             const rhsIndexes = rhsQuery.reducedIndexes;
                             for (let rhsIndexPosition = 0; rhsIndexPosition < rhsIndexes.length; rhsIndexPosition += 1)
                             {
                                 const rhsIndex = rhsIndexes[rhsIndexPosition];
+
+                                // The fixed indexes were already checked above
+                                if (fixedIndexes.indexOf(rhsIndex) !== -1)
+                                {
+                                    continue;
+                                }
+
                                 if (lhsIndex.isSameAs(rhsIndex) && rhsQueryN > lhsQueryN)
                                 {
                                     lhsSameIndexes.push(rhsIndex);
                                 }
-                                else if (lhsIndex.isIndexPrefixOf(rhsIndex))
+                                else if (allowPrefixes && lhsIndex.isIndexPrefixOf(rhsIndex))
                                 {
                                     changed = true;
                                     lhsPrefixedIndexes.push(rhsIndex);
@@ -226,302 +519,1071 @@ class QuerySet
 
 
     /**
-     * This method computes the optimal IndexSet for this set of queries.
+     * The exact match fields of each optimized index are ordered from the highest cardinality to the lowest, and the
+     * range fields from the lowest to the highest. This is decided for each query profile on its own, so two query
+     * profiles on the same fields may end up with their fields in different orders, and then neither index can be
+     * eliminated by QuerySet.reduceIndexes. For example, the queries {a: 'ok'} and {a: 'ok', b: 'test'}, where a has
+     * a lower cardinality than b, would need both {a: 1} and {b: 1, a: 1}, when {a: 1, b: 1} could serve both.
      *
-     * @param {function(err)} callback The callback which will return with the optimal set of
-     *                                 queries
+     * This method searches for orders of the exact match fields and of the range fields in each priority tier of each
+     * index, which minimize the number of indexes left after prefix reduction. The candidate orders for an index are
+     * its own order, and the order that lines its fields up with each other index on the collection, including the
+     * fixed indexes. The index that makes the greatest improvement is changed, until there are no more improvements or
+     * the fieldReorderingRounds option's number of changes have been made. Each round tries every candidate order of
+     * every index, so its cost grows with the cube of the number of indexes on the collection. When two orders need the
+     * same number of indexes, the one closest to the cardinality order is used.
+     *
+     * The reordered indexes are set as the reduced indexes of each query profile, ready for QuerySet.reduceIndexes.
+     *
+     * @param { [QueryProfile] } queryProfiles The list of query profiles whose indexes should be reordered
+     * @param { [MongoIndex] } [fixedIndexes] The list of existing indexes which the indexes can be folded into
      */
-    computeOptimalIndexSet(callback)
+    reorderIndexFields(queryProfiles, fixedIndexes)
     {
         const self = this;
+        fixedIndexes = fixedIndexes || [];
+        const maximumRounds = Number(self.options.fieldReorderingRounds);
 
-        // Filter for only query profiles that meet the minimum usage count
-        const queryProfiles = underscore.filter(self.queryProfiles, (queryProfile) => queryProfile.usageCount >= self.options.minimumQueryCount);
-
-        // First, we go through all of our query profiles, and get them their cardinality and add their
-        // indexes to the list
-        async.eachSeries(queryProfiles, function (queryProfile, next)
-        {
-            queryProfile.resetIndexes();
-            queryProfile.getCardinalitiesForIndexOptimization(self.sampler, function (err)
-            {
-                if (err)
-                {
-                    return next(err);
-                }
-
-                return next();
-            });
-        },
-        function(err)
+        underscore.each(underscore.groupBy(queryProfiles, (queryProfile) => queryProfile.namespace), function(collectionQueryProfiles, namespace)
         {
-            if (err)
-            {
-                return callback(err);
-            }
-
-            // Perform an index reduction, to eliminate unnecessary indexes
-            self.reduceIndexes(queryProfiles);
+            const collectionFixedIndexes = underscore.filter(fixedIndexes, (fixedIndex) => fixedIndex.mongoNamespace === namespace);
 
-            const groupedQueryProfiles = underscore.groupBy(queryProfiles, (queryProfile) => queryProfile.collectionName);
+            // The distinct indexes which are needed, because they can't be folded into a fixed index, by their key.
+            // Each one keeps the number of entries using it, and the number of other needed indexes that it is a
+            // prefix of. The ones which aren't a prefix of any other are the indexes left after prefix reduction, so
+            // the score is kept up to date as the entries change, rather than recounted for every candidate order
+            const neededIndexes = new Map();
+            let indexCount = 0;
+            let outOfOrderFields = 0;
 
-            // For each collection, we get the index statistics for that collections recommended indexes
-            async.mapSeries(Object.keys(groupedQueryProfiles), function(collectionName, next)
+            function addNeededIndex(candidate)
             {
-                const collectionQueryProfiles = groupedQueryProfiles[collectionName];
-
-                let cont = true;
-                async.whilst(function()
-                {
-                    return cont;
-                }, function(next)
+                let neededIndex = neededIndexes.get(candidate.key);
+                if (neededIndex)
                 {
-                    // Get all of the reduced indexes for every query profile, flatten it and take out dupes
-                    const collectionIndexes = underscore.uniq(underscore.flatten(underscore.map(collectionQueryProfiles, (queryProfile) => queryProfile.reducedIndexes)));
-                    let indexSet = new IndexSet(collectionIndexes);
+                    neededIndex.entryCount += 1;
+                    return;
+                }
 
-                    // Get the index statistics from the sampler
-                    self.sampler.getIndexStatistics(indexSet, function(err, statistics)
+                neededIndex = {index: candidate.index, key: candidate.key, prefixKey: candidate.prefixKey, entryCount: 1, supersetCount: 0};
+                neededIndexes.forEach(function(otherNeededIndex)
+                {
+                    if (isKeyPrefixOf(neededIndex, otherNeededIndex))
                     {
-                        if (err)
-                        {
-                            return next(err);
-                        }
-
-                        indexSet.indexes.forEach(function(index)
-                        {
-                            let stats = underscore.findWhere(statistics, {index: index});
-                            index.setIndexStatistics(stats.statistics.fieldStatistics);
-                        });
-
-                        // Now, for each index, we eliminate the field with the lowest reduction rate.
-                        // If the index has no fields that reduce less then 50%, then we do nothing
-                        // If there are multiple fields with the same lowest reduction rate,
-                        // we eliminate the right most field
-                        cont = false;
-
-                        if (self.options.verbose)
+                        neededIndex.supersetCount += 1;
+                    }
+                    else if (isKeyPrefixOf(otherNeededIndex, neededIndex))
+                    {
+                        if (otherNeededIndex.supersetCount === 0)
                         {
-                            console.log("Statistics obtained, starting simplification pass:");
+                            indexCount -= 1;
                         }
+                        otherNeededIndex.supersetCount += 1;
+                    }
+                });
 
-                        indexSet.indexes.forEach(function(index)
-                        {
-                            if (self.options.verbose)
-                            {
-                                index.printIndexData("    ", false);
-                            }
-
-                            // If there is only one field in the index, don't do anything. Do not eliminate this last field
-                            if (Object.keys(index).length === 1)
-                            {
-                                return;
-                            }
-
-                            // Get all of the known sort fields for the query profiles on this
-                            // index. Sort fields can not be eliminated
-                            const sortFields = underscore.uniq(underscore.flatten(underscore.map(index.knownQueryProfiles, (queryProfile) => Object.keys(queryProfile.sort))));
-
-                            // Create a list of fields to examine
-                            const fieldsToExamine = underscore.difference(Object.keys(index), sortFields);
-
-                            // First determine if we do anything at all.
-                            let possibleFieldsToEliminate = 0;
-
-                            fieldsToExamine.forEach(function(field)
-                            {
-                                const fieldStats = index.getIndexStatistics()[field];
-                                if (fieldStats.reduction > self.options.minimumReduction)
-                                {
-                                    possibleFieldsToEliminate += 1;
-                                }
-                            });
-
-                            // If there are no fields to eliminate, then we return the index as-is
-                            if (possibleFieldsToEliminate === 0)
-                            {
-                                return;
-                            }
-
-                            // Otherwise, lets choose which field to eliminate
-                            // First, lets see what the lowest amount of reduction
-                            let reductionValue = index.getIndexStatistics()[underscore.max(fieldsToExamine, function(field)
-                            {
-                                return index.getIndexStatistics()[field].reduction;
-                            })];
-
-                            // Now go through the list of fields and determine the
-                            // last field which has this exact value
-                            let fieldToEliminate = null;
-                            fieldsToExamine.forEach(function(field)
-                            {
-                                if (index.getIndexStatistics()[field] === reductionValue)
-                                {
-                                    cont = true;
-                                    fieldToEliminate = field
-                                }
-                            });
+                if (neededIndex.supersetCount === 0)
+                {
+                    indexCount += 1;
+                }
+                neededIndexes.set(neededIndex.key, neededIndex);
+            }
 
-                            // Remove this field from the index
-                            if (fieldToEliminate)
-                            {
-                                if (self.options.verbose)
-                                {
-                                    console.log(`    Removing field ${fieldToEliminate}`);
-                                }
-                                index.removeField(fieldToEliminate);
-                            }
-                        });
+            function removeNeededIndex(candidate)
+            {
+                const neededIndex = neededIndexes.get(candidate.key);
+                neededIndex.entryCount -= 1;
+                if (neededIndex.entryCount > 0)
+                {
+                    return;
+                }
 
-                        // Now after we have removed all those fields from all those indexes, we do another index reduction
-                        self.reduceIndexes(queryProfiles);
+                neededIndexes.delete(neededIndex.key);
+                if (neededIndex.supersetCount === 0)
+                {
+                    indexCount -= 1;
+                }
 
-                        return next(null);
-                    });
-                },
-                function (err)
+                neededIndexes.forEach(function(otherNeededIndex)
                 {
-                    if (err)
+                    if (isKeyPrefixOf(otherNeededIndex, neededIndex))
                     {
-                        return next(err);
+                        otherNeededIndex.supersetCount -= 1;
+                        if (otherNeededIndex.supersetCount === 0)
+                        {
+                            indexCount += 1;
+                        }
                     }
+                });
+            }
 
-                    return next(null);
+            // Each of the indexes of each query profile is reordered on its own. The orders that have been tried
+            // for an entry are kept, along with the order that lines it up with each other index, so that they only
+            // have to be worked out once
+            const entries = [];
+            collectionQueryProfiles.forEach(function(queryProfile)
+            {
+                queryProfile.reducedIndexes.forEach(function(index)
+                {
+                    entries.push({
+                        queryProfile: queryProfile,
+                        originalIndex: index,
+                        groups: getReorderableFieldGroups(queryProfile, index),
+                        candidates: {},
+                        alignedCandidates: new Map(),
+                        candidate: null
+                    });
                 });
-            }, function (err)
+            });
+
+            function getCandidate(entry, fields)
             {
-                if (err)
+                const key = fields.join(",");
+                if (!entry.candidates[key])
                 {
-                    return callback(err);
+                    const index = key === Object.keys(entry.originalIndex).join(",") ? entry.originalIndex : new MongoIndex(underscore.object(underscore.map(fields, (field) => [field, entry.originalIndex[field]])), namespace, null, entry.originalIndex.indexOptions);
+                    entry.candidates[key] = underscore.extend(getIndexKeys(index), {
+                        index: index,
+                        outOfOrderFields: countOutOfOrderFields(fields, Object.keys(entry.originalIndex)),
+                        canUseFixedIndex: underscore.any(collectionFixedIndexes, (fixedIndex) => (index.isSameAs(fixedIndex) || index.isIndexPrefixOf(fixedIndex))
+                            && self.canQueryProfileUseFixedIndex(entry.queryProfile, fixedIndex))
+                    });
                 }
 
-                // Combine all of the index sets together
-                const allIndexes = underscore.uniq(underscore.flatten(underscore.map(queryProfiles, (queryProfile) => queryProfile.reducedIndexes)));
+                return entry.candidates[key];
+            }
 
-                if (self.options.indexExtension)
+            function setCandidate(entry, candidate)
+            {
+                if (entry.candidate)
                 {
-                    // Now, finally, we get to the real meaty part - index extension! This is where we go back
-                    // over the indexes that we have previously pruned and recombined, and see if there are any
-                    // fields that we can add to the index to make it more specific
-                    allIndexes.forEach(function (index)
+                    outOfOrderFields -= entry.candidate.outOfOrderFields;
+                    if (!entry.candidate.canUseFixedIndex)
                     {
-                        let cont = true;
-                        let indexQueryProfiles = index.knownQueryProfiles;
-                        while (cont)
-                        {
-                            cont = false;
+                        removeNeededIndex(entry.candidate);
+                    }
+                }
 
-                            // Keep track of votes for each extension field
-                            const extensionFieldVotes = {};
-                            const extensionFieldQueryProfiles = {};
+                entry.candidate = candidate;
+                outOfOrderFields += candidate.outOfOrderFields;
+                if (!candidate.canUseFixedIndex)
+                {
+                    addNeededIndex(candidate);
+                }
+            }
 
-                            // Now look at each query profile associated with that index
-                            indexQueryProfiles.forEach(function (queryProfile)
-                            {
-                                // Determine which fields from this query profile are eligible
-                                // Start with only exact match and range fields which aren't
-                                // already in the index
-                                let eligibleExtensionFields = underscore.filter(queryProfile.exact.concat(queryProfile.range), (field) => Object.keys(index).indexOf(field) == -1);
-
-                                // Now we look at the field statistics to see if these fields are even able to be included -
-                                // no hashed or array fields
-                                eligibleExtensionFields = underscore.filter(eligibleExtensionFields, function (field)
-                                {
-                                    const statistics = queryProfile.indexFieldStatistics[field];
-                                    if (statistics.arrayPrefixes.length > 0)
-                                    {
-                                        return false;
-                                    }
-
-                                    if (statistics.mode === 'hash')
-                                    {
-                                        return false;
-                                    }
-
-                                    return true;
-                                });
+            // The number of indexes left after prefix reduction, along with how far the indexes are from their
+            // cardinality order, to break ties
+            function isBetterScore(score, otherScore)
+            {
+                return score.indexCount < otherScore.indexCount || (score.indexCount === otherScore.indexCount && score.outOfOrderFields < otherScore.outOfOrderFields);
+            }
 
-                                eligibleExtensionFields.forEach(function (field)
-                                {
-                                    // Now for each eligible extension field, we increase the votes
-                                    if (!extensionFieldVotes[field])
-                                    {
-                                        extensionFieldVotes[field] = queryProfile.usageCount;
-                                        extensionFieldQueryProfiles[field] = [queryProfile];
-                                    }
-                                    else
-                                    {
-                                        extensionFieldVotes[field] += queryProfile.usageCount;
-                                        extensionFieldQueryProfiles[field].push(queryProfile);
-                                    }
-                                });
-                            });
+            entries.forEach((entry) => setCandidate(entry, getCandidate(entry, Object.keys(entry.originalIndex))));
 
-                            if (Object.keys(extensionFieldVotes).length === 0)
-                            {
-                                cont = false;
-                            }
-                            else
-                            {
-                                // Now we take the extension field which has the most votes
-                                let fieldToAdd = underscore.max(Object.keys(extensionFieldVotes), (field) => extensionFieldVotes[field]);
-                                if (fieldToAdd)
-                                {
-                                    index.addField(fieldToAdd);
-                                    indexQueryProfiles = extensionFieldQueryProfiles[fieldToAdd];
-                                    cont = true;
-                                }
-                                else
-                                {
-                                    cont = false;
-                                }
-                            }
-                        }
-                    });
-                }
+            let bestScore = {indexCount: indexCount, outOfOrderFields: outOfOrderFields};
+            let rounds = 0;
+            let changed = true;
+            while (changed && rounds < maximumRounds)
+            {
+                changed = false;
+                rounds += 1;
 
-                const groupedQueryProfiles = underscore.groupBy(queryProfiles, (queryProfile) => queryProfile.collectionName);
+                // Every order is lined up with the distinct indexes of the entries, since entries with the same index
+                // would give the same orders
+                const entryIndexes = new Map();
+                entries.forEach((entry) => entryIndexes.set(entry.candidate.key, entry.candidate.index));
+                const targetIndexes = Array.from(entryIndexes.values()).concat(collectionFixedIndexes);
 
-                // For each collection, we get the index statistics for that collections recommended indexes
-                async.eachSeries(Object.keys(groupedQueryProfiles), function(collectionName, next)
+                let bestChange = null;
+                entries.forEach(function(entry)
                 {
-                    const collectionQueryProfiles = groupedQueryProfiles[collectionName];
-
-                    // Get all of the reduced indexes for every query profile, flatten it and take out dupes
-                    const collectionIndexes = underscore.uniq(underscore.flatten(underscore.map(collectionQueryProfiles, (queryProfile) => queryProfile.reducedIndexes)));
-                    let indexSet = new IndexSet(collectionIndexes);
+                    if (!entry.groups)
+                    {
+                        return;
+                    }
 
-                    // Get the index statistics from the sampler
-                    self.sampler.getIndexStatistics(indexSet, function (err, statistics)
+                    const candidates = new Set();
+                    targetIndexes.forEach(function(targetIndex)
                     {
-                        if (err)
+                        if (!entry.alignedCandidates.has(targetIndex))
                         {
-                            return next(err);
+                            const targetFields = Object.keys(targetIndex);
+                            entry.alignedCandidates.set(targetIndex, getCandidate(entry, underscore.flatten(underscore.map(entry.groups, (group) => orderFieldsLike(group, targetFields)), true)));
                         }
-                        else
+
+                        candidates.add(entry.alignedCandidates.get(targetIndex));
+                    });
+                    candidates.add(getCandidate(entry, Object.keys(entry.originalIndex)));
+
+                    const currentCandidate = entry.candidate;
+                    candidates.forEach(function(candidate)
+                    {
+                        if (candidate === currentCandidate)
                         {
-                            indexSet.indexes.forEach(function (index)
-                            {
-                                let stats = underscore.findWhere(statistics, {index: index});
-                                index.setIndexStatistics(stats.statistics.fieldStatistics);
-                            });
+                            return;
+                        }
 
-                            return next();
+                        setCandidate(entry, candidate);
+                        const score = {indexCount: indexCount, outOfOrderFields: outOfOrderFields};
+                        if (isBetterScore(score, bestChange ? bestChange.score : bestScore))
+                        {
+                            bestChange = {entry: entry, candidate: candidate, score: score};
                         }
                     });
-                }, function(err)
-                {
-                    if (err)
+
+                    setCandidate(entry, currentCandidate);
+                });
+
+                if (bestChange)
+                {
+                    changed = true;
+                    setCandidate(bestChange.entry, bestChange.candidate);
+                    bestScore = bestChange.score;
+                }
+            }
+
+            entries.forEach(function(entry)
+            {
+                if (self.options.verbose && entry.candidate.index !== entry.originalIndex)
+                {
+                    console.log(`Reordered the fields of ${JSON.stringify(entry.originalIndex)} to ${JSON.stringify(entry.candidate.index)} so that it can be folded into another index`);
+                }
+            });
+
+            collectionQueryProfiles.forEach(function(queryProfile)
+            {
+                queryProfile.reducedIndexes = underscore.map(underscore.where(entries, {queryProfile: queryProfile}), (entry) => entry.candidate.index);
+            });
+        });
+    }
+
+
+    /**
+     * A field which is an exact match in some queries and a range match in others sits in a different place in
+     * their indexes, since exact match fields come before the sort and range fields. For example, {a: 1, b: 5} needs
+     * the index {a: 1, b: 1, c: 1} when c is sorted on, while {a: 1, b: {$gt: 5}} needs {a: 1, c: 1, b: 1}. The
+     * queries with the exact match can still use the second index, they just lose the narrowing that the field
+     * would have done before the fields that follow it.
+     *
+     * This method finds a pair of indexes on the collection which only differ in where such a field sits, and moves
+     * the query profiles using the index with the exact match over to the index with the range match. The loss is
+     * estimated from the index statistics, as the fraction of the index entries which the field eliminates in the
+     * index with the exact match. The indexes are only merged when this is no more than the exactRangeMergeThreshold
+     * option, and indexes which already exist by hand are never merged away.
+     *
+     * This must be called after the index statistics have been obtained for all of the indexes on the collection.
+     * Only one pair of indexes is merged each time, so that QuerySet.reduceIndexes can be run in between.
+     *
+     * @param { [QueryProfile] } queryProfiles The list of query profiles on the collection
+     * @param { [MongoIndex] } fixedIndexes The list of existing indexes which were made by hand
+     * @returns {boolean} True if a pair of indexes was merged
+     */
+    mergeExactAndRangeIndexes(queryProfiles, fixedIndexes)
+    {
+        const self = this;
+        const threshold = Number(self.options.exactRangeMergeThreshold);
+        if (threshold < 0)
+        {
+            return false;
+        }
+
+        const indexes = underscore.uniq(underscore.flatten(underscore.map(queryProfiles, (queryProfile) => queryProfile.reducedIndexes)));
+        let merge = null;
+        indexes.forEach(function(exactIndex)
+        {
+            if (merge || fixedIndexes.indexOf(exactIndex) !== -1 || !exactIndex.getIndexStatistics())
+            {
+                return;
+            }
+
+            indexes.forEach(function(rangeIndex)
+            {
+                if (merge || rangeIndex === exactIndex || rangeIndex.mongoNamespace !== exactIndex.mongoNamespace || !rangeIndex.hasSameQueryOptionsAs(exactIndex))
+                {
+                    return;
+                }
+
+                const field = getMovedField(exactIndex, rangeIndex);
+                if (!field || !exactIndex.getIndexStatistics()[field]
+                    || !underscore.all(exactIndex.knownQueryProfiles, (queryProfile) => queryProfile.exact.indexOf(field) !== -1)
+                    || !underscore.any(rangeIndex.knownQueryProfiles, (queryProfile) => queryProfile.range.indexOf(field) !== -1))
+                {
+                    return;
+                }
+
+                const loss = 1 - exactIndex.getIndexStatistics()[field].reduction;
+                if (loss <= threshold)
+                {
+                    merge = {exactIndex: exactIndex, rangeIndex: rangeIndex, field: field, loss: loss};
+                }
+            });
+        });
+
+        if (!merge)
+        {
+            return false;
+        }
+
+        if (self.options.verbose)
+        {
+            console.log(`    Merging ${JSON.stringify(merge.exactIndex)} into ${JSON.stringify(merge.rangeIndex)}, treating ${merge.field} as a range match, with an estimated loss of ${(merge.loss * 100).toFixed(2)}%`);
+        }
+
+        queryProfiles.forEach(function(queryProfile)
+        {
+            if (queryProfile.reducedIndexes.indexOf(merge.exactIndex) !== -1)
+            {
+                queryProfile.reducedIndexes = underscore.uniq(underscore.map(queryProfile.reducedIndexes, (index) => index === merge.exactIndex ? merge.rangeIndex : index));
+            }
+        });
+
+        return true;
+    }
+
+
+    /**
+     * Determines whether a query profile can be answered with an existing index that was made by hand. A sparse
+     * index leaves out documents that have none of its fields, so Mongo will only use it for queries that filter on
+     * at least one of those fields. This assumes that those filters don't match null values.
+     *
+     * @param { QueryProfile } queryProfile The query profile
+     * @param { MongoIndex } fixedIndex The existing index
+     * @returns { boolean } True if the query profile can use the index
+     */
+    canQueryProfileUseFixedIndex(queryProfile, fixedIndex)
+    {
+        if (fixedIndex.sparse)
+        {
+            return underscore.intersection(queryProfile.exact.concat(queryProfile.range), Object.keys(fixedIndex)).length > 0;
+        }
+
+        return true;
+    }
+
+
+    /**
+     * Mongo only allows one text index on each collection, so this method merges together the text indexes for all
+     * of the text search query profiles on each collection. The merged text index is led by the exact match fields
+     * that every one of those query profiles has, since Mongo requires an equality condition on each of them in
+     * order to use the index.
+     *
+     * Each query profile then has the merged text index set as its only reduced index.
+     *
+     * @param { [QueryProfile] } textQueryProfiles The list of query profiles which perform text searches
+     * @returns { [MongoIndex] } The list of merged text indexes, one for each collection
+     */
+    mergeTextIndexes(textQueryProfiles)
+    {
+        const groupedQueryProfiles = underscore.groupBy(textQueryProfiles, (queryProfile) => queryProfile.namespace);
+
+        return underscore.map(Object.keys(groupedQueryProfiles), function(namespace)
+        {
+            const collectionQueryProfiles = groupedQueryProfiles[namespace];
+
+            // Take the prefix fields from the first text index, in order, and keep the ones shared by all of the others
+            const prefixFieldLists = underscore.map(collectionQueryProfiles, (queryProfile) => underscore.filter(Object.keys(queryProfile.optimizedIndexes[0]), (field) => queryProfile.optimizedIndexes[0][field] !== 'text'));
+            const prefixFields = underscore.intersection.apply(underscore, prefixFieldLists);
+
+            const index = {};
+            prefixFields.forEach((field) => index[field] = 1);
+            index["$**"] = "text";
+            const textIndex = new MongoIndex(index, namespace, null);
+
+            collectionQueryProfiles.forEach(function(queryProfile)
+            {
+                queryProfile.reducedIndexes = [textIndex];
+                textIndex.addKnownQueryProfile(queryProfile);
+            });
+
+            return textIndex;
+        });
+    }
+
+
+    /**
+     * Geospatial query profiles can only use a geospatial index, so they are kept apart from the reduction of regular
+     * indexes. This method takes the distinct geospatial indexes for those query profiles, removes any which are
+     * prefixes of another on the same collection, and sets the remaining ones as the reduced indexes of each
+     * query profile.
+     *
+     * @param { [QueryProfile] } geoQueryProfiles The list of query profiles which use geospatial operators
+     * @returns { [MongoIndex] } The list of geospatial indexes
+     */
+    mergeGeoIndexes(geoQueryProfiles)
+    {
+        let geoIndexes = [];
+        geoQueryProfiles.forEach(function(queryProfile)
+        {
+            const index = queryProfile.optimizedIndexes[0];
+            if (!underscore.any(geoIndexes, (geoIndex) => geoIndex.mongoNamespace === index.mongoNamespace && geoIndex.isSameAs(index)))
+            {
+                geoIndexes.push(index);
+            }
+        });
+
+        geoIndexes = underscore.filter(geoIndexes, (index) => !underscore.any(geoIndexes, (otherIndex) => otherIndex.mongoNamespace === index.mongoNamespace && index.isIndexPrefixOf(otherIndex)));
+
+        geoQueryProfiles.forEach(function(queryProfile)
+        {
+            const optimizedIndex = queryProfile.optimizedIndexes[0];
+            queryProfile.reducedIndexes = underscore.filter(geoIndexes, (geoIndex) => geoIndex.mongoNamespace === optimizedIndex.mongoNamespace && (geoIndex.isSameAs(optimizedIndex) || optimizedIndex.isIndexPrefixOf(geoIndex)));
+            queryProfile.reducedIndexes.forEach((index) => index.addKnownQueryProfile(queryProfile));
+        });
+
+        return geoIndexes;
+    }
+
+
+    /**
+     * A query is covered when every field that it filters on, sorts on and returns is in the index, so that Mongo can
+     * answer it from the index alone without fetching any documents. This method goes over each index and appends
+     * the missing fields of the query profiles which use it, in order of their weight, so long as none of those fields
+     * are arrays or hashed and the estimated size of the fields added to the index stays within the
+     * coveredQueryMaximumKeySize option.
+     *
+     * @param { [MongoIndex] } indexes The list of indexes to extend
+     */
+    extendIndexesToCoverQueries(indexes)
+    {
+        const self = this;
+
+        indexes.forEach(function(index)
+        {
+            // Multikey indexes can never cover a query, and neither can hashed indexes or indexes with a collation,
+            // since they store hashes and collation keys rather then the original values
+            if (index.collation || underscore.any(Object.keys(index), (field) => index[field] === 'hashed'))
+            {
+                return;
+            }
+
+            const fieldStatistics = {};
+            index.knownQueryProfiles.forEach((queryProfile) => underscore.extend(fieldStatistics, queryProfile.indexFieldStatistics));
+
+            if (underscore.any(Object.keys(index), (field) => !fieldStatistics[field] || fieldStatistics[field].arrayPrefixes.length > 0))
+            {
+                return;
+            }
+
+            let addedKeySize = 0;
+            underscore.sortBy(index.knownQueryProfiles, (queryProfile) => -queryProfile.weight).forEach(function(queryProfile)
+            {
+                if (!queryProfile.projection || queryProfile.isCoveredByIndex(index))
+                {
+                    return;
+                }
+
+                const missingFields = underscore.difference(underscore.union(queryProfile.fields, queryProfile.projection), Object.keys(index));
+                const eligible = underscore.every(missingFields, function(field)
+                {
+                    const statistics = fieldStatistics[field];
+                    return statistics && statistics.arrayPrefixes.length === 0 && statistics.mode !== 'hash';
+                });
+
+                if (!eligible)
+                {
+                    return;
+                }
+
+                const keySize = underscore.reduce(missingFields, (size, field) => size + fieldStatistics[field].longest, 0);
+                if (addedKeySize + keySize > self.options.coveredQueryMaximumKeySize)
+                {
+                    return;
+                }
+
+                if (self.options.verbose && missingFields.length > 0)
+                {
+                    console.log(`    Adding fields ${missingFields.join(", ")} to ${JSON.stringify(index)} to cover ${queryProfile.toString()}`);
+                }
+
+                addedKeySize += keySize;
+                missingFields.forEach((field) => index.addField(field));
+            });
+        });
+    }
+
+
+    /**
+     * Every index has to be kept up to date as documents are written, so an index on a collection that is written to
+     * far more then it is read from can cost more then it saves. This method works out the trade-off for each index,
+     * and stores it on the index. See MongoIndex.setWriteCost
+     *
+     * The read benefit of an index is the total weight of the query profiles that use it, see QueryProfile.weight. The
+     * write cost is the estimated number of changes made to the index by the recorded writes, see
+     * WriteStatistics.getIndexWrites, multiplied by the writeCostFactor option. When the writeCostFactor is above 0,
+     * the recommended indexes whose write cost is more then their read benefit are left out, until enough queries
+     * have been seen to make them worthwhile. Manual indexes are never left out.
+     *
+     * @param { [MongoIndex] } indexes The recommended indexes
+     * @param { [MongoIndex] } existingIndexes The indexes which already exist
+     * @returns {object} An object like {indexes: [MongoIndex], uncoveredQueryProfiles: [object]} with the indexes that are
+     *                   worth their write cost, and the query profiles left without an index, like
+     *                   {queryProfile, index, reason: "writeCost"}
+     */
+    applyWriteCosts(indexes, existingIndexes)
+    {
+        const self = this;
+        const writeCostFactor = Number(self.options.writeCostFactor);
+        const manualIndexes = underscore.filter(existingIndexes, (index) => index.mongoIndexName.indexOf('auto_') != 0);
+
+        const deferredIndexes = [];
+        indexes.forEach(function(index)
+        {
+            const indexWrites = self.writeStatistics.getIndexWrites(index);
+            if (!indexWrites)
+            {
+                index.setWriteCost(null);
+                return;
+            }
+
+            const writeCost = underscore.extend({}, indexWrites, {
+                cost: indexWrites.indexWrites * writeCostFactor,
+                benefit: index.weight
+            });
+            index.setWriteCost(writeCost);
+
+            if (writeCostFactor > 0 && writeCost.cost > writeCost.benefit && !isManualIndex(index, manualIndexes))
+            {
+                deferredIndexes.push(index);
+            }
+        });
+
+        const keptIndexes = underscore.difference(indexes, deferredIndexes);
+
+        // A query profile still has an index if any of the indexes that it can use was kept
+        const uncoveredQueryProfiles = [];
+        deferredIndexes.forEach(function(index)
+        {
+            index.knownQueryProfiles.forEach(function(queryProfile)
+            {
+                if (!underscore.any(keptIndexes, (keptIndex) => keptIndex.knownQueryProfiles.indexOf(queryProfile) !== -1) && !underscore.findWhere(uncoveredQueryProfiles, {queryProfile: queryProfile}))
+                {
+                    uncoveredQueryProfiles.push({queryProfile: queryProfile, index: index, reason: "writeCost"});
+                }
+            });
+        });
+
+        return {indexes: keptIndexes, uncoveredQueryProfiles: uncoveredQueryProfiles};
+    }
+
+
+    /**
+     * The index budget limits how many indexes each collection, and all of the collections together, may have, along
+     * with their total estimated size. The limits are set with the maximumIndexesPerCollection, maximumIndexes,
+     * maximumIndexSizePerCollection and maximumIndexSize options, where -1 means no limit. The existing manual
+     * indexes count towards the budget, since they are never dropped, but the _id index does not.
+     *
+     * When the recommended indexes don't fit, they are chosen one at a time, each time taking the index that would
+     * serve the greatest total weight of query profiles which don't have an index yet. Indexes which can't fit, or
+     * which wouldn't serve any query profile that isn't already served, are left out.
+     *
+     * @param { [MongoIndex] } indexes The recommended indexes
+     * @param { [MongoIndex] } existingIndexes The indexes which already exist
+     * @param {function(err, indexes, uncoveredQueryProfiles)} callback A callback which receives the indexes that fit
+     *                                                                 within the budget, and the query profiles left
+     *                                                                 without an index, like {queryProfile, index, reason: "budget"}
+     */
+    applyIndexBudget(indexes, existingIndexes, callback)
+    {
+        const self = this;
+        const maximumIndexesPerCollection = Number(self.options.maximumIndexesPerCollection);
+        const maximumIndexes = Number(self.options.maximumIndexes);
+        const maximumIndexSizePerCollection = Number(self.options.maximumIndexSizePerCollection);
+        const maximumIndexSize = Number(self.options.maximumIndexSize);
+
+        if (maximumIndexesPerCollection === -1 && maximumIndexes === -1 && maximumIndexSizePerCollection === -1 && maximumIndexSize === -1)
+        {
+            return callback(null, indexes, []);
+        }
+
+        const manualIndexes = underscore.filter(existingIndexes, (index) => index.mongoIndexName.indexOf('auto_') != 0);
+
+        // A recommended index that is the same as a manual index takes up no extra room, since the manual index is kept anyways
+        const freeIndexes = underscore.filter(indexes, (index) => isManualIndex(index, manualIndexes));
+        let candidateIndexes = underscore.difference(indexes, freeIndexes);
+        const namespaces = underscore.uniq(underscore.map(indexes.concat(manualIndexes), (index) => index.mongoNamespace));
+
+        async.mapSeries(namespaces, (namespace, next) => self.sampler.getCollectionStatistics(namespace, next), function(err, allCollectionStatistics)
+        {
+            if (err)
+            {
+                return callback(err);
+            }
+
+            // Indexes on collections whose number of documents isn't known yet count as taking up no room
+            const collectionStatistics = underscore.object(namespaces, allCollectionStatistics);
+            function getIndexSize(index)
+            {
+                return collectionStatistics[index.mongoNamespace].estimateIndexSize(index) || 0;
+            }
+
+            const collectionUsage = {};
+            namespaces.forEach((namespace) => collectionUsage[namespace] = {count: 0, size: 0});
+            const totalUsage = {count: 0, size: 0};
+            function addIndex(index)
+            {
+                const size = getIndexSize(index);
+                collectionUsage[index.mongoNamespace].count += 1;
+                collectionUsage[index.mongoNamespace].size += size;
+                totalUsage.count += 1;
+                totalUsage.size += size;
+            }
+
+            function doesIndexFit(index)
+            {
+                const size = getIndexSize(index);
+                const usage = collectionUsage[index.mongoNamespace];
+                return (maximumIndexesPerCollection === -1 || usage.count + 1 <= maximumIndexesPerCollection)
+                    && (maximumIndexes === -1 || totalUsage.count + 1 <= maximumIndexes)
+                    && (maximumIndexSizePerCollection === -1 || usage.size + size <= maximumIndexSizePerCollection)
+                    && (maximumIndexSize === -1 || totalUsage.size + size <= maximumIndexSize);
+            }
+
+            manualIndexes.forEach(addIndex);
+
+            const coveredQueryProfiles = new Set();
+            freeIndexes.forEach((index) => index.knownQueryProfiles.forEach((queryProfile) => coveredQueryProfiles.add(queryProfile)));
+
+            const selectedIndexes = freeIndexes.slice();
+            let cont = true;
+            while (cont)
+            {
+                let bestIndex = null;
+                let bestWeight = 0;
+                let bestCount = 0;
+                candidateIndexes.forEach(function(index)
+                {
+                    if (!doesIndexFit(index))
+                    {
+                        return;
+                    }
+
+                    const newQueryProfiles = underscore.filter(index.knownQueryProfiles, (queryProfile) => !coveredQueryProfiles.has(queryProfile));
+                    const weight = underscore.reduce(newQueryProfiles, (total, queryProfile) => total + queryProfile.weight, 0);
+                    if (newQueryProfiles.length > 0 && (!bestIndex || weight > bestWeight || (weight === bestWeight && newQueryProfiles.length > bestCount)))
+                    {
+                        bestIndex = index;
+                        bestWeight = weight;
+                        bestCount = newQueryProfiles.length;
+                    }
+                });
+
+                if (bestIndex)
+                {
+                    addIndex(bestIndex);
+                    selectedIndexes.push(bestIndex);
+                    bestIndex.knownQueryProfiles.forEach((queryProfile) => coveredQueryProfiles.add(queryProfile));
+                    candidateIndexes = underscore.without(candidateIndexes, bestIndex);
+                }
+                else
+                {
+                    cont = false;
+                }
+            }
+
+            // Each query profile that was left out is reported along with the heaviest index that it would have used
+            const uncoveredQueryProfiles = [];
+            candidateIndexes.forEach(function(index)
+            {
+                index.knownQueryProfiles.forEach(function(queryProfile)
+                {
+                    if (!coveredQueryProfiles.has(queryProfile) && !underscore.findWhere(uncoveredQueryProfiles, {queryProfile: queryProfile}))
+                    {
+                        const neededIndex = underscore.max(underscore.filter(candidateIndexes, (candidateIndex) => candidateIndex.knownQueryProfiles.indexOf(queryProfile) !== -1), (candidateIndex) => candidateIndex.weight);
+                        uncoveredQueryProfiles.push({queryProfile: queryProfile, index: neededIndex, reason: "budget"});
+                    }
+                });
+            });
+
+            return callback(null, underscore.filter(indexes, (index) => selectedIndexes.indexOf(index) !== -1), uncoveredQueryProfiles);
+        });
+    }
+
+
+    /**
+     * Samples each collection for the statistics of its reduced indexes, and eliminates the fields which don't narrow
+     * down the results by more then the minimumReduction option. Sort fields are never eliminated, and neither are
+     * the last fields of indexes. Once the indexes stop changing, the indexes which only differ because a field is an
+     * exact match in some queries and a range match in others are merged, see QuerySet.mergeExactAndRangeIndexes
+     *
+     * This is run by the statisticalSimplification optimization component.
+     *
+     * @param { [QueryProfile] } queryProfiles The list of query profiles whose reduced indexes should be simplified
+     * @param { [MongoIndex] } fixedIndexes The list of existing indexes which were made by hand
+     * @param {function(err)} callback A callback after the indexes have been simplified
+     */
+    simplifyIndexes(queryProfiles, fixedIndexes, callback)
+    {
+        const self = this;
+        const groupedQueryProfiles = underscore.groupBy(queryProfiles, (queryProfile) => queryProfile.namespace);
+
+        // For each collection, we get the index statistics for that collections recommended indexes
+        async.mapSeries(Object.keys(groupedQueryProfiles), function(namespace, next)
+        {
+            const collectionQueryProfiles = groupedQueryProfiles[namespace];
+
+            let cont = true;
+            async.whilst(function()
+            {
+                return cont;
+            }, function(next)
+            {
+                // Get all of the reduced indexes for every query profile, flatten it and take out dupes
+                const collectionIndexes = underscore.uniq(underscore.flatten(underscore.map(collectionQueryProfiles, (queryProfile) => queryProfile.reducedIndexes)));
+                let indexSet = new IndexSet(collectionIndexes);
+
+                // Get the index statistics from the sampler
+                self.sampler.getIndexStatistics(indexSet, function(err, statistics)
+                {
+                    if (err)
+                    {
+                        return next(err);
+                    }
+
+                    indexSet.indexes.forEach(function(index)
+                    {
+                        let stats = underscore.findWhere(statistics, {index: index});
+                        index.setIndexStatistics(stats.statistics.fieldStatistics);
+                    });
+
+                    // Now, for each index, we eliminate the field with the lowest reduction rate.
+                    // If the index has no fields that reduce less then 50%, then we do nothing
+                    // If there are multiple fields with the same lowest reduction rate,
+                    // we eliminate the right most field
+                    cont = false;
+
+                    if (self.options.verbose)
+                    {
+                        console.log("Statistics obtained, starting simplification pass:");
+                    }
+
+                    indexSet.indexes.forEach(function(index)
+                    {
+                        if (self.options.verbose)
+                        {
+                            index.printIndexData("    ", false);
+                        }
+
+                        // If there is only one field in the index, don't do anything. Do not eliminate this last field.
+                        // Existing indexes are never changed either
+                        if (Object.keys(index).length === 1 || fixedIndexes.indexOf(index) !== -1)
+                        {
+                            return;
+                        }
+
+                        // Get all of the known sort fields for the query profiles on this
+                        // index. Sort fields can not be eliminated
+                        const sortFields = underscore.uniq(underscore.flatten(underscore.map(index.knownQueryProfiles, (queryProfile) => Object.keys(queryProfile.sort))));
+
+                        // Create a list of fields to examine
+                        const fieldsToExamine = underscore.difference(Object.keys(index), sortFields);
+
+                        // First determine if we do anything at all.
+                        let possibleFieldsToEliminate = 0;
+
+                        fieldsToExamine.forEach(function(field)
+                        {
+                            const fieldStats = index.getIndexStatistics()[field];
+                            if (fieldStats.reduction > self.options.minimumReduction)
+                            {
+                                possibleFieldsToEliminate += 1;
+                            }
+                        });
+
+                        // If there are no fields to eliminate, then we return the index as-is
+                        if (possibleFieldsToEliminate === 0)
+                        {
+                            return;
+                        }
+
+                        // Otherwise, lets choose which field to eliminate
+                        // First, lets see what the lowest amount of reduction
+                        let reductionValue = index.getIndexStatistics()[underscore.max(fieldsToExamine, function(field)
+                        {
+                            return index.getIndexStatistics()[field].reduction;
+                        })];
+
+                        // Now go through the list of fields and determine the
+                        // last field which has this exact value
+                        let fieldToEliminate = null;
+                        fieldsToExamine.forEach(function(field)
+                        {
+                            if (index.getIndexStatistics()[field] === reductionValue)
+                            {
+                                cont = true;
+                                fieldToEliminate = field
+                            }
+                        });
+
+                        // Remove this field from the index
+                        if (fieldToEliminate)
+                        {
+                            if (self.options.verbose)
+                            {
+                                console.log(`    Removing field ${fieldToEliminate}`);
+                            }
+                            index.removeField(fieldToEliminate);
+                        }
+                    });
+
+                    // Now after we have removed all those fields from all those indexes, we do another index reduction
+                    self.reduceIndexes(queryProfiles, fixedIndexes, self.pipeline.isEnabled('prefixReduction'));
+
+                    return next(null);
+                });
+            },
+            function (err)
+            {
+                if (err)
+                {
+                    return next(err);
+                }
+
+                // Now that every index has its statistics, merge the indexes which only differ because a field is
+                // an exact match in some queries and a range match in others
+                while (self.mergeExactAndRangeIndexes(collectionQueryProfiles, fixedIndexes))
+                {
+                    self.reduceIndexes(queryProfiles, fixedIndexes, self.pipeline.isEnabled('prefixReduction'));
+                }
+
+                return next(null);
+            });
+        }, callback);
+    }
+
+
+    /**
+     * This is where we go back over the indexes that we have previously pruned and recombined, and see if there are
+     * any fields that we can add to the index to make it more specific. The query profiles using each index vote for
+     * the fields they have which aren't in it, weighted by the weight of the query profile, and the field with the most
+     * votes is added, until there are no more fields left to vote for.
+     *
+     * This is run by the indexExtension optimization component.
+     *
+     * @param { [MongoIndex] } indexes The list of new indexes to extend, which are changed in place
+     */
+    extendIndexes(indexes)
+    {
+        indexes.forEach(function (index)
+        {
+            let cont = true;
+            let indexQueryProfiles = index.knownQueryProfiles;
+            while (cont)
+            {
+                cont = false;
+
+                // Keep track of votes for each extension field
+                const extensionFieldVotes = {};
+                const extensionFieldQueryProfiles = {};
+
+                // Now look at each query profile associated with that index
+                indexQueryProfiles.forEach(function (queryProfile)
+                {
+                    // Determine which fields from this query profile are eligible
+                    // Start with only exact match and range fields which aren't
+                    // already in the index
+                    let eligibleExtensionFields = underscore.filter(queryProfile.exact.concat(queryProfile.range), (field) => Object.keys(index).indexOf(field) == -1);
+
+                    // Fields which are in the partialFilterExpression already have the same value for every document in the index
+                    if (index.partialFilterExpression)
+                    {
+                        eligibleExtensionFields = underscore.difference(eligibleExtensionFields, Object.keys(index.partialFilterExpression));
+                    }
+
+                    // Now we look at the field statistics to see if these fields are even able to be included -
+                    // no hashed or array fields
+                    eligibleExtensionFields = underscore.filter(eligibleExtensionFields, function (field)
+                    {
+                        const statistics = queryProfile.indexFieldStatistics[field];
+                        if (statistics.arrayPrefixes.length > 0)
+                        {
+                            return false;
+                        }
+
+                        if (statistics.mode === 'hash')
+                        {
+                            return false;
+                        }
+
+                        return true;
+                    });
+
+                    eligibleExtensionFields.forEach(function (field)
+                    {
+                        // Now for each eligible extension field, we increase the votes
+                        if (underscore.isUndefined(extensionFieldVotes[field]))
+                        {
+                            extensionFieldVotes[field] = queryProfile.weight;
+                            extensionFieldQueryProfiles[field] = [queryProfile];
+                        }
+                        else
+                        {
+                            extensionFieldVotes[field] += queryProfile.weight;
+                            extensionFieldQueryProfiles[field].push(queryProfile);
+                        }
+                    });
+                });
+
+                if (Object.keys(extensionFieldVotes).length === 0)
+                {
+                    cont = false;
+                }
+                else
+                {
+                    // Now we take the extension field which has the most votes
+                    let fieldToAdd = underscore.max(Object.keys(extensionFieldVotes), (field) => extensionFieldVotes[field]);
+                    if (fieldToAdd)
+                    {
+                        index.addField(fieldToAdd);
+                        indexQueryProfiles = extensionFieldQueryProfiles[fieldToAdd];
+                        cont = true;
+                    }
+                    else
+                    {
+                        cont = false;
+                    }
+                }
+            }
+        });
+    }
+
+
+    /**
+     * This method computes the optimal IndexSet for this set of queries.
+     *
+     * The indexes are reduced and extended by the reduction and extension stages of the optimization pipeline, so
+     * which optimizations are done, and in what order, depends on the enabled optimization components. See
+     * OptimizationPipeline
+     *
+     * Existing indexes that were made by hand, e.g. whose names don't start with "auto_", are reused for any query
+     * profile that they can serve, instead of recommending a new index. They are included in the resulting IndexSet
+     * if any query profile uses them.
+     *
+     * Indexes which cost more to keep up to date then they save are left out, and if there is an index budget, the
+     * resulting IndexSet only has the indexes that fit within it. The IndexSet lists the query profiles that were left
+     * without an index. See QuerySet.applyWriteCosts and QuerySet.applyIndexBudget
+     *
+     * @param {IndexSet} existingIndexSet The indexes that currently exist in the database. Can be null if they aren't known
+     * @param {function(err)} callback The callback which will return with the optimal set of
+     *                                 queries
+     */
+    computeOptimalIndexSet(existingIndexSet, callback)
+    {
+        const self = this;
+
+        // Text and geospatial indexes are only used by their own kinds of queries, which are handled separately
+        const fixedIndexes = underscore.filter(existingIndexSet ? existingIndexSet.indexes : [], (index) => index.mongoIndexName.indexOf('auto_') != 0 && !index.isTextIndex && !index.isGeoIndex && !index.hidden);
+        fixedIndexes.forEach((index) => index.resetKnownQueryProfiles());
+
+        // Filter for only query profiles that meet the minimum usage count, and the minimum weight when they are weighted by cost
+        const allQueryProfiles = underscore.filter(self.queryProfiles, (queryProfile) => queryProfile.usageCount >= self.options.minimumQueryCount && (self.options.weighting === 'count' || queryProfile.weight >= self.options.minimumWeight));
+
+        // Text searches and geospatial queries can only use their own special indexes, so they are kept apart from the
+        // optimizations for regular indexes
+        const queryProfiles = underscore.filter(allQueryProfiles, (queryProfile) => !queryProfile.text && !queryProfile.geo);
+        const textQueryProfiles = underscore.filter(allQueryProfiles, (queryProfile) => queryProfile.text);
+        const geoQueryProfiles = underscore.filter(allQueryProfiles, (queryProfile) => !queryProfile.text && queryProfile.geo);
+
+        // First, we go through all of our query profiles, and get them their cardinality and add their
+        // indexes to the list
+        async.eachSeries(allQueryProfiles, function (queryProfile, next)
+        {
+            queryProfile.resetIndexes();
+            queryProfile.getCardinalitiesForIndexOptimization(self.sampler, function (err)
+            {
+                if (err)
+                {
+                    return next(err);
+                }
+
+                return next();
+            });
+        },
+        function(err)
+        {
+            if (err)
+            {
+                return callback(err);
+            }
+
+            // Run the reduction stage of the optimization pipeline, to merge the identical indexes and eliminate
+            // unnecessary indexes
+            self.pipeline.runAsyncStage('reduction', {querySet: self, queryProfiles: queryProfiles, fixedIndexes: fixedIndexes}, function (err)
+            {
+                if (err)
+                {
+                    return callback(err);
+                }
+
+                // Combine all of the index sets together
+                const allIndexes = underscore.uniq(underscore.flatten(underscore.map(queryProfiles, (queryProfile) => queryProfile.reducedIndexes)));
+                const textIndexes = self.mergeTextIndexes(textQueryProfiles);
+                const geoIndexes = self.mergeGeoIndexes(geoQueryProfiles);
+                const newIndexes = underscore.difference(allIndexes, fixedIndexes);
+
+                // Now, finally, we get to the real meaty part - the extension stage, where fields are added back onto
+                // the new indexes
+                self.pipeline.runAsyncStage('extension', {querySet: self, queryProfiles: queryProfiles, fixedIndexes: fixedIndexes, indexes: newIndexes}, function (err)
+                {
+                    if (err)
                     {
                         return callback(err);
                     }
 
+                    const groupedQueryProfiles = underscore.groupBy(queryProfiles, (queryProfile) => queryProfile.namespace);
+
+                    // For each collection, we get the index statistics for that collections recommended indexes
+                    async.eachSeries(Object.keys(groupedQueryProfiles), function(namespace, next)
+                    {
+                        const collectionQueryProfiles = groupedQueryProfiles[namespace];
+
+                        // Get all of the reduced indexes for every query profile, flatten it and take out dupes
+                        const collectionIndexes = underscore.uniq(underscore.flatten(underscore.map(collectionQueryProfiles, (queryProfile) => queryProfile.reducedIndexes)));
+                        let indexSet = new IndexSet(collectionIndexes);
+
+                        // Get the index statistics from the sampler
+                        self.sampler.getIndexStatistics(indexSet, function (err, statistics)
+                        {
+                            if (err)
+                            {
+                                return next(err);
+                            }
+                            else
+                            {
+                                indexSet.indexes.forEach(function (index)
+                                {
+                                    let stats = underscore.findWhere(statistics, {index: index});
+                                    index.setIndexStatistics(stats.statistics.fieldStatistics);
+                                });
+
+                                return next();
+                            }
+                        });
+                    }, function(err)
+                    {
+                        if (err)
+                        {
+                            return callback(err);
+                        }
 
-                    // Create a new index set
-                    const allIndexSet = new IndexSet(allIndexes);
+                        // Leave out the indexes that cost more to keep up to date then they save, and then trim the rest down
+                        // to the index budget, if there is one
+                        const existingIndexes = existingIndexSet ? existingIndexSet.indexes : [];
+                        const worthwhileIndexes = self.applyWriteCosts(allIndexes.concat(textIndexes).concat(geoIndexes), existingIndexes);
+                        self.applyIndexBudget(worthwhileIndexes.indexes, existingIndexes, function(err, budgetIndexes, uncoveredQueryProfiles)
+                        {
+                            if (err)
+                            {
+                                return callback(err);
+                            }
 
-                    // Return an index set with all of the indexes
-                    return callback(null, allIndexSet);
+                            // Create a new index set
+                            const allIndexSet = new IndexSet(budgetIndexes, worthwhileIndexes.uncoveredQueryProfiles.concat(uncoveredQueryProfiles));
+
+                            // Return an index set with all of the indexes
+                            return callback(null, allIndexSet);
+                        });
+                    });
                 });
             });
         });
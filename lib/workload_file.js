@@ -0,0 +1,253 @@
+"use strict";
+
+const fs = require("fs"),
+    path = require("path"),
+    readline = require("readline"),
+    underscore = require("underscore");
+
+/**
+ * The name of the format, which is stored in every workload file so that other files can be recognized.
+ */
+const workloadFormat = "mongo-dynamic-indexer-workload";
+
+/**
+ * The version of the workload file format. This should be incremented whenever the contents of the file change in
+ * a way that older versions of the dynamic indexer would not be able to understand.
+ */
+const workloadFormatVersion = 2;
+
+/**
+ * WorkloadFile is responsible for writing the captured state of the dynamic indexer, its query profiles and
+ * sampling statistics, to a portable file and reading it back again. This allows the workload captured in one
+ * environment to be analyzed against the data in another.
+ *
+ * Files ending in .ndjson or .jsonl are written as newline delimited JSON, with a header line followed by one line
+ * for each query profile, collection statistics and index statistics object, and one line for the write statistics. This is easy to process with line
+ * based tools. All other files are written as a single JSON object in the following form:
+ *
+ * {
+ *      format: "mongo-dynamic-indexer-workload",
+ *      version: 2,
+ *      exportTime: "2017-01-01T00:00:00.000Z",
+ *      querySet: {the result of QuerySet::toJSON},
+ *      sampler: {the result of MongoSampler::toJSON}
+ * }
+ */
+class WorkloadFile
+{
+    /**
+     * Writes the workload to a file.
+     *
+     * @param {string} fileName The name of the file to write
+     * @param {QuerySet} querySet The query set to write
+     * @param {MongoSampler} sampler The sampler whose statistics should be written
+     * @param {function(err)} done A callback after the file has been written
+     */
+    static write(fileName, querySet, sampler, done)
+    {
+        const header = {
+            format: workloadFormat,
+            version: workloadFormatVersion,
+            exportTime: new Date().toISOString()
+        };
+
+        const querySetData = querySet.toJSON();
+        const samplerData = sampler.toJSON();
+
+        let contents;
+        if (WorkloadFile.isNewlineDelimited(fileName))
+        {
+            const lines = [JSON.stringify(header)];
+            querySetData.queryProfiles.forEach((queryProfile) => lines.push(JSON.stringify({type: "queryProfile", data: queryProfile})));
+            lines.push(JSON.stringify({type: "writeStatistics", data: querySetData.writeStatistics}));
+            underscore.each(samplerData.collectionStatistics, (statistics, key) => lines.push(JSON.stringify({type: "collectionStatistics", key: key, data: statistics})));
+            underscore.each(samplerData.indexStatistics, (statistics, key) => lines.push(JSON.stringify({type: "indexStatistics", key: key, data: statistics})));
+            contents = lines.join("\n") + "\n";
+        }
+        else
+        {
+            contents = JSON.stringify(underscore.extend(header, {querySet: querySetData, sampler: samplerData}), null, 2);
+        }
+
+        fs.writeFile(fileName, contents, "utf8", done);
+    }
+
+
+    /**
+     * Reads a workload file that was written by WorkloadFile.write
+     *
+     * @param {string} fileName The name of the file to read
+     * @param {function(err, workload)} done A callback which will receive the workload, in the form
+     *                                       {querySet: Object, sampler: Object}. These can be given directly to the
+     *                                       QuerySet and MongoSampler constructors.
+     */
+    static read(fileName, done)
+    {
+        if (WorkloadFile.isNewlineDelimited(fileName))
+        {
+            return WorkloadFile.readNewlineDelimited(fileName, done);
+        }
+
+        fs.readFile(fileName, "utf8", function(err, contents)
+        {
+            if (err)
+            {
+                return done(err);
+            }
+
+            let data = null;
+            try
+            {
+                data = JSON.parse(contents);
+            }
+            catch(err)
+            {
+                return done(new Error(`Unable to parse the workload file ${fileName}: ${err.message}`));
+            }
+
+            const headerError = WorkloadFile.checkHeader(fileName, data);
+            if (headerError)
+            {
+                return done(headerError);
+            }
+
+            return done(null, {
+                querySet: data.querySet || {queryProfiles: []},
+                sampler: data.sampler || {}
+            });
+        });
+    }
+
+
+    /**
+     * Reads a newline delimited workload file.
+     *
+     * @param {string} fileName The name of the file to read
+     * @param {function(err, workload)} done A callback which will receive the workload, in the same form as WorkloadFile.read
+     */
+    static readNewlineDelimited(fileName, done)
+    {
+        const workload = {
+            querySet: {queryProfiles: [], writeStatistics: null},
+            sampler: {collectionStatistics: {}, indexStatistics: {}}
+        };
+
+        let lineNumber = 0;
+        let error = null;
+        let finished = false;
+        const stream = fs.createReadStream(fileName);
+        const reader = readline.createInterface({input: stream});
+
+        // A read error is reported by both the file and readline, which may or may not close afterwards, so this
+        // makes sure that the callback is only called once
+        function finish(err)
+        {
+            if (finished)
+            {
+                return;
+            }
+
+            finished = true;
+            reader.close();
+            if (err)
+            {
+                return done(err);
+            }
+
+            return done(null, workload);
+        }
+
+        stream.on('error', finish);
+        reader.on('error', finish);
+        reader.on('line', function(line)
+        {
+            lineNumber += 1;
+            if (error || line.trim().length === 0)
+            {
+                return;
+            }
+
+            let entry = null;
+            try
+            {
+                entry = JSON.parse(line);
+            }
+            catch(err)
+            {
+                error = new Error(`Unable to parse line ${lineNumber} of the workload file ${fileName}: ${err.message}`);
+                return;
+            }
+
+            if (lineNumber === 1)
+            {
+                error = WorkloadFile.checkHeader(fileName, entry);
+            }
+            else if (entry.type === 'queryProfile')
+            {
+                workload.querySet.queryProfiles.push(entry.data);
+            }
+            else if (entry.type === 'writeStatistics')
+            {
+                workload.querySet.writeStatistics = entry.data;
+            }
+            else if (entry.type === 'collectionStatistics')
+            {
+                workload.sampler.collectionStatistics[entry.key] = entry.data;
+            }
+            else if (entry.type === 'indexStatistics')
+            {
+                workload.sampler.indexStatistics[entry.key] = entry.data;
+            }
+            else
+            {
+                error = new Error(`Unrecognized entry type ${entry.type} on line ${lineNumber} of the workload file ${fileName}`);
+            }
+        });
+
+        reader.on('close', function()
+        {
+            if (!error && lineNumber === 0)
+            {
+                error = new Error(`The workload file ${fileName} is empty`);
+            }
+
+            return finish(error);
+        });
+    }
+
+
+    /**
+     * Checks that the header of a workload file is one that we understand.
+     *
+     * @param {string} fileName The name of the file, used for the error message
+     * @param {object} header The header object from the file
+     * @returns {Error} An error if the header isn't valid, null otherwise
+     */
+    static checkHeader(fileName, header)
+    {
+        if (!header || header.format !== workloadFormat)
+        {
+            return new Error(`The file ${fileName} is not a workload file exported by the dynamic indexer`);
+        }
+
+        if (header.version > workloadFormatVersion)
+        {
+            return new Error(`The workload file ${fileName} has version ${header.version}, but this version of the dynamic indexer only understands up to version ${workloadFormatVersion}. Please upgrade.`);
+        }
+
+        return null;
+    }
+
+
+    /**
+     * @param {string} fileName The name of the file
+     * @returns {boolean} True if the file should be in the newline delimited format, based on its extension
+     */
+    static isNewlineDelimited(fileName)
+    {
+        const extension = path.extname(fileName).toLowerCase();
+        return extension === '.ndjson' || extension === '.jsonl';
+    }
+}
+
+module.exports = WorkloadFile;
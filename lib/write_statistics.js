@@ -0,0 +1,219 @@
+"use strict";
+
+const underscore = require("underscore");
+
+/**
+ * This class keeps count of the writes made to each collection, so that the cost of keeping an index up to date can
+ * be weighed against the queries that it makes faster. Every insert and remove has to change every index on the
+ * collection, while an update only has to change the indexes that contain one of the fields that it modifies.
+ */
+class WriteStatistics
+{
+    /**
+     * Constructs a WriteStatistics object from its serialized, pure JSON form, which looks like the following:
+     *
+     * {
+     *      collections: [
+     *          {
+     *              namespace: "dbName.collectionName",
+     *              inserts: Number,
+     *              updates: Number,
+     *              removes: Number,
+     *              replacements: Number,
+     *              updatedFields: [{field: "name", count: Number}],
+     *              since: "Date in ISO8601 format"
+     *          }
+     *      ]
+     * }
+     *
+     * The replacements are the updates which replaced whole documents, or whose changes aren't known, and so could
+     * change any of the fields. These are included in the count of updates.
+     *
+     * @param {object} [data] The JSON object. Can be null to start with no writes
+     */
+    constructor(data)
+    {
+        const self = this;
+        self.collections = underscore.map((data && data.collections) || [], (entry) => ({
+            namespace: entry.namespace,
+            inserts: entry.inserts,
+            updates: entry.updates,
+            removes: entry.removes,
+            replacements: entry.replacements,
+            updatedFields: underscore.map(entry.updatedFields, (updatedField) => ({field: updatedField.field, count: updatedField.count})),
+            since: new Date(entry.since)
+        }));
+    }
+
+
+    /**
+     * Records a write made to a collection.
+     *
+     * @param {string} namespace The namespace of the collection, like "dbName.collectionName"
+     * @param {string} operation One of "insert", "update" or "remove"
+     * @param {object} [update] For updates, the update document or pipeline. If it isn't known, the update is counted
+     *                          as a replacement, which could change any of the fields
+     * @param {number} [count] The number of documents which were written. Defaults to 1
+     */
+    recordWrite(namespace, operation, update, count)
+    {
+        const self = this;
+        if (!underscore.isNumber(count))
+        {
+            count = 1;
+        }
+
+        let entry = underscore.findWhere(self.collections, {namespace: namespace});
+        if (!entry)
+        {
+            entry = {
+                namespace: namespace,
+                inserts: 0,
+                updates: 0,
+                removes: 0,
+                replacements: 0,
+                updatedFields: [],
+                since: new Date()
+            };
+            self.collections.push(entry);
+        }
+
+        if (operation === 'insert')
+        {
+            entry.inserts += count;
+        }
+        else if (operation === 'remove')
+        {
+            entry.removes += count;
+        }
+        else if (operation === 'update')
+        {
+            entry.updates += count;
+
+            const updatedFields = WriteStatistics.getUpdatedFields(update);
+            if (updatedFields === null)
+            {
+                entry.replacements += count;
+            }
+            else
+            {
+                updatedFields.forEach(function(field)
+                {
+                    let updatedField = underscore.findWhere(entry.updatedFields, {field: field});
+                    if (!updatedField)
+                    {
+                        updatedField = {field: field, count: 0};
+                        entry.updatedFields.push(updatedField);
+                    }
+
+                    updatedField.count += count;
+                });
+            }
+        }
+    }
+
+
+    /**
+     * Estimates how many times an index has had to be changed because of the writes to its collection. An insert or a
+     * remove adds or removes one entry, while an update to one of the indexed fields has to both remove the old entry
+     * and add the new one.
+     *
+     * @param {MongoIndex} index The index
+     * @returns {object} An object like {inserts: Number, updates: Number, removes: Number, indexWrites: Number, since: Date},
+     *                   where updates is the number of updates which changed one of the indexed fields. Returns null
+     *                   if no writes have been recorded for the collection.
+     */
+    getIndexWrites(index)
+    {
+        const self = this;
+        const entry = underscore.findWhere(self.collections, {namespace: index.mongoNamespace});
+        if (!entry)
+        {
+            return null;
+        }
+
+        // An update to "address" changes the index field "address.city", and an update to "address.city" changes the
+        // index field "address"
+        const indexFields = Object.keys(index);
+        const touchedFields = underscore.filter(entry.updatedFields, (updatedField) => underscore.any(indexFields, (indexField) =>
+            updatedField.field === indexField || indexField.indexOf(`${updatedField.field}.`) === 0 || updatedField.field.indexOf(`${indexField}.`) === 0));
+
+        // Only the number of updates to each field is known, so an update which changes several of the indexed fields
+        // is counted once for each of them. This is limited to the total number of updates
+        const fieldUpdates = underscore.reduce(touchedFields, (total, updatedField) => total + updatedField.count, 0);
+        const updates = Math.min(entry.updates, entry.replacements + fieldUpdates);
+
+        return {
+            inserts: entry.inserts,
+            updates: updates,
+            removes: entry.removes,
+            indexWrites: entry.inserts + entry.removes + updates * 2,
+            since: entry.since
+        };
+    }
+
+
+    /**
+     * Finds the fields that are changed by an update.
+     *
+     * @param {object} update The update document, like {$set: {name: "test"}}, or an update pipeline
+     * @returns { [string] } The list of fields that are changed, or null if the update replaces the whole document or
+     *                       the changed fields can't be determined
+     */
+    static getUpdatedFields(update)
+    {
+        if (!underscore.isObject(update) || underscore.isArray(update))
+        {
+            return null;
+        }
+
+        const operators = Object.keys(update);
+        if (operators.length === 0 || underscore.any(operators, (operator) => operator[0] !== '$'))
+        {
+            return null;
+        }
+
+        const fields = [];
+        operators.forEach(function(operator)
+        {
+            underscore.each(update[operator], function(value, field)
+            {
+                fields.push(field);
+
+                // $rename changes the field that is renamed to as well
+                if (operator === '$rename' && underscore.isString(value))
+                {
+                    fields.push(value);
+                }
+            });
+        });
+
+        // Positional operators and array positions, like "items.$.price" or "items.0.price", change the same
+        // index field as "items.price"
+        return underscore.uniq(underscore.map(fields, (field) => underscore.filter(field.split("."), (part) => part[0] !== '$' && !/^\d+$/.test(part)).join(".")));
+    }
+
+
+    /**
+     * Converts the write statistics into a JSON form that can be saved in the Mongo database.
+     *
+     * @returns {object} A JSON serializable form of this WriteStatistics object.
+     */
+    toJSON()
+    {
+        const self = this;
+        return {
+            collections: underscore.map(self.collections, (entry) => ({
+                namespace: entry.namespace,
+                inserts: entry.inserts,
+                updates: entry.updates,
+                removes: entry.removes,
+                replacements: entry.replacements,
+                updatedFields: entry.updatedFields,
+                since: entry.since.toISOString()
+            }))
+        };
+    }
+}
+
+module.exports = WriteStatistics;
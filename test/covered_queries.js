@@ -0,0 +1,195 @@
+"use strict";
+
+const assert = require('assert'),
+    helpers = require('./helpers'),
+    QueryProfile = require('../lib/query_profile');
+
+describe('Covered queries', function()
+{
+    describe('QueryProfile.projection', function()
+    {
+        const options = helpers.createOptions();
+
+        function getProjection(projection)
+        {
+            return QueryProfile.createQueryProfilesFromMongoQuery("db.users", {email: "bob@example.com"}, {}, options, null, projection)[0].projection;
+        }
+
+        it('should list the fields returned by an inclusion projection, along with _id', function()
+        {
+            assert.deepStrictEqual(getProjection({name: 1, plan: true}), ['name', 'plan', '_id']);
+            assert.deepStrictEqual(getProjection({name: 1, _id: 1}), ['name', '_id']);
+        });
+
+        it('should leave out _id when it is excluded', function()
+        {
+            assert.deepStrictEqual(getProjection({name: 1, _id: 0}), ['name']);
+        });
+
+        it('should only list _id when nothing else is included', function()
+        {
+            assert.deepStrictEqual(getProjection({_id: 1}), ['_id']);
+        });
+
+        it('should not be coverable when whole documents are returned', function()
+        {
+            assert.strictEqual(getProjection(null), false);
+            assert.strictEqual(getProjection({}), false);
+            assert.strictEqual(getProjection({_id: 0}), false);
+            assert.strictEqual(getProjection({password: 0}), false);
+        });
+
+        it('should not be coverable when inclusion and exclusion are mixed', function()
+        {
+            assert.strictEqual(getProjection({name: 1, password: 0}), false);
+        });
+
+        it('should not be coverable with projection operators', function()
+        {
+            assert.strictEqual(getProjection({name: 1, comments: {$slice: 5}}), false);
+            assert.strictEqual(getProjection({name: 1, tags: {$elemMatch: {$eq: "new"}}}), false);
+            assert.strictEqual(getProjection({"tags.$": 1}), false);
+            assert.strictEqual(getProjection({score: {$meta: "textScore"}}), false);
+            assert.strictEqual(getProjection({total: "$price"}), false);
+        });
+    });
+
+    describe('QueryProfile.mergeProjection', function()
+    {
+        function createQueryProfile(projection)
+        {
+            return new QueryProfile({namespace: "db.users", exact: ['email'], sort: {}, range: [], projection: projection}, helpers.createOptions());
+        }
+
+        it('should take the fields of the other instance when the fields are not known yet', function()
+        {
+            const queryProfile = createQueryProfile(undefined);
+            assert.strictEqual(queryProfile.projection, null);
+            queryProfile.mergeProjection(['name', '_id']);
+            assert.deepStrictEqual(queryProfile.projection, ['name', '_id']);
+        });
+
+        it('should keep its own fields when the fields of the other instance are not known', function()
+        {
+            const queryProfile = createQueryProfile(['name', '_id']);
+            queryProfile.mergeProjection(null);
+            assert.deepStrictEqual(queryProfile.projection, ['name', '_id']);
+        });
+
+        it('should combine the fields of both instances', function()
+        {
+            const queryProfile = createQueryProfile(['name', '_id']);
+            queryProfile.mergeProjection(['plan', '_id']);
+            assert.deepStrictEqual(queryProfile.projection, ['name', '_id', 'plan']);
+        });
+
+        it('should not be coverable once either instance returned whole documents', function()
+        {
+            const queryProfile = createQueryProfile(['name', '_id']);
+            queryProfile.mergeProjection(false);
+            assert.strictEqual(queryProfile.projection, false);
+            queryProfile.mergeProjection(['name', '_id']);
+            assert.strictEqual(queryProfile.projection, false);
+        });
+    });
+
+    describe('QuerySet.extendIndexesToCoverQueries', function()
+    {
+        const fields = {email: 1000, name: 500, plan: 20, tags: {cardinality: 50, arrayPrefixes: ['tags']}, _id: 1000};
+
+        function computeIndexes(options, queryRecords, done)
+        {
+            helpers.createQuerySet(helpers.createSampler(fields), helpers.createOptions(options), queryRecords, function(err, querySet)
+            {
+                assert.ifError(err);
+                querySet.computeOptimalIndexSet(null, function(err, indexSet)
+                {
+                    assert.ifError(err);
+                    return done(querySet, indexSet);
+                });
+            });
+        }
+
+        it('should add the projected fields to the index so that the query is covered', function(done)
+        {
+            computeIndexes({coveredQueries: true}, [{filter: {email: "bob@example.com"}, projection: {name: 1, plan: 1, _id: 0}}], function(querySet, indexSet)
+            {
+                assert.deepStrictEqual(helpers.getIndexKeys(indexSet), [{email: 1, name: 1, plan: 1}]);
+                assert.ok(querySet.queryProfiles[0].isCoveredByIndex(indexSet.indexes[0]));
+                done();
+            });
+        });
+
+        it('should add the _id field when the projection does not exclude it', function(done)
+        {
+            computeIndexes({coveredQueries: true}, [{filter: {email: "bob@example.com"}, projection: {name: 1}}], function(querySet, indexSet)
+            {
+                assert.deepStrictEqual(helpers.getIndexKeys(indexSet), [{email: 1, name: 1, _id: 1}]);
+                assert.ok(querySet.queryProfiles[0].isCoveredByIndex(indexSet.indexes[0]));
+                done();
+            });
+        });
+
+        it('should not change the indexes unless covered queries are enabled', function(done)
+        {
+            computeIndexes({coveredQueries: false}, [{filter: {email: "bob@example.com"}, projection: {name: 1, _id: 0}}], function(querySet, indexSet)
+            {
+                assert.deepStrictEqual(helpers.getIndexKeys(indexSet), [{email: 1}]);
+                assert.ok(!querySet.queryProfiles[0].isCoveredByIndex(indexSet.indexes[0]));
+                done();
+            });
+        });
+
+        [
+            {reason: 'return part of an array', projection: {name: 1, comments: {$slice: 5}}},
+            {reason: 'return an array field', projection: {tags: 1, _id: 0}},
+            {reason: 'return a field that was not sampled', projection: {address: 1, _id: 0}}
+        ].forEach(function(test)
+        {
+            it(`should not extend the index for queries that ${test.reason}`, function(done)
+            {
+                computeIndexes({coveredQueries: true}, [{filter: {email: "bob@example.com"}, projection: test.projection}], function(querySet, indexSet)
+                {
+                    assert.deepStrictEqual(helpers.getIndexKeys(indexSet), [{email: 1}]);
+                    assert.ok(!querySet.queryProfiles[0].isCoveredByIndex(indexSet.indexes[0]));
+                    done();
+                });
+            });
+        });
+
+        it('should not extend an index on an array field', function(done)
+        {
+            computeIndexes({coveredQueries: true}, [{filter: {tags: "new"}, projection: {name: 1, _id: 0}}], function(querySet, indexSet)
+            {
+                assert.deepStrictEqual(helpers.getIndexKeys(indexSet), [{tags: 1}]);
+                done();
+            });
+        });
+
+        it('should stop covering queries once the added fields would be over the maximum key size', function(done)
+        {
+            computeIndexes({coveredQueryMaximumKeySize: 15, coveredQueries: true}, [
+                {filter: {email: "bob@example.com"}, sort: {plan: 1}, projection: {name: 1, _id: 0}},
+                {filter: {email: "alice@example.com"}, sort: {plan: 1}, projection: {name: 1, _id: 0}},
+                {filter: {email: "carol@example.com"}, projection: {_id: 1}}
+            ], function(querySet, indexSet)
+            {
+                // Both queries use the same index, and are missing 10 bytes of fields, so only the more frequent one
+                // fits within 15 bytes
+                assert.deepStrictEqual(helpers.getIndexKeys(indexSet), [{email: 1, plan: 1, name: 1}]);
+                assert.ok(querySet.queryProfiles[0].isCoveredByIndex(indexSet.indexes[0]));
+                assert.ok(!querySet.queryProfiles[1].isCoveredByIndex(indexSet.indexes[0]));
+                done();
+            });
+        });
+
+        it('should not cover a query whose fields are over the maximum key size on their own', function(done)
+        {
+            computeIndexes({coveredQueryMaximumKeySize: 15, coveredQueries: true}, [{filter: {email: "bob@example.com"}, projection: {name: 1, plan: 1, _id: 0}}], function(querySet, indexSet)
+            {
+                assert.deepStrictEqual(helpers.getIndexKeys(indexSet), [{email: 1}]);
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,82 @@
+"use strict";
+
+const assert = require('assert'),
+    helpers = require('./helpers'),
+    IndexSet = require('../lib/index_set'),
+    MongoIndex = require('../lib/mongo_index'),
+    underscore = require('underscore');
+
+describe('QuerySet.mergeExactAndRangeIndexes', function()
+{
+    // b only removes 20% of the index entries when it is an exact match
+    const sampler = helpers.createSampler({a: 1000, b: 1000, c: 1000, d: 1000}, {b: 0.8});
+
+    const queryRecords = [
+        {filter: {a: 1, b: 5}, sort: {c: 1}},
+        {filter: {a: 1, b: {$gt: 5}}, sort: {c: 1}}
+    ];
+
+    function computeIndexes(options, queryRecords, existingIndexes, done)
+    {
+        // The statistical simplification would take b out of the index with the exact match on its own
+        helpers.createQuerySet(sampler, helpers.createOptions(underscore.extend({minimumReduction: 1}, options)), queryRecords, function(err, querySet)
+        {
+            assert.ifError(err);
+            querySet.computeOptimalIndexSet(existingIndexes ? new IndexSet(existingIndexes) : null, function(err, indexSet)
+            {
+                assert.ifError(err);
+                return done(indexSet.indexes.map((index) => JSON.stringify(index)).sort());
+            });
+        });
+    }
+
+    it('should keep both indexes when merging is disabled', function(done)
+    {
+        computeIndexes({}, queryRecords, null, function(indexes)
+        {
+            assert.deepStrictEqual(indexes, ['{"a":1,"b":1,"c":1}', '{"a":1,"c":1,"b":1}']);
+            done();
+        });
+    });
+
+    it('should merge the index with the exact match into the index with the range match when the loss is under the threshold', function(done)
+    {
+        computeIndexes({exactRangeMergeThreshold: 0.3}, queryRecords, null, function(indexes)
+        {
+            assert.deepStrictEqual(indexes, ['{"a":1,"c":1,"b":1}']);
+            done();
+        });
+    });
+
+    it('should not merge the indexes when the loss is over the threshold', function(done)
+    {
+        computeIndexes({exactRangeMergeThreshold: 0.1}, queryRecords, null, function(indexes)
+        {
+            assert.deepStrictEqual(indexes, ['{"a":1,"b":1,"c":1}', '{"a":1,"c":1,"b":1}']);
+            done();
+        });
+    });
+
+    it('should not merge indexes that differ in more than where the field sits', function(done)
+    {
+        const otherQueryRecords = [
+            {filter: {a: 1, b: 5, d: 2}, sort: {c: 1}},
+            {filter: {a: 1, b: {$gt: 5}}, sort: {c: 1}}
+        ];
+        computeIndexes({exactRangeMergeThreshold: 0.3}, otherQueryRecords, null, function(indexes)
+        {
+            assert.strictEqual(indexes.length, 2);
+            done();
+        });
+    });
+
+    it('should never merge away an existing manual index', function(done)
+    {
+        const existingIndexes = [new MongoIndex({a: 1, b: 1, c: 1}, "db.users", "a_1_b_1_c_1")];
+        computeIndexes({exactRangeMergeThreshold: 0.3}, queryRecords, existingIndexes, function(indexes)
+        {
+            assert.deepStrictEqual(indexes, ['{"a":1,"b":1,"c":1}', '{"a":1,"c":1,"b":1}']);
+            done();
+        });
+    });
+});
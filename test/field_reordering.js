@@ -0,0 +1,55 @@
+"use strict";
+
+const assert = require('assert'),
+    helpers = require('./helpers');
+
+describe('QuerySet.reorderIndexFields', function()
+{
+    // a has a lower cardinality than b, so the exact match fields are sorted {b, a}
+    const sampler = helpers.createSampler({a: 5, b: 1000});
+
+    const queryRecords = [
+        {filter: {a: "ok"}},
+        {filter: {a: "ok", b: "test"}}
+    ];
+
+    function computeIndexes(options, done)
+    {
+        helpers.createQuerySet(sampler, helpers.createOptions(options), queryRecords, function(err, querySet)
+        {
+            assert.ifError(err);
+            querySet.computeOptimalIndexSet(null, function(err, indexSet)
+            {
+                assert.ifError(err);
+                return done(indexSet.indexes.map((index) => JSON.stringify(index)).sort());
+            });
+        });
+    }
+
+    it('should reorder the fields so that one index serves both queries', function(done)
+    {
+        computeIndexes({}, function(indexes)
+        {
+            assert.deepStrictEqual(indexes, ['{"a":1,"b":1}']);
+            done();
+        });
+    });
+
+    it('should keep the cardinality order when field reordering is disabled', function(done)
+    {
+        computeIndexes({fieldReordering: false}, function(indexes)
+        {
+            assert.deepStrictEqual(indexes, ['{"a":1}', '{"b":1,"a":1}']);
+            done();
+        });
+    });
+
+    it('should make no more changes then the fieldReorderingRounds option allows', function(done)
+    {
+        computeIndexes({fieldReorderingRounds: 0}, function(indexes)
+        {
+            assert.deepStrictEqual(indexes, ['{"a":1}', '{"b":1,"a":1}']);
+            done();
+        });
+    });
+});
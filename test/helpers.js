@@ -0,0 +1,126 @@
+"use strict";
+
+const async = require('async'),
+    CollectionStatistics = require('../lib/collection_statistics'),
+    IndexStatistics = require('../lib/index_statistics'),
+    QuerySet = require('../lib/query_set'),
+    underscore = require('underscore');
+
+/**
+ * Shared helpers for the tests. These stand in for the parts of the dynamic indexer that need a real Mongo database.
+ */
+
+/**
+ * Creates a program wide options object, with the same defaults as the command line.
+ *
+ * @param {object} [overrides] The options to change from their defaults
+ * @returns {object} The options
+ */
+function createOptions(overrides)
+{
+    return underscore.extend({
+        sampleSize: 100000,
+        minimumCardinality: 3,
+        minimumReduction: 0.7,
+        indexExtension: true,
+        smallInListSize: 3,
+        fieldReordering: true,
+        fieldReorderingRounds: 20,
+        exactRangeMergeThreshold: -1,
+        optimizationComponents: null,
+        optimizationPlugins: [],
+        partialIndexes: true,
+        partialIndexMinimumQueryCount: 100,
+        coveredQueries: false,
+        coveredQueryMaximumKeySize: 128,
+        longestIndexableValue: 500,
+        cardinalityUpdateInterval: 30,
+        recentQueriesOnlyDays: -1,
+        keepUsedIndexesDays: 7,
+        maximumIndexesPerCollection: -1,
+        maximumIndexes: -1,
+        maximumIndexSizePerCollection: -1,
+        maximumIndexSize: -1,
+        writeCostFactor: 0,
+        minimumQueryCount: 1,
+        weighting: "count",
+        minimumWeight: 1,
+        performanceReportSize: 10,
+        verbose: false
+    }, overrides);
+}
+
+/**
+ * Creates a stand-in for the MongoSampler, which returns fixed statistics instead of sampling the collections.
+ *
+ * @param {object} fields The statistics of each field, like {name: {cardinality: 100}}. The longest value defaults
+ *                        to 10 bytes, and the arrayPrefixes to none. A number is taken as the cardinality
+ * @param {object} [indexReductions] How much each field narrows down the results when it is added to an index, like
+ *                                   {name: 0.01}, as used by QuerySet.simplifyIndexes. Defaults to 0.1 for every field
+ * @param {number} [documentCount] The number of documents in each collection. Defaults to 1000
+ * @returns {object} The sampler
+ */
+function createSampler(fields, indexReductions, documentCount)
+{
+    const fieldStatistics = underscore.mapObject(fields, function(statistics)
+    {
+        statistics = underscore.isNumber(statistics) ? {cardinality: statistics} : statistics;
+        return underscore.extend({cardinality: 1000, longest: 10, arrayPrefixes: [], mode: 'normal'}, statistics);
+    });
+
+    return {
+        getCollectionStatistics: function(namespace, next)
+        {
+            return next(null, new CollectionStatistics({
+                fieldStatistics: fieldStatistics,
+                knownArrayPrefixes: underscore.uniq(underscore.flatten(underscore.pluck(underscore.values(fieldStatistics), 'arrayPrefixes'))),
+                documentCount: underscore.isUndefined(documentCount) ? 1000 : documentCount,
+                lastSampleTime: new Date()
+            }));
+        },
+        getIndexStatistics: function(indexSet, next)
+        {
+            return next(null, indexSet.indexes.map(function(index)
+            {
+                const statistics = underscore.object(Object.keys(index).map((field) => [field, {reduction: (indexReductions || {})[field] || 0.1}]));
+                return {index: index, statistics: new IndexStatistics({fieldStatistics: statistics, lastSampleTime: new Date()})};
+            }));
+        }
+    };
+}
+
+/**
+ * Creates a QuerySet and adds the given query records to it, as if they had been received by the ingestion server.
+ *
+ * @param {object} sampler The sampler, from createSampler
+ * @param {object} options The options, from createOptions
+ * @param { [object] } queryRecords The query records, see QuerySet.addQueryRecord. The namespace defaults to "db.users"
+ * @param {function(err, querySet)} done A callback with the QuerySet
+ */
+function createQuerySet(sampler, options, queryRecords, done)
+{
+    const querySet = new QuerySet(null, sampler, options);
+    async.eachSeries(queryRecords, function(queryRecord, next)
+    {
+        querySet.addQueryRecord(underscore.extend({namespace: "db.users"}, queryRecord), next);
+    }, function(err)
+    {
+        return done(err, querySet);
+    });
+}
+
+/**
+ * @param {IndexSet} indexSet The index set
+ * @returns { [object] } The plain keys of each index, sorted so that they can be compared
+ */
+function getIndexKeys(indexSet)
+{
+    return underscore.sortBy(indexSet.indexes.map((index) => underscore.extend({}, index)), (index) => JSON.stringify(index));
+}
+
+module.exports = {
+    createOptions: createOptions,
+    createSampler: createSampler,
+    createQuerySet: createQuerySet,
+    getIndexKeys: getIndexKeys
+};
@@ -0,0 +1,118 @@
+"use strict";
+
+const assert = require('assert'),
+    helpers = require('./helpers'),
+    IndexSet = require('../lib/index_set'),
+    MongoIndex = require('../lib/mongo_index'),
+    underscore = require('underscore');
+
+describe('QuerySet.applyIndexBudget', function()
+{
+    // Each of these indexes takes up 1000 * (10 + 16) = 26000 bytes
+    const sampler = helpers.createSampler({email: 1000, name: 1000, createdAt: 1000, plan: 1000});
+
+    const queryRecords = [
+        {filter: {email: "bob@example.com"}},
+        {filter: {email: "alice@example.com"}},
+        {filter: {email: "carol@example.com"}},
+        {filter: {name: "bob"}},
+        {filter: {name: "alice"}},
+        {filter: {createdAt: {$gt: new Date()}}}
+    ];
+
+    function computeIndexes(options, queryRecords, existingIndexes, done)
+    {
+        helpers.createQuerySet(sampler, helpers.createOptions(options), queryRecords, function(err, querySet)
+        {
+            assert.ifError(err);
+            querySet.computeOptimalIndexSet(existingIndexes ? new IndexSet(existingIndexes) : null, function(err, indexSet)
+            {
+                assert.ifError(err);
+                return done(indexSet);
+            });
+        });
+    }
+
+    function getUncovered(indexSet)
+    {
+        return underscore.sortBy(indexSet.uncoveredQueryProfiles.map((uncovered) => [JSON.stringify(uncovered.index), uncovered.reason]), (uncovered) => uncovered[0]);
+    }
+
+    it('should keep every index when there is no budget', function(done)
+    {
+        computeIndexes({}, queryRecords, null, function(indexSet)
+        {
+            assert.deepStrictEqual(helpers.getIndexKeys(indexSet), [{createdAt: 1}, {email: 1}, {name: 1}]);
+            assert.deepStrictEqual(indexSet.uncoveredQueryProfiles, []);
+            done();
+        });
+    });
+
+    it('should choose the indexes serving the most queries when there are too many', function(done)
+    {
+        computeIndexes({maximumIndexes: 2}, queryRecords, null, function(indexSet)
+        {
+            assert.deepStrictEqual(helpers.getIndexKeys(indexSet), [{email: 1}, {name: 1}]);
+            assert.deepStrictEqual(getUncovered(indexSet), [['{"createdAt":1}', "budget"]]);
+            done();
+        });
+    });
+
+    it('should choose the indexes serving the most costly queries when weighting by time', function(done)
+    {
+        const timedQueryRecords = queryRecords.map((queryRecord) => underscore.extend({durationMillis: queryRecord.filter.createdAt ? 1000 : 1}, queryRecord));
+        computeIndexes({maximumIndexes: 1, weighting: "time"}, timedQueryRecords, null, function(indexSet)
+        {
+            assert.deepStrictEqual(helpers.getIndexKeys(indexSet), [{createdAt: 1}]);
+            done();
+        });
+    });
+
+    it('should limit the total size of the indexes', function(done)
+    {
+        computeIndexes({maximumIndexSize: 60000}, queryRecords, null, function(indexSet)
+        {
+            assert.deepStrictEqual(helpers.getIndexKeys(indexSet), [{email: 1}, {name: 1}]);
+            done();
+        });
+    });
+
+    it('should apply the per collection limits to each collection separately', function(done)
+    {
+        const otherQueryRecords = queryRecords.concat([
+            {namespace: "db.orders", filter: {plan: "free"}},
+            {namespace: "db.orders", filter: {createdAt: {$gt: new Date()}}},
+            {namespace: "db.orders", filter: {createdAt: {$lt: new Date()}}}
+        ]);
+        computeIndexes({maximumIndexesPerCollection: 1, maximumIndexSizePerCollection: 30000}, otherQueryRecords, null, function(indexSet)
+        {
+            const indexes = indexSet.indexes.map((index) => [index.mongoNamespace, JSON.stringify(index)]);
+            assert.deepStrictEqual(underscore.sortBy(indexes, (index) => index[0]), [["db.orders", '{"createdAt":1}'], ["db.users", '{"email":1}']]);
+            done();
+        });
+    });
+
+    it('should count the existing manual indexes towards the budget, but not the automatic ones', function(done)
+    {
+        const existingIndexes = [
+            new MongoIndex({plan: 1}, "db.users", "plan_1"),
+            new MongoIndex({createdAt: 1}, "db.users", "auto_createdAt")
+        ];
+        computeIndexes({maximumIndexesPerCollection: 2}, queryRecords, existingIndexes, function(indexSet)
+        {
+            assert.deepStrictEqual(helpers.getIndexKeys(indexSet), [{email: 1}]);
+            done();
+        });
+    });
+
+    it('should not charge for recommended indexes that match an existing manual index', function(done)
+    {
+        const existingIndexes = [new MongoIndex({name: 1}, "db.users", "name_1")];
+        computeIndexes({maximumIndexesPerCollection: 2}, queryRecords, existingIndexes, function(indexSet)
+        {
+            assert.deepStrictEqual(helpers.getIndexKeys(indexSet), [{email: 1}, {name: 1}]);
+            assert.deepStrictEqual(getUncovered(indexSet), [['{"createdAt":1}', "budget"]]);
+            done();
+        });
+    });
+});
@@ -0,0 +1,106 @@
+"use strict";
+
+const assert = require('assert'),
+    IndexUsage = require('../lib/index_usage'),
+    MongoIndex = require('../lib/mongo_index');
+
+describe('IndexUsage', function()
+{
+    const dayMillis = 24 * 60 * 60 * 1000;
+    const restartTime = new Date(Date.now() - 30 * dayMillis);
+
+    function indexStat(name, ops, since)
+    {
+        return {name: name, accesses: {ops: ops, since: since || restartTime}};
+    }
+
+    it('should take the time the server started as the last use of an index that was already used when first polled', function()
+    {
+        const indexUsage = new IndexUsage(null);
+        indexUsage.recordIndexStats("db.users", "db1:27017", [indexStat("auto_a", 50), indexStat("auto_b", 0)]);
+
+        assert.deepStrictEqual(indexUsage.getUsage("db.users", "auto_a"), {accesses: 50, since: restartTime, lastAccessTime: restartTime});
+        assert.deepStrictEqual(indexUsage.getUsage("db.users", "auto_b"), {accesses: 0, since: restartTime, lastAccessTime: null});
+
+        // So an index that was used long ago isn't mistaken for one that was just used
+        const index = new MongoIndex({name: 1}, "db.users", "auto_a");
+        index.setIndexUsage(indexUsage.getUsage("db.users", "auto_a"));
+        assert.strictEqual(index.wasUsedWithinDays(7), false);
+        assert.strictEqual(index.wasUsedWithinDays(60), true);
+    });
+
+    it('should count an index as used when its count goes up between polls', function()
+    {
+        const indexUsage = new IndexUsage(null);
+        indexUsage.recordIndexStats("db.users", "db1:27017", [indexStat("auto_a", 50), indexStat("auto_b", 10)]);
+
+        const pollTime = Date.now();
+        indexUsage.recordIndexStats("db.users", "db1:27017", [indexStat("auto_a", 51), indexStat("auto_b", 10)]);
+
+        assert.ok(indexUsage.getUsage("db.users", "auto_a").lastAccessTime.getTime() >= pollTime);
+        assert.strictEqual(indexUsage.getUsage("db.users", "auto_a").accesses, 51);
+        assert.deepStrictEqual(indexUsage.getUsage("db.users", "auto_b").lastAccessTime, restartTime);
+
+        const index = new MongoIndex({name: 1}, "db.users", "auto_a");
+        index.setIndexUsage(indexUsage.getUsage("db.users", "auto_a"));
+        assert.strictEqual(index.wasUsedWithinDays(7), true);
+        assert.strictEqual(index.wasUsedWithinDays(-1), false);
+    });
+
+    it('should start counting again when the server restarts', function()
+    {
+        const indexUsage = new IndexUsage(null);
+        indexUsage.recordIndexStats("db.users", "db1:27017", [indexStat("auto_a", 50), indexStat("auto_b", 50)]);
+
+        // The counts after the restart are lower, but the first index has still been used since the last poll
+        const newRestartTime = new Date();
+        indexUsage.recordIndexStats("db.users", "db1:27017", [indexStat("auto_a", 3, newRestartTime), indexStat("auto_b", 0, newRestartTime)]);
+
+        const usedUsage = indexUsage.getUsage("db.users", "auto_a");
+        assert.strictEqual(usedUsage.accesses, 3);
+        assert.deepStrictEqual(usedUsage.since, newRestartTime);
+        assert.ok(usedUsage.lastAccessTime.getTime() >= newRestartTime.getTime());
+
+        const unusedUsage = indexUsage.getUsage("db.users", "auto_b");
+        assert.strictEqual(unusedUsage.accesses, 0);
+        assert.deepStrictEqual(unusedUsage.since, newRestartTime);
+        assert.deepStrictEqual(unusedUsage.lastAccessTime, restartTime);
+    });
+
+    it('should add up the usage from every server', function()
+    {
+        const laterRestartTime = new Date(restartTime.getTime() + dayMillis);
+        const indexUsage = new IndexUsage(null);
+        indexUsage.recordIndexStats("db.users", "db1:27017", [indexStat("auto_a", 50)]);
+        indexUsage.recordIndexStats("db.users", "db2:27017", [indexStat("auto_a", 0, laterRestartTime)]);
+        indexUsage.recordIndexStats("db.orders", "db1:27017", [indexStat("auto_a", 1000)]);
+
+        const pollTime = Date.now();
+        indexUsage.recordIndexStats("db.users", "db2:27017", [indexStat("auto_a", 7, laterRestartTime)]);
+
+        const usage = indexUsage.getUsage("db.users", "auto_a");
+        assert.strictEqual(usage.accesses, 57);
+        assert.deepStrictEqual(usage.since, restartTime);
+        assert.ok(usage.lastAccessTime.getTime() >= pollTime);
+        assert.strictEqual(indexUsage.getUsage("db.users", "auto_c"), null);
+    });
+
+    it('should forget about indexes that no longer exist on a server', function()
+    {
+        const indexUsage = new IndexUsage(null);
+        indexUsage.recordIndexStats("db.users", "db1:27017", [indexStat("auto_a", 50)]);
+        indexUsage.recordIndexStats("db.users", "db2:27017", [indexStat("auto_a", 5)]);
+        indexUsage.recordIndexStats("db.users", "db1:27017", []);
+
+        assert.strictEqual(indexUsage.getUsage("db.users", "auto_a").accesses, 5);
+    });
+
+    it('should be the same after being saved and loaded again', function()
+    {
+        const indexUsage = new IndexUsage(null);
+        indexUsage.recordIndexStats("db.users", "db1:27017", [indexStat("auto_a", 50), indexStat("auto_b", 0)]);
+
+        const loaded = new IndexUsage(JSON.parse(JSON.stringify(indexUsage.toJSON())));
+        assert.deepStrictEqual(loaded.indexes, indexUsage.indexes);
+    });
+});
@@ -0,0 +1,158 @@
+"use strict";
+
+const assert = require('assert'),
+    fs = require('fs'),
+    MongoLogParser = require('../lib/log_parser'),
+    os = require('os'),
+    path = require('path'),
+    zlib = require('zlib');
+
+describe('MongoLogParser', function()
+{
+    const legacyLine = '2019-07-22T10:15:07.123+0000 I COMMAND  [conn12] command mydb.users command: find { find: "users", filter: { name: "bob", _id: ObjectId(\'5791e9b5a2c0a5b5a2c0a5b5\'), created: { $gt: new Date(1469180000000) } }, sort: { age: -1 } } planSummary: IXSCAN { name: 1, age: -1 } keysExamined:12 docsExamined:10 hasSortStage:1 nreturned:4 reslen:250 120ms';
+    const structuredLine = '{"t":{"$date":"2020-07-22T10:15:07.123+00:00"},"s":"I","c":"COMMAND","id":51803,"ctx":"conn12","msg":"Slow query","attr":{"type":"command","ns":"mydb.users","command":{"find":"users","filter":{"name":"bob","_id":{"$oid":"5791e9b5a2c0a5b5a2c0a5b5"}}},"planSummary":"IXSCAN { name: 1 }","keysExamined":1,"docsExamined":1,"nreturned":1,"durationMillis":120}}';
+
+    function structuredLineWithFilter(filter)
+    {
+        return JSON.stringify({
+            t: {$date: "2020-07-22T10:15:07.123+00:00"},
+            msg: "Slow query",
+            attr: {type: "command", ns: "mydb.users", command: {find: "users", filter: filter}, durationMillis: 5}
+        });
+    }
+
+    describe('parseLogLine', function()
+    {
+        it('should parse a find command from the legacy text format', function()
+        {
+            const mongoProfile = MongoLogParser.parseLogLine(legacyLine);
+            assert.strictEqual(mongoProfile.op, 'query');
+            assert.strictEqual(mongoProfile.ns, 'mydb.users');
+            assert.strictEqual(mongoProfile.command.find, 'users');
+            assert.strictEqual(mongoProfile.command.filter.name, 'bob');
+            assert.strictEqual(mongoProfile.command.filter._id.toString(), '5791e9b5a2c0a5b5a2c0a5b5');
+            assert.strictEqual(mongoProfile.command.filter.created.$gt.getTime(), 1469180000000);
+            assert.deepStrictEqual(mongoProfile.command.sort, {age: -1});
+            assert.strictEqual(mongoProfile.planSummary, 'IXSCAN { name: 1, age: -1 }');
+            assert.strictEqual(mongoProfile.keysExamined, 12);
+            assert.strictEqual(mongoProfile.docsExamined, 10);
+            assert.strictEqual(mongoProfile.nreturned, 4);
+            assert.strictEqual(mongoProfile.hasSortStage, true);
+            assert.strictEqual(mongoProfile.millis, 120);
+            assert.strictEqual(mongoProfile.ts.toISOString(), '2019-07-22T10:15:07.123Z');
+        });
+
+        it('should parse a find command from the structured JSON format', function()
+        {
+            const mongoProfile = MongoLogParser.parseLogLine(structuredLine);
+            assert.strictEqual(mongoProfile.op, 'query');
+            assert.strictEqual(mongoProfile.ns, 'mydb.users');
+            assert.strictEqual(mongoProfile.command.filter.name, 'bob');
+            assert.strictEqual(mongoProfile.command.filter._id.toString(), '5791e9b5a2c0a5b5a2c0a5b5');
+            assert.strictEqual(mongoProfile.planSummary, 'IXSCAN { name: 1 }');
+            assert.strictEqual(mongoProfile.keysExamined, 1);
+            assert.strictEqual(mongoProfile.millis, 120);
+            assert.strictEqual(mongoProfile.ts.toISOString(), '2020-07-22T10:15:07.123Z');
+        });
+
+        it('should leave out regular expression options that Javascript does not support', function()
+        {
+            const mongoProfile = MongoLogParser.parseLogLine(structuredLineWithFilter({name: {$regularExpression: {pattern: "^bo b", options: "ix"}}}));
+            assert.ok(mongoProfile.command.filter.name instanceof RegExp);
+            assert.strictEqual(mongoProfile.command.filter.name.source, '^bo b');
+            assert.strictEqual(mongoProfile.command.filter.name.flags, 'i');
+
+            const legacyProfile = MongoLogParser.parseLogLine('2019-07-22T10:15:07.123+0000 I COMMAND  [conn12] command mydb.users command: find { find: "users", filter: { name: /^bob/x } } planSummary: COLLSCAN docsExamined:10 nreturned:1 15ms');
+            assert.strictEqual(legacyProfile.command.filter.name.source, '^bob');
+            assert.strictEqual(legacyProfile.command.filter.name.flags, '');
+        });
+
+        it('should skip structured entries with regular expressions that Javascript can not parse', function()
+        {
+            assert.strictEqual(MongoLogParser.parseLogLine(structuredLineWithFilter({name: {$regularExpression: {pattern: "(?i)bob", options: ""}}})), null);
+        });
+
+        it('should skip lines which are not slow query entries', function()
+        {
+            assert.strictEqual(MongoLogParser.parseLogLine('{"t":{"$date":"2020-07-22T10:15:07.123+00:00"},"s":"I","c":"NETWORK","msg":"Connection accepted","attr":{}}'), null);
+            assert.strictEqual(MongoLogParser.parseLogLine('{"t":{"$date":"2020-07-22T10:15:07.123+00:00"},"msg":"Slow query","attr":'), null);
+            assert.strictEqual(MongoLogParser.parseLogLine('2019-07-22T10:15:07.123+0000 I NETWORK  [listener] connection accepted from 127.0.0.1:51234 #12'), null);
+            assert.strictEqual(MongoLogParser.parseLogLine('2019-07-22T10:15:07.123+0000 I COMMAND  [conn12] command mydb.users command: find { find: "users", filter: { name: "bo ...'), null);
+        });
+    });
+
+    describe('readLogFiles', function()
+    {
+        let directory;
+
+        beforeEach(function()
+        {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), 'log-parser-'));
+        });
+
+        afterEach(function()
+        {
+            fs.readdirSync(directory).forEach((file) => fs.unlinkSync(path.join(directory, file)));
+            fs.rmdirSync(directory);
+        });
+
+        it('should call the iterator with each slow query entry, in order, including from gzipped files', function(done)
+        {
+            const plainFile = path.join(directory, 'mongod.log');
+            const gzipFile = path.join(directory, 'mongod.log.1.gz');
+            fs.writeFileSync(plainFile, [legacyLine, 'not a log line', structuredLine].join("\n"));
+            fs.writeFileSync(gzipFile, zlib.gzipSync(structuredLineWithFilter({name: "alice"})));
+
+            const names = [];
+            MongoLogParser.readLogFiles([plainFile, gzipFile], function(mongoProfile, next)
+            {
+                names.push(mongoProfile.command.filter.name);
+                setImmediate(next);
+            }, function(err)
+            {
+                assert.ifError(err);
+                assert.deepStrictEqual(names, ['bob', 'bob', 'alice']);
+                done();
+            });
+        });
+
+        it('should stop reading when the iterator returns an error', function(done)
+        {
+            const logFile = path.join(directory, 'mongod.log');
+            fs.writeFileSync(logFile, [structuredLine, structuredLine, structuredLine].join("\n"));
+
+            let calls = 0;
+            MongoLogParser.readLogFiles([logFile], function(mongoProfile, next)
+            {
+                calls += 1;
+                next(new Error('stop'));
+            }, function(err)
+            {
+                assert.strictEqual(err.message, 'stop');
+                assert.strictEqual(calls, 1);
+                done();
+            });
+        });
+
+        it('should report a read error a single time', function(done)
+        {
+            const badGzipFile = path.join(directory, 'mongod.log.gz');
+            fs.writeFileSync(badGzipFile, "this is not gzipped");
+
+            let calls = 0;
+            MongoLogParser.readLogFiles([path.join(directory, 'missing.log'), badGzipFile], function(mongoProfile, next)
+            {
+                next();
+            }, function(err)
+            {
+                calls += 1;
+                assert.strictEqual(err.code, 'ENOENT');
+                setTimeout(function()
+                {
+                    assert.strictEqual(calls, 1);
+                    done();
+                }, 50);
+            });
+        });
+    });
+});
@@ -0,0 +1,183 @@
+"use strict";
+
+const assert = require('assert'),
+    fs = require('fs'),
+    helpers = require('./helpers'),
+    OptimizationPipeline = require('../lib/optimization_pipeline'),
+    os = require('os'),
+    path = require('path');
+
+describe('OptimizationPipeline', function()
+{
+    const defaultNames = ['identicalIndexMerging', 'cardinalityFiltering', 'unindexableFieldHashing', 'arrayPrefixSplitting', 'prefixReduction', 'statisticalSimplification', 'indexExtension'];
+
+    function getComponentNames(options)
+    {
+        return new OptimizationPipeline(options).components.map((component) => component.name);
+    }
+
+    let directory = null;
+    function writePlugin(name, source)
+    {
+        const pluginPath = path.join(directory, `${name}.js`);
+        fs.writeFileSync(pluginPath, source);
+        return pluginPath;
+    }
+
+    beforeEach(function()
+    {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'optimization-pipeline-'));
+    });
+
+    afterEach(function()
+    {
+        fs.rmSync(directory, {recursive: true, force: true});
+    });
+
+    describe('components', function()
+    {
+        it('should run the built in components in the default order', function()
+        {
+            assert.deepStrictEqual(getComponentNames({}), defaultNames);
+        });
+
+        it('should take the components from a comma separated list', function()
+        {
+            assert.deepStrictEqual(getComponentNames({optimizationComponents: "identicalIndexMerging, prefixReduction,,indexExtension"}), ['identicalIndexMerging', 'prefixReduction', 'indexExtension']);
+        });
+
+        it('should leave out the index extension when it is disabled', function()
+        {
+            assert.deepStrictEqual(getComponentNames({indexExtension: false}), defaultNames.slice(0, -1));
+        });
+
+        it('should add the covered query extension after the other components when covered queries are enabled', function()
+        {
+            const pluginPath = writePlugin("plugin", 'module.exports = {name: "myPlugin", stages: {}};');
+            assert.deepStrictEqual(getComponentNames({coveredQueries: true, optimizationPlugins: [pluginPath]}), defaultNames.concat(['myPlugin', 'coveredQueryExtension']));
+        });
+
+        it('should keep the covered query extension where it is named', function()
+        {
+            assert.deepStrictEqual(getComponentNames({coveredQueries: true, optimizationComponents: "coveredQueryExtension,identicalIndexMerging"}), ['coveredQueryExtension', 'identicalIndexMerging']);
+            assert.deepStrictEqual(getComponentNames({optimizationComponents: "identicalIndexMerging,coveredQueryExtension"}), ['identicalIndexMerging', 'coveredQueryExtension']);
+        });
+
+        it('should reject unknown components', function()
+        {
+            assert.throws(() => new OptimizationPipeline({optimizationComponents: "identicalIndexMerging,magic"}), /Unknown optimization component "magic"/);
+        });
+
+        it('should run plugins where they are named', function()
+        {
+            const pluginPath = writePlugin("plugin", 'module.exports = {name: "myPlugin", stages: {}};');
+            assert.deepStrictEqual(getComponentNames({optimizationComponents: "myPlugin,identicalIndexMerging", optimizationPlugins: [pluginPath]}), ['myPlugin', 'identicalIndexMerging']);
+        });
+
+        it('should reject plugins which are malformed or take the name of another component', function()
+        {
+            const malformedPath = writePlugin("malformed", 'module.exports = {stages: {}};');
+            assert.throws(() => new OptimizationPipeline({optimizationPlugins: [malformedPath]}), /must export an object/);
+
+            const unknownStagePath = writePlugin("unknownStage", 'module.exports = {name: "myPlugin", stages: {sorting: function() {}}};');
+            assert.throws(() => new OptimizationPipeline({optimizationPlugins: [unknownStagePath]}), /unknown stage "sorting"/);
+
+            const takenPath = writePlugin("taken", 'module.exports = {name: "prefixReduction", stages: {}};');
+            assert.throws(() => new OptimizationPipeline({optimizationPlugins: [takenPath]}), /already taken/);
+        });
+    });
+
+    describe('stages', function()
+    {
+        it('should run the hooks of a stage in the order of the components', function(done)
+        {
+            const pluginPaths = ["first", "second"].map((name) => writePlugin(name, `module.exports = {name: "${name}", stages: {
+                naiveIndex: function(context, options) { context.names.push("${name}"); },
+                extension: function(context, options, next) { context.names.push("${name}"); setImmediate(next); }
+            }};`));
+            const pipeline = new OptimizationPipeline({optimizationComponents: "second,first", optimizationPlugins: pluginPaths});
+
+            assert.deepStrictEqual(pipeline.runStage('naiveIndex', {names: []}).names, ["second", "first"]);
+            pipeline.runAsyncStage('extension', {names: []}, function(err, context)
+            {
+                assert.ifError(err);
+                assert.deepStrictEqual(context.names, ["second", "first"]);
+                done();
+            });
+        });
+
+        it('should stop at the first error in an asynchronous stage', function(done)
+        {
+            const pluginPath = writePlugin("failing", 'module.exports = {name: "failing", stages: {reduction: function(context, options, next) { next(new Error("failed")); }}};');
+            const pipeline = new OptimizationPipeline({optimizationComponents: "failing,identicalIndexMerging", optimizationPlugins: [pluginPath]});
+            pipeline.runAsyncStage('reduction', {}, function(err)
+            {
+                assert.strictEqual(err.message, "failed");
+                done();
+            });
+        });
+
+        it('should not run a stage the wrong way', function(done)
+        {
+            const pipeline = new OptimizationPipeline({});
+            assert.throws(() => pipeline.runStage('reduction', {}), /asynchronous/);
+            pipeline.runAsyncStage('naiveIndex', {}, function(err)
+            {
+                assert.ok(/synchronous/.test(err.message));
+                done();
+            });
+        });
+    });
+
+    describe('QuerySet.computeOptimalIndexSet', function()
+    {
+        const sampler = helpers.createSampler({email: 1000, name: 1000});
+
+        function computeIndexes(options, queryRecords, done)
+        {
+            helpers.createQuerySet(sampler, helpers.createOptions(options), queryRecords, function(err, querySet)
+            {
+                assert.ifError(err);
+                querySet.computeOptimalIndexSet(null, function(err, indexSet)
+                {
+                    assert.ifError(err);
+                    return done(indexSet.indexes.map((index) => JSON.stringify(index)).sort(), indexSet);
+                });
+            });
+        }
+
+        const queryRecords = [
+            {filter: {email: "bob@example.com"}},
+            {filter: {email: "alice@example.com"}, projection: {name: 1, _id: 0}},
+            {filter: {email: "carol@example.com", name: "carol"}}
+        ];
+
+        it('should merge identical indexes and eliminate prefixes by default', function(done)
+        {
+            computeIndexes({}, queryRecords, function(indexes, indexSet)
+            {
+                assert.deepStrictEqual(indexes, ['{"email":1,"name":1}']);
+                assert.strictEqual(indexSet.indexes[0].knownQueryProfiles.length, 2);
+                done();
+            });
+        });
+
+        it('should only merge identical indexes without the prefix reduction', function(done)
+        {
+            computeIndexes({optimizationComponents: "identicalIndexMerging,cardinalityFiltering"}, queryRecords, function(indexes)
+            {
+                assert.deepStrictEqual(indexes, ['{"email":1,"name":1}', '{"email":1}']);
+                done();
+            });
+        });
+
+        it('should cover the queries when the covered query extension is named, even without the coveredQueries option', function(done)
+        {
+            computeIndexes({optimizationComponents: "identicalIndexMerging,cardinalityFiltering,coveredQueryExtension"}, queryRecords.slice(1, 2), function(indexes)
+            {
+                assert.deepStrictEqual(indexes, ['{"email":1,"name":1}']);
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,142 @@
+"use strict";
+
+const assert = require('assert'),
+    helpers = require('./helpers'),
+    ProfileFormat = require('../lib/profile_format'),
+    QueryPerformance = require('../lib/query_performance');
+
+describe('QueryPerformance', function()
+{
+    function createPerformance(executions)
+    {
+        const performance = new QueryPerformance(null);
+        executions.forEach((execution) => performance.record(execution));
+        return performance;
+    }
+
+    it('should have no statistics before anything is measured', function()
+    {
+        const performance = new QueryPerformance(null);
+        assert.strictEqual(performance.getPercentile('millis', 50), null);
+        assert.strictEqual(performance.getMean('millis'), null);
+        assert.strictEqual(performance.getExaminedPerReturned(), null);
+        assert.strictEqual(performance.getSortStageRate(), null);
+    });
+
+    it('should count each measurement in a histogram with buckets that double in size', function()
+    {
+        const performance = createPerformance([{millis: 0}, {millis: 1}, {millis: 3}, {millis: 3}, {millis: 100}]);
+        const statistics = performance.current.metrics.millis;
+        assert.deepStrictEqual(statistics.histogram, [1, 1, 2, 0, 0, 0, 0, 1]);
+        assert.strictEqual(statistics.count, 5);
+        assert.strictEqual(statistics.sum, 107);
+        assert.strictEqual(statistics.max, 100);
+    });
+
+    it('should estimate percentiles from the upper bound of their bucket, but never above the maximum', function()
+    {
+        const executions = [];
+        for (let n = 0; n < 99; n += 1)
+        {
+            executions.push({millis: 5});
+        }
+        executions.push({millis: 300});
+
+        const performance = createPerformance(executions);
+        assert.strictEqual(performance.getPercentile('millis', 50), 8);
+        assert.strictEqual(performance.getPercentile('millis', 99), 8);
+        assert.strictEqual(performance.getPercentile('millis', 100), 300);
+        assert.strictEqual(createPerformance([{millis: 0}, {millis: 0}]).getPercentile('millis', 50), 0);
+        assert.strictEqual(createPerformance([{millis: 5}]).getPercentile('millis', 95), 5);
+    });
+
+    it('should skip measurements that were not recorded', function()
+    {
+        const performance = createPerformance([{millis: 10, docsExamined: 100, nreturned: 10}, {millis: 20, docsExamined: null}, {}]);
+        assert.strictEqual(performance.current.count, 3);
+        assert.strictEqual(performance.getMean('millis'), 15);
+        assert.strictEqual(performance.getMean('docsExamined'), 100);
+        assert.strictEqual(performance.getMean('keysExamined'), null);
+    });
+
+    it('should measure the documents examined per document returned, and how often the results are sorted in memory', function()
+    {
+        const performance = createPerformance([
+            {docsExamined: 100, nreturned: 10, hasSortStage: true},
+            {docsExamined: 50, nreturned: 0, hasSortStage: false},
+            {docsExamined: 30, nreturned: 5},
+            {docsExamined: 20, nreturned: 5, hasSortStage: true}
+        ]);
+        assert.strictEqual(performance.getExaminedPerReturned(), 10);
+        assert.strictEqual(performance.getSortStageRate(), 0.5);
+    });
+
+    it('should keep the measurements from before an index was created as the previous period', function()
+    {
+        const performance = createPerformance([{millis: 100}, {millis: 300}]);
+        performance.startNewPeriod();
+        performance.record({millis: 2});
+
+        assert.strictEqual(performance.getMean('millis', true), 200);
+        assert.strictEqual(performance.getMean('millis'), 2);
+
+        // Starting another period before anything new was measured keeps the same previous period
+        const emptyPerformance = createPerformance([{millis: 100}]);
+        emptyPerformance.startNewPeriod();
+        emptyPerformance.startNewPeriod();
+        assert.strictEqual(emptyPerformance.getMean('millis', true), 100);
+    });
+
+    it('should be the same after being saved and loaded again', function()
+    {
+        const performance = createPerformance([{millis: 100, docsExamined: 10, keysExamined: 10, nreturned: 1, hasSortStage: true}]);
+        performance.startNewPeriod();
+        performance.record({millis: 3, docsExamined: 1, nreturned: 1});
+
+        const loaded = new QueryPerformance(JSON.parse(JSON.stringify(performance.toJSON())));
+        assert.deepStrictEqual(loaded.toJSON(), performance.toJSON());
+        assert.strictEqual(loaded.getPercentile('millis', 50, true), 100);
+        assert.strictEqual(loaded.getSortStageRate(true), 1);
+    });
+});
+
+describe('ProfileFormat.getExecutionStatistics', function()
+{
+    it('should read the execution statistics from modern profile documents', function()
+    {
+        assert.deepStrictEqual(ProfileFormat.getExecutionStatistics({millis: 12, docsExamined: 40, keysExamined: 41, nreturned: 10, hasSortStage: true}),
+            {millis: 12, docsExamined: 40, keysExamined: 41, nreturned: 10, hasSortStage: true});
+    });
+
+    it('should read the execution statistics from the names used before MongoDB 3.2', function()
+    {
+        assert.deepStrictEqual(ProfileFormat.getExecutionStatistics({millis: 12, nscannedObjects: 40, nscanned: 41, nreturned: 10, scanAndOrder: false}),
+            {millis: 12, docsExamined: 40, keysExamined: 41, nreturned: 10, hasSortStage: false});
+    });
+
+    it('should tell whether the results were sorted in memory from the plan summary', function()
+    {
+        assert.strictEqual(ProfileFormat.getExecutionStatistics({planSummary: "SORT { name: 1 }, COLLSCAN"}).hasSortStage, true);
+        assert.strictEqual(ProfileFormat.getExecutionStatistics({planSummary: "IXSCAN { name: 1 }"}).hasSortStage, false);
+        assert.deepStrictEqual(ProfileFormat.getExecutionStatistics({}), {millis: null, docsExamined: null, keysExamined: null, nreturned: null, hasSortStage: null});
+    });
+});
+
+describe('QuerySet query performance', function()
+{
+    it('should record the time taken by each query record in its query profile', function(done)
+    {
+        helpers.createQuerySet(helpers.createSampler({email: 1000}), helpers.createOptions(), [
+            {filter: {email: "bob@example.com"}, durationMillis: 10},
+            {filter: {email: "alice@example.com"}, durationMillis: 30},
+            {filter: {email: "carol@example.com"}}
+        ], function(err, querySet)
+        {
+            assert.ifError(err);
+            assert.strictEqual(querySet.queryProfiles.length, 1);
+            assert.strictEqual(querySet.queryProfiles[0].performance.current.count, 2);
+            assert.strictEqual(querySet.queryProfiles[0].performance.getMean('millis'), 20);
+            done();
+        });
+    });
+});
@@ -0,0 +1,125 @@
+"use strict";
+
+const assert = require('assert'),
+    helpers = require('./helpers');
+
+describe('Range tiers', function()
+{
+    const sampler = helpers.createSampler({status: 1000, age: 10, name: 1000, createdAt: 1000, plan: 1000});
+
+    function createQuerySet(options, queryRecords, done)
+    {
+        helpers.createQuerySet(sampler, helpers.createOptions(options), queryRecords, function(err, querySet)
+        {
+            assert.ifError(err);
+            return done(querySet);
+        });
+    }
+
+    describe('QueryProfile.getRangeTier', function()
+    {
+        function getRangeTier(options, filters, field, done)
+        {
+            createQuerySet(options, filters.map((filter) => ({filter: filter})), function(querySet)
+            {
+                assert.strictEqual(querySet.queryProfiles.length, 1);
+                return done(querySet.queryProfiles[0].getRangeTier(field));
+            });
+        }
+
+        it('should put a $in with a small list in the first tier', function(done)
+        {
+            getRangeTier({}, [{status: {$in: ["active", "trial"]}}], "status", function(tier)
+            {
+                assert.strictEqual(tier, 1);
+                done();
+            });
+        });
+
+        it('should put a $in with a long list in the bounded tier', function(done)
+        {
+            getRangeTier({}, [{status: {$in: ["a", "b", "c", "d", "e"]}}], "status", function(tier)
+            {
+                assert.strictEqual(tier, 2);
+                done();
+            });
+        });
+
+        it('should use the average list size over every instance of the query', function(done)
+        {
+            getRangeTier({}, [{status: {$in: ["a", "b"]}}, {status: {$in: ["a", "b", "c", "d", "e", "f"]}}], "status", function(tier)
+            {
+                assert.strictEqual(tier, 2);
+                done();
+            });
+        });
+
+        it('should never put a $in in the first tier when the smallInListSize is 0', function(done)
+        {
+            getRangeTier({smallInListSize: 0}, [{status: {$in: ["active"]}}], "status", function(tier)
+            {
+                assert.strictEqual(tier, 2);
+                done();
+            });
+        });
+
+        it('should put ranges with both bounds, and anchored regular expressions, in the bounded tier', function(done)
+        {
+            getRangeTier({}, [{age: {$gte: 18, $lt: 65}}], "age", function(tier)
+            {
+                assert.strictEqual(tier, 2);
+                getRangeTier({}, [{name: /^bob/}], "name", function(tier)
+                {
+                    assert.strictEqual(tier, 2);
+                    done();
+                });
+            });
+        });
+
+        const openFilters = [
+            {age: {$gt: 18}},
+            {age: {$ne: 18}},
+            {age: {$nin: [18, 19]}},
+            {age: {$exists: true}},
+            {age: /bob/},
+            {age: /^bob/i}
+        ];
+        openFilters.forEach(function(filter)
+        {
+            it(`should put ${JSON.stringify(filter, (key, value) => value instanceof RegExp ? value.toString() : value)} in the open tier`, function(done)
+            {
+                getRangeTier({}, [filter], "age", function(tier)
+                {
+                    assert.strictEqual(tier, 3);
+                    done();
+                });
+            });
+        });
+
+        it('should put a field in the open tier if any instance of the query had an open range', function(done)
+        {
+            getRangeTier({}, [{age: {$in: [18]}}, {age: {$gt: 18}}], "age", function(tier)
+            {
+                assert.strictEqual(tier, 3);
+                done();
+            });
+        });
+    });
+
+    describe('QueryProfile.optimizedIndexes', function()
+    {
+        it('should order the range fields by tier before cardinality, with small $in lists before the sort fields', function(done)
+        {
+            const queryRecords = [{filter: {age: {$gt: 18}, createdAt: {$gte: new Date(0), $lt: new Date()}, status: {$in: ["active", "trial"]}, plan: "free"}, sort: {name: 1}}];
+            createQuerySet({}, queryRecords, function(querySet)
+            {
+                querySet.computeOptimalIndexSet(null, function(err, indexSet)
+                {
+                    assert.ifError(err);
+                    assert.deepStrictEqual(indexSet.indexes.map((index) => JSON.stringify(index)), ['{"plan":1,"status":1,"name":1,"createdAt":1,"age":1}']);
+                    done();
+                });
+            });
+        });
+    });
+});
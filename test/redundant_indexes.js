@@ -0,0 +1,101 @@
+"use strict";
+
+const assert = require('assert'),
+    IndexSet = require('../lib/index_set'),
+    MongoIndex = require('../lib/mongo_index');
+
+describe('IndexSet.getRedundantManualIndexes', function()
+{
+    // Stands in for a query profile which uses the index
+    const queryProfile = {};
+
+    function createIndex(key, name, options, used)
+    {
+        const index = new MongoIndex(key, "db.users", name, options);
+        if (used !== false)
+        {
+            index.addKnownQueryProfile(queryProfile);
+        }
+        return index;
+    }
+
+    function getReasons(indexes)
+    {
+        return IndexSet.getRedundantManualIndexes(indexes).map((redundantIndex) => ({
+            name: redundantIndex.index.mongoIndexName,
+            reason: redundantIndex.reason,
+            otherIndex: redundantIndex.otherIndex ? redundantIndex.otherIndex.mongoIndexName : null
+        }));
+    }
+
+    it('should report a manual index that duplicates an auto index', function()
+    {
+        const autoIndex = createIndex({name: 1, email: 1});
+        const manualIndex = createIndex({name: 1, email: 1}, "name_1_email_1");
+        assert.deepStrictEqual(getReasons([autoIndex, manualIndex]), [{name: "name_1_email_1", reason: "duplicate", otherIndex: autoIndex.mongoIndexName}]);
+    });
+
+    it('should only report one of two identical manual indexes', function()
+    {
+        const firstIndex = createIndex({name: 1}, "a_name");
+        const secondIndex = createIndex({name: 1}, "b_name");
+        assert.deepStrictEqual(getReasons([secondIndex, firstIndex]), [{name: "b_name", reason: "duplicate", otherIndex: "a_name"}]);
+    });
+
+    it('should report a manual index that is a prefix of another index', function()
+    {
+        const prefixIndex = createIndex({name: 1}, "name_1");
+        const longerIndex = createIndex({name: 1, email: 1}, "name_1_email_1");
+        assert.deepStrictEqual(getReasons([prefixIndex, longerIndex]), [{name: "name_1", reason: "prefix", otherIndex: "name_1_email_1"}]);
+    });
+
+    it('should not replace an index with a sparse index, but may replace a sparse index with a regular one', function()
+    {
+        assert.deepStrictEqual(getReasons([createIndex({name: 1}, "name_1"), createIndex({name: 1, email: 1}, "name_1_email_1", {sparse: true})]), []);
+        assert.deepStrictEqual(getReasons([createIndex({name: 1}, "name_1", {sparse: true}), createIndex({name: 1, email: 1}, "name_1_email_1")]),
+            [{name: "name_1", reason: "prefix", otherIndex: "name_1_email_1"}]);
+    });
+
+    it('should not replace an index with one that has a different collation or filter', function()
+    {
+        assert.deepStrictEqual(getReasons([createIndex({name: 1}, "name_1"), createIndex({name: 1, email: 1}, "name_1_email_1", {collation: {locale: "en", strength: 2}})]), []);
+        assert.deepStrictEqual(getReasons([createIndex({name: 1}, "name_1"), createIndex({name: 1}, "name_1_live", {partialFilterExpression: {deleted: false}})]), []);
+    });
+
+    it('should report a manual index that no query profile uses', function()
+    {
+        assert.deepStrictEqual(getReasons([createIndex({name: 1}, "name_1", {}, false)]), [{name: "name_1", reason: "unused", otherIndex: null}]);
+    });
+
+    it('should never report text and geospatial indexes as unused', function()
+    {
+        assert.deepStrictEqual(getReasons([createIndex({title: "text"}, "title_text", {}, false), createIndex({location: "2dsphere"}, "location_2dsphere", {}, false)]), []);
+    });
+
+    it('should never report unique, TTL and hidden indexes', function()
+    {
+        const longerIndex = createIndex({name: 1, email: 1}, "name_1_email_1");
+        assert.deepStrictEqual(getReasons([
+            longerIndex,
+            createIndex({name: 1}, "name_1", {unique: true}),
+            createIndex({name: 1}, "name_1_ttl", {expireAfterSeconds: 3600}),
+            createIndex({email: 1}, "email_1", {hidden: true}, false)
+        ]), []);
+    });
+
+    it('should not report auto indexes', function()
+    {
+        assert.deepStrictEqual(getReasons([createIndex({name: 1}, null, {}, false), createIndex({name: 1, email: 1})]), []);
+    });
+
+    it('should report the redundant manual indexes along with the recommended changes', function()
+    {
+        const recommendedIndex = createIndex({name: 1, email: 1});
+        const manualIndex = createIndex({name: 1}, "name_1", {}, false);
+        const changes = IndexSet.getRecommendedIndexChanges(new IndexSet([recommendedIndex]), new IndexSet([manualIndex]));
+        assert.strictEqual(changes.length, 1);
+        assert.deepStrictEqual(changes[0].create, [recommendedIndex]);
+        assert.deepStrictEqual(changes[0].keep, [manualIndex]);
+        assert.deepStrictEqual(changes[0].redundant, [{index: manualIndex, reason: "prefix", otherIndex: recommendedIndex}]);
+    });
+});
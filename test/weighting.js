@@ -0,0 +1,144 @@
+"use strict";
+
+const assert = require('assert'),
+    helpers = require('./helpers'),
+    MongoIndex = require('../lib/mongo_index'),
+    QueryPerformance = require('../lib/query_performance'),
+    QueryProfile = require('../lib/query_profile');
+
+describe('Weighting', function()
+{
+    function createQueryProfile(weighting, executions)
+    {
+        const queryProfile = new QueryProfile({namespace: "db.users", exact: ['email'], sort: {}, range: [], usageCount: 3}, helpers.createOptions({weighting: weighting}));
+        executions.forEach((execution) => queryProfile.performance.record(execution));
+        return queryProfile;
+    }
+
+    describe('QueryPerformance totals', function()
+    {
+        it('should add up a measurement over the current and previous periods', function()
+        {
+            const performance = new QueryPerformance(null);
+            assert.strictEqual(performance.getTotal('millis'), null);
+            performance.record({millis: 100});
+            performance.startNewPeriod();
+            performance.record({millis: 5});
+            assert.strictEqual(performance.getTotal('millis'), 105);
+        });
+
+        it('should add up the documents examined beyond the ones returned', function()
+        {
+            const performance = new QueryPerformance(null);
+            assert.strictEqual(performance.getExcessExamined(), null);
+            performance.record({docsExamined: 100, nreturned: 10});
+            performance.startNewPeriod();
+            performance.record({docsExamined: 5, nreturned: 10});
+            performance.record({docsExamined: 8, nreturned: 1});
+            assert.strictEqual(performance.getExcessExamined(), 92);
+        });
+    });
+
+    describe('QueryProfile.weight', function()
+    {
+        const executions = [{millis: 30, docsExamined: 100, nreturned: 1}, {millis: 10, docsExamined: 50, nreturned: 9}];
+
+        it('should be the usage count by default', function()
+        {
+            assert.strictEqual(createQueryProfile("count", executions).weight, 3);
+        });
+
+        it('should be the total time taken when weighting by time', function()
+        {
+            assert.strictEqual(createQueryProfile("time", executions).weight, 40);
+        });
+
+        it('should be the total excess documents examined when weighting by excess', function()
+        {
+            assert.strictEqual(createQueryProfile("excess", executions).weight, 140);
+        });
+
+        it('should be 0 when weighting by cost and nothing was measured', function()
+        {
+            assert.strictEqual(createQueryProfile("time", []).weight, 0);
+            assert.strictEqual(createQueryProfile("excess", [{millis: 5}]).weight, 0);
+        });
+
+        it('should add up to the weight of the index', function()
+        {
+            const index = new MongoIndex({email: 1}, "db.users");
+            index.addKnownQueryProfile(createQueryProfile("time", [{millis: 5}]));
+            index.addKnownQueryProfile(createQueryProfile("time", [{millis: 7}]));
+            assert.strictEqual(index.weight, 12);
+        });
+    });
+
+    describe('QuerySet.computeOptimalIndexSet', function()
+    {
+        const sampler = helpers.createSampler({email: 1000, name: 1000, status: 2, plan: 2, createdAt: 1000});
+
+        function computeIndexes(options, queryRecords, done)
+        {
+            helpers.createQuerySet(sampler, helpers.createOptions(options), queryRecords, function(err, querySet)
+            {
+                assert.ifError(err);
+                querySet.computeOptimalIndexSet(null, function(err, indexSet)
+                {
+                    assert.ifError(err);
+                    return done(helpers.getIndexKeys(indexSet));
+                });
+            });
+        }
+
+        const queryRecords = [
+            {filter: {email: "bob@example.com"}, durationMillis: 200},
+            {filter: {name: "bob"}, durationMillis: 2},
+            {filter: {name: "alice"}, durationMillis: 2},
+            {filter: {createdAt: {$gt: new Date()}}}
+        ];
+
+        it('should leave out the query profiles under the minimum weight when weighting by time', function(done)
+        {
+            computeIndexes({weighting: "time", minimumWeight: 10}, queryRecords, function(indexes)
+            {
+                assert.deepStrictEqual(indexes, [{email: 1}]);
+                done();
+            });
+        });
+
+        it('should ignore the minimum weight when weighting by count', function(done)
+        {
+            computeIndexes({weighting: "count", minimumWeight: 10}, queryRecords, function(indexes)
+            {
+                assert.deepStrictEqual(indexes, [{createdAt: 1}, {email: 1}, {name: 1}]);
+                done();
+            });
+        });
+
+        // Both queries need the index {email: 1}, since status and plan have too few values to be worth indexing on
+        // their own, but the index extension can only add one of them
+        const extensionQueryRecords = [
+            {filter: {email: "bob@example.com", status: "active"}, durationMillis: 500},
+            {filter: {email: "bob@example.com", plan: "free"}, durationMillis: 1},
+            {filter: {email: "alice@example.com", plan: "free"}, durationMillis: 1}
+        ];
+
+        it('should extend indexes with the fields of the most frequent queries when weighting by count', function(done)
+        {
+            computeIndexes({weighting: "count"}, extensionQueryRecords, function(indexes)
+            {
+                assert.deepStrictEqual(indexes, [{email: 1, plan: 1}]);
+                done();
+            });
+        });
+
+        it('should extend indexes with the fields of the most costly queries when weighting by time', function(done)
+        {
+            computeIndexes({weighting: "time"}, extensionQueryRecords, function(indexes)
+            {
+                assert.deepStrictEqual(indexes, [{email: 1, status: 1}]);
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,130 @@
+"use strict";
+
+const assert = require('assert'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    WorkloadFile = require('../lib/workload_file');
+
+describe('WorkloadFile', function()
+{
+    const querySetData = {
+        queryProfiles: [
+            {namespace: "mydb.users", query: {name: "exact"}, sort: {}, usageCount: 3},
+            {namespace: "mydb.orders", query: {createdAt: "range"}, sort: {total: -1}, usageCount: 1}
+        ]
+    };
+    const samplerData = {
+        collectionStatistics: {"mydb_users": {fieldStatistics: {name: {cardinality: 20}}}},
+        indexStatistics: {"mydb_users-name": {cardinality: 20}}
+    };
+
+    // The workload file only needs the toJSON methods of the QuerySet and MongoSampler
+    const querySet = {toJSON: () => querySetData};
+    const sampler = {toJSON: () => samplerData};
+
+    let directory;
+
+    beforeEach(function()
+    {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'workload-file-'));
+    });
+
+    afterEach(function()
+    {
+        fs.readdirSync(directory).forEach((file) => fs.unlinkSync(path.join(directory, file)));
+        fs.rmdirSync(directory);
+    });
+
+    ['workload.json', 'workload.ndjson', 'workload.jsonl'].forEach(function(fileName)
+    {
+        it(`should read back the same workload that was written to ${fileName}`, function(done)
+        {
+            const filePath = path.join(directory, fileName);
+            WorkloadFile.write(filePath, querySet, sampler, function(err)
+            {
+                assert.ifError(err);
+                WorkloadFile.read(filePath, function(err, workload)
+                {
+                    assert.ifError(err);
+                    assert.deepStrictEqual(workload.querySet.queryProfiles, querySetData.queryProfiles);
+                    assert.deepStrictEqual(workload.sampler.collectionStatistics, samplerData.collectionStatistics);
+                    assert.deepStrictEqual(workload.sampler.indexStatistics, samplerData.indexStatistics);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('should write one line per entry in the newline delimited format', function(done)
+    {
+        const filePath = path.join(directory, 'workload.ndjson');
+        WorkloadFile.write(filePath, querySet, sampler, function(err)
+        {
+            assert.ifError(err);
+            const lines = fs.readFileSync(filePath, 'utf8').trim().split("\n").map((line) => JSON.parse(line));
+            assert.strictEqual(lines[0].format, 'mongo-dynamic-indexer-workload');
+            assert.deepStrictEqual(lines.filter((line) => line.type === 'queryProfile').map((line) => line.data), querySetData.queryProfiles);
+            done();
+        });
+    });
+
+    it('should reject files that were not written by the dynamic indexer', function(done)
+    {
+        const filePath = path.join(directory, 'other.json');
+        fs.writeFileSync(filePath, JSON.stringify({queryProfiles: []}));
+        WorkloadFile.read(filePath, function(err)
+        {
+            assert.ok(/is not a workload file/.test(err.message));
+            done();
+        });
+    });
+
+    it('should reject files from a newer version of the dynamic indexer', function(done)
+    {
+        const filePath = path.join(directory, 'newer.ndjson');
+        fs.writeFileSync(filePath, JSON.stringify({format: 'mongo-dynamic-indexer-workload', version: 1000}) + "\n");
+        WorkloadFile.read(filePath, function(err)
+        {
+            assert.ok(/has version 1000/.test(err.message));
+            done();
+        });
+    });
+
+    it('should report the line number of a line that can not be parsed', function(done)
+    {
+        const filePath = path.join(directory, 'broken.ndjson');
+        fs.writeFileSync(filePath, [JSON.stringify({format: 'mongo-dynamic-indexer-workload', version: 1}), '{"type": "queryProfile", '].join("\n"));
+        WorkloadFile.read(filePath, function(err)
+        {
+            assert.ok(/line 2/.test(err.message));
+            done();
+        });
+    });
+
+    it('should report an empty newline delimited file', function(done)
+    {
+        const filePath = path.join(directory, 'empty.ndjson');
+        fs.writeFileSync(filePath, "");
+        WorkloadFile.read(filePath, function(err)
+        {
+            assert.ok(/is empty/.test(err.message));
+            done();
+        });
+    });
+
+    it('should report a missing newline delimited file a single time', function(done)
+    {
+        let calls = 0;
+        WorkloadFile.read(path.join(directory, 'missing.ndjson'), function(err)
+        {
+            calls += 1;
+            assert.strictEqual(err.code, 'ENOENT');
+            setTimeout(function()
+            {
+                assert.strictEqual(calls, 1);
+                done();
+            }, 50);
+        });
+    });
+});
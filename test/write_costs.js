@@ -0,0 +1,147 @@
+"use strict";
+
+const assert = require('assert'),
+    helpers = require('./helpers'),
+    IndexSet = require('../lib/index_set'),
+    MongoIndex = require('../lib/mongo_index'),
+    WriteStatistics = require('../lib/write_statistics'),
+    underscore = require('underscore');
+
+describe('Write costs', function()
+{
+    describe('WriteStatistics.getUpdatedFields', function()
+    {
+        it('should find the fields changed by each update operator', function()
+        {
+            assert.deepStrictEqual(WriteStatistics.getUpdatedFields({$set: {name: "bob"}, $inc: {visits: 1}}), ["name", "visits"]);
+            assert.deepStrictEqual(WriteStatistics.getUpdatedFields({$rename: {name: "fullName"}}), ["name", "fullName"]);
+        });
+
+        it('should treat positional operators and array positions as the array field', function()
+        {
+            assert.deepStrictEqual(WriteStatistics.getUpdatedFields({$set: {"items.$.price": 5, "items.0.price": 6, "items.$[item].count": 1}}), ["items.price", "items.count"]);
+        });
+
+        it('should not know the fields changed by replacements and pipelines', function()
+        {
+            assert.strictEqual(WriteStatistics.getUpdatedFields({name: "bob"}), null);
+            assert.strictEqual(WriteStatistics.getUpdatedFields([{$set: {name: "bob"}}]), null);
+            assert.strictEqual(WriteStatistics.getUpdatedFields(undefined), null);
+            assert.strictEqual(WriteStatistics.getUpdatedFields({}), null);
+        });
+    });
+
+    describe('WriteStatistics.getIndexWrites', function()
+    {
+        function createWriteStatistics()
+        {
+            const writeStatistics = new WriteStatistics(null);
+            writeStatistics.recordWrite("db.users", "insert", null, 10);
+            writeStatistics.recordWrite("db.users", "remove", null, 2);
+            writeStatistics.recordWrite("db.users", "update", {$set: {name: "bob"}}, 3);
+            writeStatistics.recordWrite("db.users", "update", {$set: {"address.city": "Toronto"}});
+            writeStatistics.recordWrite("db.users", "update", {$set: {visits: 5}});
+            return writeStatistics;
+        }
+
+        it('should return null when nothing was written to the collection', function()
+        {
+            assert.strictEqual(createWriteStatistics().getIndexWrites(new MongoIndex({name: 1}, "db.orders")), null);
+        });
+
+        it('should only count the updates to the indexed fields', function()
+        {
+            const indexWrites = createWriteStatistics().getIndexWrites(new MongoIndex({name: 1, email: 1}, "db.users"));
+            assert.deepStrictEqual(underscore.omit(indexWrites, 'since'), {inserts: 10, updates: 3, removes: 2, indexWrites: 18});
+            assert.ok(indexWrites.since instanceof Date);
+
+            assert.strictEqual(createWriteStatistics().getIndexWrites(new MongoIndex({email: 1}, "db.users")).indexWrites, 12);
+        });
+
+        it('should count updates to the parent or child of an indexed field', function()
+        {
+            const writeStatistics = createWriteStatistics();
+            assert.strictEqual(writeStatistics.getIndexWrites(new MongoIndex({address: 1}, "db.users")).updates, 1);
+            writeStatistics.recordWrite("db.users", "update", {$set: {address: {city: "Ottawa"}}});
+            assert.strictEqual(writeStatistics.getIndexWrites(new MongoIndex({"address.city": 1}, "db.users")).updates, 2);
+            assert.strictEqual(writeStatistics.getIndexWrites(new MongoIndex({"address.street": 1}, "db.users")).updates, 1);
+        });
+
+        it('should count replacements as updates to every index, up to the number of updates', function()
+        {
+            const writeStatistics = createWriteStatistics();
+            writeStatistics.recordWrite("db.users", "update", {name: "bob"}, 2);
+            assert.strictEqual(writeStatistics.getIndexWrites(new MongoIndex({email: 1}, "db.users")).updates, 2);
+            writeStatistics.recordWrite("db.users", "update", {$set: {email: "bob@example.com", name: "bob"}});
+            assert.strictEqual(writeStatistics.getIndexWrites(new MongoIndex({email: 1, name: 1, visits: 1}, "db.users")).updates, 8);
+        });
+
+        it('should survive being converted to JSON and back', function()
+        {
+            const writeStatistics = createWriteStatistics();
+            const copy = new WriteStatistics(JSON.parse(JSON.stringify(writeStatistics.toJSON())));
+            const index = new MongoIndex({name: 1}, "db.users");
+            assert.deepStrictEqual(copy.getIndexWrites(index), writeStatistics.getIndexWrites(index));
+        });
+    });
+
+    describe('QuerySet.applyWriteCosts', function()
+    {
+        const sampler = helpers.createSampler({email: 1000, name: 1000});
+
+        const queryRecords = [
+            {filter: {email: "bob@example.com"}},
+            {filter: {email: "alice@example.com"}},
+            {filter: {email: "carol@example.com"}},
+            {filter: {name: "bob"}},
+            {op: "insert", documentCount: 2},
+            {op: "update", filter: {}, update: {$set: {name: "alice"}}, documentCount: 5}
+        ];
+
+        function computeIndexes(options, existingIndexes, done)
+        {
+            helpers.createQuerySet(sampler, helpers.createOptions(options), queryRecords, function(err, querySet)
+            {
+                assert.ifError(err);
+                querySet.computeOptimalIndexSet(existingIndexes ? new IndexSet(existingIndexes) : null, function(err, indexSet)
+                {
+                    assert.ifError(err);
+                    return done(indexSet);
+                });
+            });
+        }
+
+        it('should record the write cost of each index, but keep them all when the writeCostFactor is 0', function(done)
+        {
+            computeIndexes({}, null, function(indexSet)
+            {
+                assert.deepStrictEqual(helpers.getIndexKeys(indexSet), [{email: 1}, {name: 1}]);
+                const writeCosts = indexSet.indexes.map((index) => [JSON.stringify(index), index.getWriteCost().indexWrites, index.getWriteCost().benefit]);
+                assert.deepStrictEqual(underscore.sortBy(writeCosts, (writeCost) => writeCost[0]), [['{"email":1}', 2, 3], ['{"name":1}', 12, 1]]);
+                assert.deepStrictEqual(indexSet.uncoveredQueryProfiles, []);
+                done();
+            });
+        });
+
+        it('should leave out the indexes that cost more to write then they save', function(done)
+        {
+            computeIndexes({writeCostFactor: 1}, null, function(indexSet)
+            {
+                assert.deepStrictEqual(helpers.getIndexKeys(indexSet), [{email: 1}]);
+                assert.strictEqual(indexSet.uncoveredQueryProfiles.length, 1);
+                assert.strictEqual(indexSet.uncoveredQueryProfiles[0].reason, "writeCost");
+                assert.deepStrictEqual(indexSet.uncoveredQueryProfiles[0].queryProfile.exact, ["name"]);
+                done();
+            });
+        });
+
+        it('should never leave out the manual indexes', function(done)
+        {
+            computeIndexes({writeCostFactor: 1}, [new MongoIndex({name: 1}, "db.users", "name_1")], function(indexSet)
+            {
+                assert.deepStrictEqual(helpers.getIndexKeys(indexSet), [{email: 1}, {name: 1}]);
+                done();
+            });
+        });
+    });
+});